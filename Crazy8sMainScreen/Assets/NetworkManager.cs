@@ -13,6 +13,14 @@ public class NetworkManager : MonoBehaviour
     public string serverURL = "http://localhost:3000";
     
     private SocketIOUnity socket;
+    
+    // Remembers the room we host so a main screen restarted after a crash can take it back
+    private const string LastRoomKey = "crazy8s-last-room";
+    
+    // The room's host token - the server wants it with host-only events and before handing a room back
+    private const string HostTokenKey = "crazy8s-host-token";
+    private string hostToken;
+    
     private Queue<System.Action> mainThreadActions = new Queue<System.Action>();
     
     // Events
@@ -23,6 +31,9 @@ public class NetworkManager : MonoBehaviour
     public event System.Action<string> OnCardPlayed;
     public event System.Action<string> OnColorChosen;
     public event System.Action<string> OnGameStateUpdated;
+    public event System.Action<string> OnTurnTimerUpdated;
+    public event System.Action<string> OnRoomSettingsUpdated;
+    public event System.Action<string> OnHostReattached;
     
     public void Initialize()
     {
@@ -87,6 +98,9 @@ public class NetworkManager : MonoBehaviour
             socket.On("winner-detected", HandleWinnerDetected);
             socket.On("game-over", HandleGameOver);
             socket.On("game-state-updated", HandleGameStateUpdated);
+            socket.On("timer-update", HandleTimerUpdate);
+            socket.On("room-settings-updated", HandleRoomSettingsUpdated);
+            socket.On("host-reattached", HandleHostReattached);
             socket.On("host-restart-game", HandleHostRestartGame);
             socket.On("new-room-created", HandleNewRoomCreated);
             socket.On("room-error", HandleRoomError);
@@ -115,6 +129,28 @@ public class NetworkManager : MonoBehaviour
     private void OnSocketConnected(object sender, EventArgs e)
     {
         Debug.Log("Connected to server successfully");
+        
+        // After a server restart the room comes back from disk - reattach to it as host
+        EnqueueMainThreadAction(() => {
+            var gameManager = FindFirstObjectByType<GameManager>();
+            string roomCode = gameManager?.GetCurrentRoomCode();
+            
+            // After a crash the scene starts empty - try the room we were hosting before
+            if (string.IsNullOrEmpty(roomCode))
+            {
+                roomCode = PlayerPrefs.GetString(LastRoomKey, "");
+            }
+            if (string.IsNullOrEmpty(hostToken))
+            {
+                hostToken = PlayerPrefs.GetString(HostTokenKey, "");
+            }
+            
+            if (!string.IsNullOrEmpty(roomCode))
+            {
+                Debug.Log($"🏠 UNITY: Reconnected - reattaching to room {roomCode}");
+                socket.Emit("host-join-room", new { roomCode = roomCode, sessionToken = hostToken });
+            }
+        });
     }
     
     private void OnSocketDisconnected(object sender, string e)
@@ -148,7 +184,7 @@ public class NetworkManager : MonoBehaviour
     {
         if (socket != null && socket.Connected)
         {
-            socket.Emit("host-restart-game");
+            socket.Emit("host-restart-game", new { roomCode = PlayerPrefs.GetString(LastRoomKey, ""), sessionToken = hostToken });
         }
     }
     
@@ -275,8 +311,10 @@ public class NetworkManager : MonoBehaviour
         {
             string jsonString = response.GetValue().ToString();
             string roomCode = ExtractRoomCodeFromJson(jsonString);
+            string token = ExtractJsonValue(jsonString, "hostToken");
             
             EnqueueMainThreadAction(() => {
+                RememberRoom(roomCode, token);
                 OnRoomCreated?.Invoke(roomCode);
             });
         }
@@ -385,6 +423,60 @@ public class NetworkManager : MonoBehaviour
         }
     }
     
+    private void HandleTimerUpdate(SocketIOResponse response)
+    {
+        try
+        {
+            string jsonString = response.GetValue().ToString();
+            
+            EnqueueMainThreadAction(() => {
+                OnTurnTimerUpdated?.Invoke(jsonString);
+            });
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"Error handling timer update: {e.Message}");
+        }
+    }
+    
+    // The first player changed the lobby settings - the JSON carries the room's whole settings object
+    private void HandleRoomSettingsUpdated(SocketIOResponse response)
+    {
+        try
+        {
+            string jsonString = response.GetValue().ToString();
+            
+            EnqueueMainThreadAction(() => {
+                OnRoomSettingsUpdated?.Invoke(jsonString);
+            });
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"Error handling room settings update: {e.Message}");
+        }
+    }
+    
+    // We took a room back after dropping - the JSON carries roomData and the main screen game state to redraw from
+    private void HandleHostReattached(SocketIOResponse response)
+    {
+        try
+        {
+            string jsonString = response.GetValue().ToString();
+            Debug.Log($"🏠 UNITY: Reattached to room");
+            string roomCode = ExtractRoomCodeFromJson(jsonString);
+            string token = ExtractJsonValue(jsonString, "hostToken");
+            
+            EnqueueMainThreadAction(() => {
+                RememberRoom(roomCode, token);
+                OnHostReattached?.Invoke(jsonString);
+            });
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"Error handling host reattached: {e.Message}");
+        }
+    }
+    
     private void HandleHostRestartGame(SocketIOResponse response)
     {
         try
@@ -409,13 +501,16 @@ public class NetworkManager : MonoBehaviour
             Debug.Log($"🏠 UNITY: New room created event received: {jsonString}");
             
             string roomCode = ExtractRoomCodeFromJson(jsonString);
+            string token = ExtractJsonValue(jsonString, "hostToken");
             Debug.Log($"🏠 UNITY: Extracted new room code: {roomCode}");
             
             // Join the new room as host
             Debug.Log($"🏠 UNITY: Joining new room as host: {roomCode}");
-            socket.Emit("host-join-room", new { roomCode = roomCode });
+            hostToken = token;
+            socket.Emit("host-join-room", new { roomCode = roomCode, sessionToken = token });
             
             EnqueueMainThreadAction(() => {
+                RememberRoom(roomCode, token);
                 Debug.Log($"🏠 UNITY: Triggering OnRoomCreated for new room: {roomCode}");
                 OnRoomCreated?.Invoke(roomCode);
             });
@@ -484,6 +579,14 @@ public class NetworkManager : MonoBehaviour
         }
     }
     
+    // Keep the room and its host token for host-only events and for taking the room back after a crash
+    private void RememberRoom(string roomCode, string token)
+    {
+        hostToken = token;
+        PlayerPrefs.SetString(LastRoomKey, roomCode);
+        PlayerPrefs.SetString(HostTokenKey, token ?? "");
+    }
+    
     // JSON parsing utilities
     private string ExtractRoomCodeFromJson(string json)
     {
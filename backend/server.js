@@ -2,8 +2,16 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
 const RoomManager = require('./utils/roomManager');
+const { FileRoomStore } = require('./utils/roomStore');
+const ErrorCodes = require('./utils/errorCodes');
+const { getReplayGameState } = require('./utils/gameReplay');
+const { isValidSeed, MAX_SEED } = require('./utils/seededRandom');
+const { validatePayload } = require('./utils/payloadValidation');
+const { RateLimiter } = require('./utils/rateLimiter');
+const { getPublicBaseUrl, getJoinUrl, renderQrCode } = require('./utils/joinLink');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,11 +23,61 @@ const io = new Server(server, {
 });
 
 // Initialize room manager
-const roomManager = new RoomManager();
+// Rooms are snapshotted to disk so a restart (or nodemon reload) doesn't end every game
+const roomStoreDir = process.env.ROOM_STORE_DIR || path.join(__dirname, 'data', 'rooms');
+const roomManager = new RoomManager(new FileRoomStore(roomStoreDir));
+
+// Token-bucket limits per socket and per address for every socket event (see utils/rateLimiter.js)
+const rateLimiter = new RateLimiter();
+const FLOOD_DISCONNECT_AFTER = 50; // Refused events in a row before a socket is dropped
+
+// Behind a reverse proxy every client shares the proxy's address - set TRUST_PROXY=true there so
+// limits go by the client's own address from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+// Rooms changed since the last snapshot - written together once the current event is done
+const pendingSnapshots = new Set();
+
+// Pending seat releases for players who dropped mid-game: { reconnectToken: timeout }
+const seatReleaseTimers = new Map();
+
+// Rooms waiting for their main screen to come back: { roomCode: timeout }
+const hostReleaseTimers = new Map();
+
+// Pending bot moves: { roomCode: timeout }
+const botTurnTimers = new Map();
+const BOT_TURN_DELAY_MS = 1500; // Give people a moment to see what happened before the bot moves
+
+// Running turn clocks: { roomCode: { interval, playerId, deadline } }
+const turnTimers = new Map();
+const TURN_TIMER_TICK_MS = 1000;
+
+// Events a socket may send naming a room it isn't in: the ways in, and the main screen's animation callbacks
+// (they always act on the room the socket hosts). Every other event naming a room needs the sender in it
+const OPEN_EVENTS = new Set([
+  'join-room', 'rejoin-room', 'spectate-room', 'host-join-room',
+  'animation-complete', 'first-card-flip-complete', 'winner-animation-complete'
+]);
+
+// Events that change the room for everyone. They need the sender's session secret as `sessionToken`:
+// the host token from create-room, or the player's reconnect token from join-room
+const PRIVILEGED_EVENTS = new Set([
+  'start-game', 'host-restart-game', 'host-new-players', 'update-room-settings', 'set-house-rules',
+  'set-deck-options', 'set-turn-timer', 'set-game-seed', 'set-match-options', 'add-bot', 'remove-bot',
+  'kick-player', 'transfer-first-player', 'arrange-seats', 'start-replay', 'stop-replay'
+]);
+
+// Replays being played back: { roomCode: timeout for the next step }
+const replayTimers = new Map();
+const REPLAY_STEP_MS = 1500;
+const REPLAY_ANIMATION_MS = { deal: 3500, eight: 3500, win: 8000 }; // Let the main screen finish its animations
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+if (TRUST_PROXY) {
+  app.set('trust proxy', true);
+}
 app.use(express.static(path.join(__dirname, '../main-screen')));
 
 // Serve main screen at root
@@ -27,11 +85,50 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../main-screen/index.html'));
 });
 
+// Serve the phone client (its production build) under /join, so a join link opens it with the room
+// code already filled in and it connects back to this server
+const phoneClientDir = process.env.PHONE_CLIENT_DIR || path.join(__dirname, '../phone-client/dist');
+app.use('/join', express.static(phoneClientDir, { index: false }));
+app.get('/join/:roomCode?', (req, res) => {
+  res.sendFile(path.join(phoneClientDir, 'index.html'), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).send('The phone client has not been built - run `npm run build` in phone-client');
+    }
+  });
+});
+
 // REST API endpoints
 app.post('/api/create-room', (req, res) => {
-  const hostId = req.body.hostId || `host_${Date.now()}`;
-  const roomCode = roomManager.createRoom(hostId);
-  res.json({ roomCode, hostId });
+  const { seed } = req.body; // Optional seed for the first game, to reproduce a reported deal
+  if (seed !== undefined && !isValidSeed(seed)) {
+    res.status(400).json({ error: `Seed must be a whole number between 0 and ${MAX_SEED}` });
+    return;
+  }
+
+  const limit = rateLimiter.consume('create-room', null, req.ip);
+  if (!limit.allowed) {
+    res.set('Retry-After', Math.ceil(limit.retryAfterMs / 1000));
+    res.status(429).json({ error: 'Too many rooms created - slow down', code: ErrorCodes.RATE_LIMITED });
+    return;
+  }
+
+  // The room waits for a main screen: whoever sends host-join-room with the returned host token takes it over.
+  // The placeholder id is the server's own, so a caller can never pin a room on someone else's socket
+  const hostId = `rest_${crypto.randomUUID()}`;
+  let roomCode;
+  try {
+    roomCode = roomManager.createRoom(hostId, { address: req.ip });
+  } catch (error) {
+    rateLimiter.recordRefusal('create-room', 'room-limit');
+    res.status(503).json({ error: error.message, code: error.code });
+    return;
+  }
+  if (seed !== undefined) {
+    roomManager.setGameSeed(roomCode, hostId, seed);
+  }
+
+  const { hostToken } = roomManager.rooms.get(roomCode);
+  res.json({ roomCode, hostToken, joinUrl: getJoinUrl(getRequestBaseUrl(req), roomCode) });
 });
 
 app.get('/api/room/:code', (req, res) => {
@@ -43,35 +140,214 @@ app.get('/api/room/:code', (req, res) => {
   }
 });
 
+// Download the last game's event log as JSON (only once the game is over)
+app.get('/api/room/:code/log', (req, res) => {
+  const result = roomManager.getGameLog(req.params.code);
+  if (!result.success) {
+    res.status(result.code === ErrorCodes.ROOM_NOT_FOUND ? 404 : 409).json({ error: result.error, code: result.code });
+    return;
+  }
+
+  res.attachment(`crazy8s-${req.params.code}-log.json`);
+  res.json({ roomCode: req.params.code, events: result.events });
+});
+
+// The room's join link as a QR code for the main screen to show - SVG, or PNG with ?format=png
+app.get('/api/room/:code/qr', async (req, res) => {
+  const roomCode = req.params.code.toUpperCase();
+  if (!roomManager.rooms.has(roomCode)) {
+    res.status(404).json({ error: 'Room not found', code: ErrorCodes.ROOM_NOT_FOUND });
+    return;
+  }
+
+  const format = req.query.format === 'png' ? 'png' : 'svg';
+  try {
+    const qrCode = await renderQrCode(getJoinUrl(getRequestBaseUrl(req), roomCode), format);
+    res.type(format === 'png' ? 'image/png' : 'image/svg+xml').send(qrCode);
+  } catch (error) {
+    console.error(`Error drawing QR code for room ${roomCode}:`, error);
+    res.status(500).json({ error: 'Could not draw the QR code', code: ErrorCodes.SERVER_ERROR });
+  }
+});
+
 app.get('/api/rooms', (req, res) => {
   res.json(roomManager.getAllRooms());
 });
 
+// How busy the server is and how often the flood limits have fired
+app.get('/api/metrics', (req, res) => {
+  res.json({
+    rooms: roomManager.rooms.size,
+    maxRooms: roomManager.maxRooms,
+    connections: io.engine.clientsCount,
+    rateLimits: rateLimiter.getMetrics()
+  });
+});
+
+// Where phones should go to reach this server, judged from the host a request or socket came in on
+function getRequestBaseUrl(req) {
+  return getPublicBaseUrl({ protocol: req.protocol, host: req.get('host') });
+}
+
+function getSocketBaseUrl(socket) {
+  const headers = socket.handshake.headers;
+  const forwardedProto = TRUST_PROXY && headers['x-forwarded-proto'];
+  const forwardedHost = TRUST_PROXY && headers['x-forwarded-host'];
+  return getPublicBaseUrl({
+    protocol: forwardedProto ? forwardedProto.split(',')[0].trim() : (socket.handshake.secure ? 'https' : 'http'),
+    host: forwardedHost ? forwardedHost.split(',')[0].trim() : headers.host
+  });
+}
+
+// Where a socket connected from - its own address, or the client's behind a trusted proxy
+function getSocketAddress(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+// Turn away connections from an address that is opening them faster than any party needs
+io.use((socket, next) => {
+  const limit = rateLimiter.consume('connection', null, getSocketAddress(socket));
+  if (limit.allowed) {
+    next();
+    return;
+  }
+  console.warn(`🚫 Refused connection from ${getSocketAddress(socket)} - too many`);
+  next(new Error('Too many connections - try again shortly'));
+});
+
 // Socket.IO event handling
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
 
+  // Rate limit every event first, before any work is done on it. A socket that keeps going after
+  // being told to slow down is disconnected
+  const address = getSocketAddress(socket);
+  let refusedInRow = 0;
+  socket.use((packet, next) => {
+    const [event] = packet;
+    const limit = rateLimiter.consume(event, socket.id, address);
+    if (limit.allowed) {
+      refusedInRow = 0;
+      next();
+      return;
+    }
+
+    refusedInRow++;
+    if (refusedInRow === 1) {
+      console.warn(`🚫 Rate limited ${event} from ${socket.id} (${limit.scope} limit)`);
+    }
+    if (refusedInRow >= FLOOD_DISCONNECT_AFTER) {
+      console.warn(`🌊 Disconnecting ${socket.id} from ${address} for flooding`);
+      rateLimiter.recordFloodDisconnect();
+      socket.disconnect(true);
+      return;
+    }
+
+    const reply = { success: false, code: ErrorCodes.RATE_LIMITED, error: 'Too many requests - slow down', retryAfterMs: limit.retryAfterMs };
+    if (getAck(packet)) {
+      getAck(packet)(reply);
+    } else {
+      socket.emit('rate-limited', { event, ...reply });
+    }
+  });
+
+  // Check and clean every payload before its handler runs. A malformed message is answered here
+  // (through its ack, or a payload-error event without one) and never reaches the game logic
+  socket.use((packet, next) => {
+    const [event, data] = packet;
+    const result = validatePayload(event, data, Boolean(getAck(packet)));
+
+    if (result.success) {
+      packet[1] = result.data;
+      next();
+      return;
+    }
+
+    console.warn(`🚫 Rejected ${event} from ${socket.id}: ${result.error}`);
+    const reply = { success: false, code: result.code, error: result.error };
+    if (getAck(packet)) {
+      getAck(packet)(reply);
+    } else {
+      socket.emit('payload-error', { event, ...reply });
+    }
+  });
+
+  // Then check the sender may act on the room it names: it has to be in the room, and host-only
+  // events need its session secret too
+  socket.use((packet, next) => {
+    const [event, data] = packet;
+    const roomCode = data?.roomCode;
+    if (!roomCode || OPEN_EVENTS.has(event) || !roomManager.rooms.has(roomCode)) {
+      next(); // A room that doesn't exist is reported by the handler itself
+      return;
+    }
+
+    let result = { success: true };
+    if (!roomManager.isInRoom(roomCode, socket.id)) {
+      result = { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: `You are not in room ${roomCode}` };
+    } else if (PRIVILEGED_EVENTS.has(event)) {
+      result = roomManager.checkSession(roomCode, socket.id, data.sessionToken);
+    }
+
+    if (result.success) {
+      next();
+      return;
+    }
+
+    console.warn(`🚫 Refused ${event} from ${socket.id}: ${result.error}`);
+    if (getAck(packet)) {
+      getAck(packet)({ success: false, code: result.code, error: result.error });
+    } else {
+      socket.emit('room-error', result.error);
+    }
+  });
+
+  // Snapshot the room an event touched once its handler has run. This comes last, so events refused
+  // above (rate limited, malformed or not allowed in the room) never turn into disk writes. Only the
+  // socket's own room or one that exists is snapshotted - a code the client made up never reaches the store
+  socket.use((packet, next) => {
+    const [, data] = packet;
+    const namedRoom = roomManager.rooms.has(data?.roomCode) ? data.roomCode : null;
+    const roomCode = roomManager.playerToRoom.get(socket.id) || namedRoom;
+    setImmediate(() => {
+      saveRoomSoon(roomCode);
+      saveRoomSoon(roomManager.playerToRoom.get(socket.id)); // e.g. the room create-room just made
+    });
+    next();
+  });
+
   // Host creates room
   socket.on('create-room', (callback) => {
     try {
-      const roomCode = roomManager.createRoom(socket.id);
+      const roomCode = roomManager.createRoom(socket.id, { address });
       socket.join(roomCode);
       
       const roomData = roomManager.getRoomData(roomCode);
       
+      // Only the main screen is told its host token - it sends it back with host-only events
+      const { hostToken } = roomManager.rooms.get(roomCode);
+      const joinUrl = getJoinUrl(getSocketBaseUrl(socket), roomCode);
+
       // Support both callback and event patterns
       if (callback && typeof callback === 'function') {
-        callback({ success: true, roomCode, roomData });
+        callback({ success: true, roomCode, roomData, hostToken, joinUrl });
       } else {
         // Send response via event for Unity
-        socket.emit('room-created', { roomCode: roomCode });
+        socket.emit('room-created', { roomCode: roomCode, hostToken, joinUrl });
       }
       
       console.log(`Host ${socket.id} created room ${roomCode}`);
     } catch (error) {
       console.error('Error creating room:', error);
+      if (error.code === ErrorCodes.ROOM_LIMIT_REACHED) {
+        rateLimiter.recordRefusal('create-room', 'room-limit');
+      }
       if (callback && typeof callback === 'function') {
-        callback({ success: false, error: error.message });
+        callback({ success: false, code: error.code, error: error.message });
       } else {
         socket.emit('room-error', error.message);
       }
@@ -81,8 +357,8 @@ io.on('connection', (socket) => {
   // Player joins room
   socket.on('join-room', (data, callback) => {
     try {
-      const { roomCode, playerName } = data;
-      const result = roomManager.joinRoom(roomCode, socket.id, playerName);
+      const { roomCode, playerName, deviceId } = data;
+      const result = roomManager.joinRoom(roomCode, socket.id, playerName, deviceId || null);
       
       if (result.success) {
         socket.join(roomCode);
@@ -92,19 +368,15 @@ io.on('connection', (socket) => {
           playerName: result.player.name,
           playerColor: result.player.color,
           isFirstPlayer: result.player.isFirstPlayer,
-          players: Array.from(roomManager.rooms.get(roomCode).players.values()).map(p => ({
-            name: p.name,
-            color: p.color,
-            cardCount: p.cardCount || 0,
-            isFirstPlayer: p.isFirstPlayer || false
-          }))
+          players: getLobbyPlayers(roomManager.rooms.get(roomCode))
         });
         
         callback({ 
           success: true, 
           roomData: result.roomData, 
           isFirstPlayer: result.player.isFirstPlayer,
-          playerColor: result.player.color 
+          playerColor: result.player.color,
+          reconnectToken: result.player.reconnectToken
         });
       } else {
         callback({ success: false, error: result.error });
@@ -115,15 +387,97 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Player reclaims their seat after a dropped connection
+  socket.on('rejoin-room', (data, callback) => {
+    try {
+      const { roomCode, reconnectToken } = data;
+      const result = roomManager.rejoinRoom(roomCode, socket.id, reconnectToken);
+
+      if (result.success) {
+        clearTimeout(seatReleaseTimers.get(reconnectToken));
+        seatReleaseTimers.delete(reconnectToken);
+        socket.join(roomCode);
+
+        console.log(`🔌 ${result.player.name} reconnected to room ${roomCode}`);
+
+        io.to(roomCode).emit('player-reconnected', {
+          playerName: result.player.name,
+          playerColor: result.player.color,
+          gameState: roomManager.getMainScreenGameState(roomManager.rooms.get(roomCode))
+        });
+
+        callback({
+          success: true,
+          roomData: result.roomData,
+          playerName: result.player.name,
+          isFirstPlayer: result.player.isFirstPlayer,
+          playerColor: result.player.color,
+          reconnectToken: result.player.reconnectToken,
+          gameState: roomManager.getGameStateForPlayer(roomCode, socket.id)
+        });
+      } else {
+        callback({ success: false, code: result.code, error: result.error });
+      }
+    } catch (error) {
+      console.error('Error rejoining room:', error);
+      callback({ success: false, error: error.message });
+    }
+  });
+
+  // Latecomer watches the game without a hand
+  socket.on('spectate-room', (data, callback) => {
+    try {
+      const { roomCode, spectatorName, deviceId } = data;
+      const result = roomManager.joinAsSpectator(roomCode, socket.id, spectatorName, deviceId || null);
+
+      if (result.success) {
+        socket.join(roomCode); // Spectators get every room broadcast, never a private hand
+        callback({ success: true, gameState: result.gameState });
+      } else {
+        callback({ success: false, error: result.error });
+      }
+    } catch (error) {
+      console.error('Error spectating room:', error);
+      callback({ success: false, error: error.message });
+    }
+  });
+
   // Host joins room (for new players scenario)
   socket.on('host-join-room', (data) => {
     try {
-      const { roomCode } = data;
+      const { roomCode, sessionToken } = data;
       console.log(`🏠 Host ${socket.id} joining room ${roomCode}`);
       
       // Verify room exists
       if (roomManager.rooms.has(roomCode)) {
+        const room = roomManager.rooms.get(roomCode);
+
+        // Only the main screen that created the room (it knows the host token) may take it back or watch it as host
+        if (room.hostId !== socket.id && !roomManager.isHostToken(roomCode, sessionToken)) {
+          console.error(`❌ Host ${socket.id} sent the wrong host token for room ${roomCode}`);
+          socket.emit('room-error', `Not authorized to host room ${roomCode}`);
+          return;
+        }
         socket.join(roomCode);
+
+        // Rooms whose main screen dropped (or that were restored after a server restart) wait for
+        // it to come back - hand it everything it needs to redraw the table
+        const previousHostGone = Boolean(room.hostId) && room.hostId !== socket.id && !io.sockets.sockets.has(room.hostId);
+        if (!room.hostId || previousHostGone) {
+          roomManager.reattachHost(roomCode, socket.id, { previousHostGone });
+          clearTimeout(hostReleaseTimers.get(roomCode));
+          hostReleaseTimers.delete(roomCode);
+
+          socket.emit('host-reattached', {
+            roomCode,
+            hostToken: room.hostToken, // New if the room was restored from before host tokens
+            joinUrl: getJoinUrl(getSocketBaseUrl(socket), roomCode),
+            roomData: roomManager.getRoomData(roomCode),
+            gameState: roomManager.getMainScreenGameState(room),
+            gameOver: room.gameState.phase === 'game-over' ? getGameOverData(room) : null // Results to show again
+          });
+          socket.to(roomCode).emit('host-reconnected', { players: getLobbyPlayers(room) });
+        }
         console.log(`✅ Host ${socket.id} successfully joined room ${roomCode}`);
       } else {
         console.error(`❌ Room ${roomCode} not found for host join`);
@@ -159,23 +513,13 @@ io.on('connection', (socket) => {
           }
         }
         
-        // Send overall game state to main screen (host)
-        const mainScreenGameState = {
-          currentPlayer: Array.from(room.players.values())[result.gameState.currentPlayer]?.name,
-          topCard: result.gameState.lastPlayedCard,
-          currentColor: result.gameState.currentColor,
-          deckCount: result.gameState.deck.length,
-          players: Array.from(room.players.values()).map(p => ({
-            name: p.name,
-            color: p.color,
-            cardCount: p.cardCount
-          }))
-        };
-        
-        // Emit to all clients in room (including Unity main screen)
+        // Emit the overall game state to all clients in room (including Unity main screen)
         io.to(roomCode).emit('game-started', {
-          gameState: mainScreenGameState
+          gameState: roomManager.getMainScreenGameState(room)
         });
+
+        scheduleBotTurn(roomCode);
+        startTurnTimer(roomCode);
         
         // Send callback response if callback provided
         if (callback && typeof callback === 'function') {
@@ -202,450 +546,442 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Player submits action (answer, etc.)
-  socket.on('player-action', (data, callback) => {
+  // Host or first player changes any of the lobby settings at once: house rules, deck, turn timer,
+  // match scoring, max players and whether spectators may watch. Everyone in the room sees the result
+  socket.on('update-room-settings', (data, callback) => {
     try {
-      const { roomCode, action } = data;
-      const room = roomManager.rooms.get(roomCode);
-      if (!room) return;
-      
-      // CHECK: Block player actions during animation
-      if (roomManager.isAnimationBlocking(room)) {
-        console.log('🚫 Blocking player action - animation in progress');
-        callback({ success: false, error: 'Animation in progress' });
-        return;
-      }
-      
-      const result = roomManager.handlePlayerAction(roomCode, socket.id, action);
-      
+      const { roomCode, settings } = data;
+      const result = roomManager.updateRoomSettings(roomCode, socket.id, settings);
+
       if (result.success) {
-        // Notify room about the action
-        socket.to(roomCode).emit('player-action-received', {
-          playerId: socket.id,
-          action,
-          result
-        });
-        
-        // If all players submitted, move to next phase
-        if (result.allSubmitted) {
-          setTimeout(() => {
-            endRound(roomCode);
-          }, 1000);
-        }
-        
-        callback({ success: true, message: result.message });
-      } else {
-        callback({ success: false, error: result.error });
+        io.to(roomCode).emit('room-settings-updated', { settings: result.settings });
+      }
+
+      if (callback && typeof callback === 'function') {
+        callback(result);
       }
     } catch (error) {
-      console.error('Error handling player action:', error);
-      callback({ success: false, error: error.message });
+      console.error('Error updating room settings:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
     }
   });
 
-  // Get room status
-  socket.on('get-room-status', (roomCode, callback) => {
-    const roomData = roomManager.getRoomData(roomCode);
-    callback(roomData);
-  });
-
-  // Crazy 8s specific events
-  socket.on('play-card', (data) => {
+  // Host or first player picks house rules in the lobby
+  socket.on('set-house-rules', (data, callback) => {
     try {
-      const { roomCode, card, chosenColor } = data; // Extract chosenColor from data
-      const room = roomManager.rooms.get(roomCode);
-      if (!room) return;
-
-      // CHECK: Block card playing during animation, BUT ALLOW 8-card color choices
-      if (roomManager.isAnimationBlocking(room)) {
-        // If this is an 8-card with chosenColor, allow it (completing previous 8-card play)
-        if (card.rank === '8' && chosenColor) {
-          console.log('✅ Allowing 8-card color choice during animation');
-        } else {
-          console.log('🚫 Blocking card play - animation in progress');
-          return; // Silently reject non-8-card plays during animation
-        }
-      }
-
-      const playerIndex = roomManager.getPlayerIndex(room, socket.id);
-      if (playerIndex === -1) return;
+      const { roomCode, rules } = data;
+      const result = roomManager.setHouseRules(roomCode, socket.id, rules);
 
-      const cardIndex = room.gameState.playerHands[playerIndex].findIndex(c => 
-        c.color === card.color && c.rank === card.rank
-      );
-
-      const result = roomManager.handlePlayCard(room, playerIndex, cardIndex, chosenColor); // Pass chosenColor to handlePlayCard
-      
       if (result.success) {
-        // Handle winning 8 cards differently - no animation needed
-        if (result.winningEight) {
-          console.log('🏆 WINNING 8 DETECTED - Skipping spiral animation');
-          
-          // Send updated game state to each player individually FIRST (so they see card removed)
-          for (const [playerId] of room.players) {
-            const playerSocket = io.sockets.sockets.get(playerId);
-            if (playerSocket) {
-              const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-              playerSocket.emit('game-state-updated', {
-                gameState: {
-                  ...playerGameState,
-                  isAnimating: true, // Lock UI during winner animation
-                  phase: 'winner-animation' // Let phones know game is over
-                }
-              });
-            }
-          }
-          
-          // Notify all players about the card played (without animation)
-          io.to(roomCode).emit('card-played', {
-            playerName: room.players.get(socket.id).name,
-            card: card,
-            winningEight: true, // Flag to indicate no spiral animation needed
-            gameState: roomManager.getMainScreenGameState(room)
-          });
-
-          // Start winner animation sequence immediately
-          const winner = room.players.get(socket.id).name;
-          console.log('🏆 WINNER DETECTED (winning 8) - Starting winner animation sequence');
-          
-          // Set animation lock for winner animation (8 seconds)
-          roomManager.startAnimationLock(roomCode, 8000);
-          
-          // Set game phase to winner-animation
-          room.gameState.phase = 'winner-animation';
-          
-          // Send winner event ONLY TO UNITY (main screen)
-          const hostSocket = io.sockets.sockets.get(room.hostId);
-          if (hostSocket) {
-            hostSocket.emit('winner-detected', {
-              winner: winner,
-              winningEight: true, // Flag for Unity to know this was a winning 8
-              players: Array.from(room.players.values()).map(p => ({
-                name: p.name,
-                cardCount: p.cardCount,
-                color: p.color
-              }))
-            });
-          }
-
-          return; // Skip normal processing for winning 8
-        }
-        
-        // CRITICAL: If an 8 was played (non-winning), set animation lock IMMEDIATELY
-        if (card.rank === '8') {
-          console.log('🎬 8 card played - setting animation lock IMMEDIATELY');
-          roomManager.startAnimationLock(roomCode, 3300); // 3.3 seconds for spiral animation
-          
-          // Send animation lock state to all players IMMEDIATELY
-          for (const [playerId] of room.players) {
-            const playerSocket = io.sockets.sockets.get(playerId);
-            if (playerSocket) {
-              const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-              playerSocket.emit('game-state-updated', {
-                gameState: {
-                  ...playerGameState,
-                  isAnimating: true // Explicitly set this to ensure it's received
-                }
-              });
-            }
-          }
-        }
-
-        // If an 8 was played with a chosen color, emit color-chosen event
-        if (card.rank === '8' && chosenColor) {
-          io.to(roomCode).emit('color-chosen', {
-            playerName: room.players.get(socket.id).name,
-            color: chosenColor,
-            card: card,
-            gameState: roomManager.getMainScreenGameState(room)
-          });
-        }
-        
-        // Notify all players about the card played
-        io.to(roomCode).emit('card-played', {
-          playerName: room.players.get(socket.id).name,
-          card: card,
-          gameState: roomManager.getMainScreenGameState(room)
-        });
-
-        // Send updated game state to each player individually
-        for (const [playerId] of room.players) {
-          const playerSocket = io.sockets.sockets.get(playerId);
-          if (playerSocket) {
-            const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-            playerSocket.emit('game-state-updated', {
-              gameState: playerGameState
-            });
-          }
-        }
+        io.to(roomCode).emit('house-rules-updated', { houseRules: result.houseRules });
+        broadcastRoomSettings(roomCode);
+      }
 
-        // Check for win condition
-        if (room.gameState.playerHands[playerIndex].length === 0) {
-          const winner = room.players.get(socket.id).name;
-          
-          console.log('🏆 WINNER DETECTED - Starting winner animation sequence');
-          
-          // 1. Set animation lock for winner animation (8 seconds)
-          roomManager.startAnimationLock(roomCode, 8000); // 8 second winner animation
-          
-          // 2. Set game phase to winner-animation (NOT game-over yet)
-          room.gameState.phase = 'winner-animation';
-          
-          // 3. Send winner event ONLY TO UNITY (main screen)
-          const hostSocket = io.sockets.sockets.get(room.hostId);
-          if (hostSocket) {
-            hostSocket.emit('winner-detected', {
-              winner: winner,
-              players: Array.from(room.players.values()).map(p => ({
-                name: p.name,
-                cardCount: p.cardCount,
-                color: p.color
-              }))
-            });
-          }
-          
-          // 4. Send updated game state to phones (with animation lock)
-          for (const [playerId] of room.players) {
-            const playerSocket = io.sockets.sockets.get(playerId);
-            if (playerSocket) {
-              const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-              playerSocket.emit('game-state-updated', {
-                gameState: {
-                  ...playerGameState,
-                  isAnimating: true, // Lock phone UI during winner animation
-                  phase: 'winner-animation'
-                }
-              });
-            }
-          }
-          
-          console.log('🏆 Winner animation started - phones locked, Unity playing animation');
-        }
+      if (callback && typeof callback === 'function') {
+        callback(result);
       }
     } catch (error) {
-      console.error('Error playing card:', error);
+      console.error('Error setting house rules:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
     }
   });
 
-  socket.on('draw-card', (data) => {
+  // Host or first player changes the deck: ranks, number of sets, hand size and extra action cards
+  socket.on('set-deck-options', (data, callback) => {
     try {
-      const { roomCode } = data;
-      const room = roomManager.rooms.get(roomCode);
-      if (!room) return;
-
-      // CHECK: Block card drawing during animation
-      if (roomManager.isAnimationBlocking(room)) {
-        console.log('🚫 Blocking card draw - animation in progress');
-        return; // Silently reject the draw
-      }
-
-      const playerIndex = roomManager.getPlayerIndex(room, socket.id);
-      if (playerIndex === -1) return;
+      const { roomCode, options } = data;
+      const result = roomManager.setDeckOptions(roomCode, socket.id, options);
 
-      const result = roomManager.handleDrawCard(room, playerIndex);
-      
       if (result.success) {
-        // Notify all players about the card drawn
-        io.to(roomCode).emit('card-drawn', {
-          playerName: room.players.get(socket.id).name,
-          gameState: roomManager.getMainScreenGameState(room)
-        });
+        io.to(roomCode).emit('deck-options-updated', { deckOptions: result.deckOptions });
+        broadcastRoomSettings(roomCode);
+      }
 
-        // Send updated game state to each player individually
-        for (const [playerId] of room.players) {
-          const playerSocket = io.sockets.sockets.get(playerId);
-          if (playerSocket) {
-            const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-            playerSocket.emit('game-state-updated', {
-              gameState: playerGameState
-            });
-          }
-        }
+      if (callback && typeof callback === 'function') {
+        callback(result);
       }
     } catch (error) {
-      console.error('Error drawing card:', error);
+      console.error('Error setting deck options:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
     }
   });
 
-  socket.on('choose-color', (data) => { // Changed from choose-suit to choose-color
+  // Host or first player turns the turn clock on or off and sets how long each turn lasts
+  socket.on('set-turn-timer', (data, callback) => {
     try {
-      const { roomCode, color } = data; // Changed from suit to color
-      const room = roomManager.rooms.get(roomCode);
-      if (!room) return;
+      const { roomCode, options } = data;
+      const result = roomManager.setTurnTimer(roomCode, socket.id, options);
 
-      room.gameState.chosenColor = color; // Changed from chosenSuit to chosenColor
-      room.gameState.currentColor = color; // Changed from currentSuit to currentColor
+      if (result.success) {
+        io.to(roomCode).emit('turn-timer-updated', { turnTimer: result.turnTimer });
+        broadcastRoomSettings(roomCode);
+      }
 
-      // NOTE: Animation lock is already set when the 8 card was played
+      if (callback && typeof callback === 'function') {
+        callback(result);
+      }
+    } catch (error) {
+      console.error('Error setting turn timer:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
 
-      // Notify all players about the color choice (includes animation state)
-      io.to(roomCode).emit('color-chosen', { // Changed from suit-chosen to color-chosen
-        playerName: room.players.get(socket.id).name,
-        color: color, // Changed from suit to color
-        gameState: roomManager.getMainScreenGameState(room)
-      });
+  // Host or first player deals the next game from a known seed (null goes back to random).
+  // Only the requester hears about it - anyone who knows the seed knows the whole deck
+  socket.on('set-game-seed', (data, callback) => {
+    try {
+      const { roomCode, seed } = data;
+      const result = roomManager.setGameSeed(roomCode, socket.id, seed);
 
-      // Send updated game state to each player individually (includes animation lock)
-      for (const [playerId] of room.players) {
-        const playerSocket = io.sockets.sockets.get(playerId);
-        if (playerSocket) {
-          const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-          playerSocket.emit('game-state-updated', {
-            gameState: playerGameState
-          });
-        }
+      if (callback && typeof callback === 'function') {
+        callback(result);
       }
     } catch (error) {
-      console.error('Error choosing color:', error);
+      console.error('Error setting game seed:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
     }
   });
 
-  // Handle animation completion from Unity main screen
-  socket.on('animation-complete', () => {
-    console.log('🎬 Animation completion received from Unity main screen');
-    
+  // Host or first player turns on multi-round scoring and sets the target score
+  socket.on('set-match-options', (data, callback) => {
     try {
-      const roomCode = Array.from(roomManager.rooms.keys()).find(code => {
-        const room = roomManager.rooms.get(code);
-        return room && room.gameState.isAnimating;
-      });
-      
-      if (roomCode) {
+      const { roomCode, options } = data;
+      const result = roomManager.setMatchOptions(roomCode, socket.id, options);
+
+      if (result.success) {
+        io.to(roomCode).emit('match-options-updated', { matchOptions: result.matchOptions });
+        broadcastRoomSettings(roomCode);
+      }
+
+      if (callback && typeof callback === 'function') {
+        callback(result);
+      }
+    } catch (error) {
+      console.error('Error setting match options:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
+  // Host or first player adds a computer-controlled player to the lobby
+  socket.on('add-bot', (data, callback) => {
+    try {
+      const { roomCode, difficulty } = data;
+      const result = roomManager.addBot(roomCode, socket.id, difficulty);
+
+      if (result.success) {
         const room = roomManager.rooms.get(roomCode);
-        
-        console.log(`🎬 Room ${roomCode} phase: ${room.gameState.phase}, isAnimating: ${room.gameState.isAnimating}`);
-        
-        // CHECK: Don't clear animation lock if we're in winner-animation phase
-        if (room && room.gameState.phase === 'winner-animation') {
-          console.log('🎬 Skipping animation clear - winner animation in progress');
-          return;
+        io.to(roomCode).emit('player-joined', {
+          playerName: result.player.name,
+          playerColor: result.player.color,
+          isFirstPlayer: false,
+          isBot: true,
+          difficulty: result.player.difficulty,
+          players: getLobbyPlayers(room)
+        });
+      }
+
+      if (callback && typeof callback === 'function') {
+        callback(result.success
+          ? { success: true, playerName: result.player.name, playerColor: result.player.color }
+          : { success: false, error: result.error });
+      }
+    } catch (error) {
+      console.error('Error adding bot:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
+  socket.on('remove-bot', (data, callback) => {
+    try {
+      const { roomCode, botName } = data;
+      const result = roomManager.removeBot(roomCode, socket.id, botName);
+
+      if (result.success) {
+        const room = roomManager.rooms.get(roomCode);
+        io.to(roomCode).emit('player-left', {
+          playerName: result.player.name,
+          playerColor: result.player.color,
+          players: getLobbyPlayers(room)
+        });
+      }
+
+      if (callback && typeof callback === 'function') {
+        callback(result.success ? { success: true } : { success: false, error: result.error });
+      }
+    } catch (error) {
+      console.error('Error removing bot:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
+  // Host or first player removes a player, optionally banning their name or phone for the rest of the room's life.
+  // Mid-game their cards go back into the deck and play carries on without them - unless that leaves one seat,
+  // which wins the hand by walkover
+  socket.on('kick-player', (data, callback) => {
+    try {
+      const { roomCode, playerName, ban } = data;
+      const result = roomManager.kickPlayer(roomCode, socket.id, playerName, { ban });
+
+      if (result.success) {
+        const { player } = result;
+        clearTimeout(seatReleaseTimers.get(player.reconnectToken)); // They may have been holding a dropped seat
+        seatReleaseTimers.delete(player.reconnectToken);
+
+        const kickedSocket = io.sockets.sockets.get(player.id);
+        if (kickedSocket) {
+          kickedSocket.emit('kicked', { roomCode, banned: result.banned });
+          kickedSocket.leave(roomCode);
         }
-        
-        console.log(`🎬 Clearing animation lock for room ${roomCode}`);
-        roomManager.clearAnimationLock(roomCode);
-        
-        // Send updated game state to all players to unlock their UI
-        if (room) {
-          for (const [playerId] of room.players) {
-            const playerSocket = io.sockets.sockets.get(playerId);
-            if (playerSocket) {
-              const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-              playerSocket.emit('game-state-updated', {
-                gameState: playerGameState
-              });
-            }
+
+        const room = roomManager.rooms.get(roomCode);
+        io.to(roomCode).emit('player-left', {
+          playerName: player.name,
+          playerColor: player.color,
+          kicked: true,
+          players: getLobbyPlayers(room),
+          gameState: roomManager.getMainScreenGameState(room)
+        });
+
+        if (result.gameEnd) {
+          startWinnerAnimation(roomCode, result.gameEnd.winner, { walkover: true });
+        } else if (room.gameState.phase !== 'lobby') {
+          sendGameStateToPlayers(roomCode);
+          if (result.turnMoved) {
+            scheduleBotTurn(roomCode);
+            startTurnTimer(roomCode);
           }
         }
-      } else {
-        console.log('🎬 No active animation found to clear');
+      }
+
+      if (callback && typeof callback === 'function') {
+        callback(result.success ? { success: true } : { success: false, code: result.code, error: result.error });
       }
     } catch (error) {
-      console.error('Error handling animation completion:', error);
+      console.error('Error kicking player:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
     }
   });
 
-  // Handle first card flip animation completion from Unity main screen
-  socket.on('first-card-flip-complete', (data) => {
-    console.log('🎬 First card flip animation completion received from Unity main screen');
-    
+  // Host or first player hands first player controls to another phone
+  socket.on('transfer-first-player', (data, callback) => {
     try {
-      let roomCode;
-      
-      // Try to extract room code from data if provided
-      if (data && typeof data === 'string') {
-        try {
-          const parsed = JSON.parse(data);
-          roomCode = parsed.roomCode;
-        } catch {
-          roomCode = data; // In case it's just a plain room code string
-        }
-      } else if (data && data.roomCode) {
-        roomCode = data.roomCode;
+      const { roomCode, playerName } = data;
+      const result = roomManager.transferFirstPlayer(roomCode, socket.id, playerName);
+
+      if (result.success) {
+        io.to(roomCode).emit('first-player-changed', {
+          playerName: result.player.name,
+          players: getLobbyPlayers(roomManager.rooms.get(roomCode))
+        });
       }
-      
-      // If no room code provided, find the active game room
-      if (!roomCode) {
-        roomCode = Array.from(roomManager.rooms.keys()).find(code => {
-          const room = roomManager.rooms.get(code);
-          return room && room.gameState.phase === 'playing' && room.gameState.isAnimating;
+
+      if (callback && typeof callback === 'function') {
+        callback(result.success ? { success: true } : { success: false, code: result.code, error: result.error });
+      }
+    } catch (error) {
+      console.error('Error transferring first player:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
+  // Host or first player reorders the seats before the game starts - `order` is every player's name, or 'shuffle'
+  socket.on('arrange-seats', (data, callback) => {
+    try {
+      const { roomCode, order } = data;
+      const result = roomManager.arrangeSeats(roomCode, socket.id, order);
+
+      if (result.success) {
+        io.to(roomCode).emit('seats-arranged', {
+          order: result.order,
+          players: getLobbyPlayers(roomManager.rooms.get(roomCode))
         });
       }
-      
-      if (roomCode) {
-        console.log(`🎬 Handling first card flip completion for room ${roomCode}`);
-        const result = roomManager.handleFirstCardFlipComplete(roomCode);
-        
-        if (result.success) {
-          // Send updated game state to all players to re-enable their UI
-          const room = roomManager.rooms.get(roomCode);
-          if (room) {
-            for (const [playerId] of room.players) {
-              const playerSocket = io.sockets.sockets.get(playerId);
-              if (playerSocket) {
-                const playerGameState = roomManager.getGameStateForPlayer(roomCode, playerId);
-                playerSocket.emit('game-state-updated', {
-                  gameState: playerGameState
-                });
-              }
-            }
-            console.log(`🎬 First card flip complete - phones re-enabled for room ${roomCode}`);
-          }
-        }
-      } else {
-        console.log('🎬 No active first card flip animation found to complete');
+
+      if (callback && typeof callback === 'function') {
+        callback(result.success ? { success: true, order: result.order } : { success: false, code: result.code, error: result.error });
+      }
+    } catch (error) {
+      console.error('Error arranging seats:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
+  // Older clients send every move as one event - it goes through the same handlers as the events below,
+  // so it gets the same rules, broadcasts, bot turns and turn timer
+  socket.on('player-action', (data, callback) => {
+    try {
+      const { roomCode, action } = data;
+      let result;
+      switch (action.type) {
+        case 'play_card':
+          result = playCard(roomCode, socket.id, action.cardId, action.chosenColor);
+          break;
+        case 'draw_card':
+          result = drawCard(roomCode, socket.id);
+          break;
+        case 'choose_color':
+          result = chooseColor(roomCode, socket.id, action.color);
+          break;
+        case 'pass':
+          result = passTurn(roomCode, socket.id);
+          break;
+        default:
+          result = actionError(ErrorCodes.UNKNOWN_ACTION, 'Unknown action type');
+      }
+      callback(result);
+    } catch (error) {
+      console.error('Error handling player action:', error);
+      callback(actionError(ErrorCodes.SERVER_ERROR, error.message));
+    }
+  });
+
+  // Get room status
+  socket.on('get-room-status', (data, callback) => {
+    const roomData = roomManager.getRoomData(data.roomCode);
+    callback(roomData);
+  });
+
+  // Crazy 8s specific events
+  // Game moves reply through the ack callback: { success: true } or { success: false, code, error }
+  socket.on('play-card', (data, callback) => {
+    try {
+      const { roomCode, cardId, chosenColor } = data; // Cards are named by id - the server looks up the rest
+      const result = playCard(roomCode, socket.id, cardId, chosenColor);
+      if (callback && typeof callback === 'function') {
+        callback(result);
+      }
+    } catch (error) {
+      console.error('Error playing card:', error);
+      if (callback && typeof callback === 'function') {
+        callback(actionError(ErrorCodes.SERVER_ERROR, error.message));
+      }
+    }
+  });
+
+  socket.on('draw-card', (data, callback) => {
+    try {
+      const { roomCode } = data;
+      const result = drawCard(roomCode, socket.id);
+      if (callback && typeof callback === 'function') {
+        callback(result);
+      }
+    } catch (error) {
+      console.error('Error drawing card:', error);
+      if (callback && typeof callback === 'function') {
+        callback(actionError(ErrorCodes.SERVER_ERROR, error.message));
+      }
+    }
+  });
+
+  socket.on('choose-color', (data, callback) => { // Changed from choose-suit to choose-color
+    try {
+      const { roomCode, color } = data; // Changed from suit to color
+      const result = chooseColor(roomCode, socket.id, color);
+      if (callback && typeof callback === 'function') {
+        callback(result);
       }
     } catch (error) {
-      console.error('Error handling first card flip completion:', error);
+      console.error('Error choosing color:', error);
+      if (callback && typeof callback === 'function') {
+        callback(actionError(ErrorCodes.SERVER_ERROR, error.message));
+      }
+    }
+  });
+
+  // Pass the turn - only allowed once there is nothing left to draw and nothing in hand to play
+  socket.on('pass-turn', (data, callback) => {
+    try {
+      const { roomCode } = data;
+      const result = passTurn(roomCode, socket.id);
+      if (callback && typeof callback === 'function') {
+        callback(result);
+      }
+    } catch (error) {
+      console.error('Error passing turn:', error);
+      if (callback && typeof callback === 'function') {
+        callback(actionError(ErrorCodes.SERVER_ERROR, error.message));
+      }
     }
   });
 
+  // Main screen callbacks below only release locks in the room this socket is hosting,
+  // so parties sharing the server can't unlock each other's animations
+
+  // Handle spiral animation completion from Unity main screen
+  socket.on('animation-complete', () => {
+    releaseHostAnimation(socket, 'spiral');
+  });
+
+  // Handle first card flip animation completion from Unity main screen
+  socket.on('first-card-flip-complete', () => {
+    releaseHostAnimation(socket, 'first-flip');
+  });
+
   // Handle winner animation completion from Unity main screen
-  socket.on('winner-animation-complete', (data) => {
-    console.log('🏆 Winner animation completion received from Unity main screen');
-    console.log('🏆 Raw data received:', data);
-    
+  socket.on('winner-animation-complete', () => {
+    releaseHostAnimation(socket, 'winner');
+  });
+
+  // Host or first player re-watches the last game step by step on the main screen and phones
+  socket.on('start-replay', (data, callback) => {
     try {
-      // Parse the JSON string from Unity
-      let parsedData;
-      if (typeof data === 'string') {
-        parsedData = JSON.parse(data);
-      } else {
-        parsedData = data;
+      const { roomCode } = data;
+      const result = roomManager.getReplay(roomCode, socket.id);
+
+      if (result.success) {
+        startReplay(roomCode, result.frames);
       }
-      
-      const { roomCode, winner } = parsedData;
-      console.log(`🏆 Parsed roomCode: ${roomCode}, winner: ${winner}`);
-      
-      const room = roomManager.rooms.get(roomCode);
-      
-      console.log(`🏆 Room ${roomCode} phase: ${room?.gameState?.phase}, isAnimating: ${room?.gameState?.isAnimating}`);
-      
-      if (room && room.gameState.phase === 'winner-animation') {
-        console.log(`🏆 Completing winner animation for ${winner} in room ${roomCode}`);
-        
-        // 1. Clear animation lock
-        roomManager.clearAnimationLock(roomCode);
-        
-        // 2. Set game phase to game-over
-        room.gameState.phase = 'game-over';
-        
-        // 3. Send game-over event to ALL clients (phones + Unity)
-        io.to(roomCode).emit('game-over', {
-          winner: winner,
-          players: Array.from(room.players.values()).map(p => ({
-            name: p.name,
-            cardCount: p.cardCount,
-            color: p.color
-          }))
-        });
-        
-        console.log(`🏆 Game over state sent to all clients in room ${roomCode}`);
-      } else {
-        console.log('🏆 No active winner animation found to complete');
-        console.log(`🏆 Room exists: ${!!room}, Room phase: ${room?.gameState?.phase}, Expected: winner-animation`);
+
+      if (callback && typeof callback === 'function') {
+        callback(result.success ? { success: true, steps: result.frames.length } : result);
+      }
+    } catch (error) {
+      console.error('Error starting replay:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
+  socket.on('stop-replay', (data, callback) => {
+    try {
+      const { roomCode } = data;
+      const result = roomManager.getReplay(roomCode, socket.id); // Same permission check as starting one
+
+      if (result.success) {
+        stopReplay(roomCode, true);
+      }
+
+      if (callback && typeof callback === 'function') {
+        callback(result.success ? { success: true } : result);
       }
     } catch (error) {
-      console.error('Error handling winner animation completion:', error);
+      console.error('Error stopping replay:', error);
+      if (callback && typeof callback === 'function') {
+        callback({ success: false, error: error.message });
+      }
     }
   });
 
@@ -655,8 +991,14 @@ io.on('connection', (socket) => {
     try {
       const { roomCode } = data;
       console.log(`🔄 Host requested restart for room: ${roomCode}`);
+      cancelReplay(roomCode);
       
       const result = roomManager.restartGame(roomCode, socket.id);
+
+      // Spectators dealt into this round switch their phones over to playing
+      if (result.promoted && result.promoted.length > 0) {
+        notifyPromotedSpectators(roomCode, result.promoted);
+      }
       
       if (result.success) {
         const room = roomManager.rooms.get(roomCode);
@@ -666,20 +1008,8 @@ io.on('connection', (socket) => {
         // 1. Send game-started event to Unity (main screen)
         const hostSocket = io.sockets.sockets.get(room.hostId);
         if (hostSocket) {
-          const mainScreenGameState = {
-            currentPlayer: Array.from(room.players.values())[result.gameState.currentPlayer]?.name,
-            topCard: result.gameState.lastPlayedCard,
-            currentColor: result.gameState.currentColor,
-            deckCount: result.gameState.deck.length,
-            players: Array.from(room.players.values()).map(p => ({
-              name: p.name,
-              color: p.color,
-              cardCount: p.cardCount
-            }))
-          };
-          
           hostSocket.emit('game-started', {
-            gameState: mainScreenGameState
+            gameState: roomManager.getMainScreenGameState(room)
           });
         }
         
@@ -693,8 +1023,20 @@ io.on('connection', (socket) => {
             });
           }
         }
+
+        // 3. Spectators still waiting for a seat get the public view
+        for (const [spectatorId] of room.spectators) {
+          const spectatorSocket = io.sockets.sockets.get(spectatorId);
+          if (spectatorSocket) {
+            spectatorSocket.emit('game-started', {
+              gameState: roomManager.getMainScreenGameState(room)
+            });
+          }
+        }
         
         console.log(`✅ Game restarted successfully for room: ${roomCode}`);
+        scheduleBotTurn(roomCode);
+        startTurnTimer(roomCode);
         
         if (callback && typeof callback === 'function') {
           callback({ success: true });
@@ -717,44 +1059,37 @@ io.on('connection', (socket) => {
     try {
       const { roomCode } = data;
       console.log(`👥 Host requested new players for room: ${roomCode}`);
+      cancelReplay(roomCode);
       
-      const currentRoom = roomManager.rooms.get(roomCode);
-      if (!currentRoom) {
-        console.log(`❌ Room ${roomCode} not found`);
-        if (callback && typeof callback === 'function') {
-          callback({ success: false, error: 'Room not found' });
-        }
-        return;
-      }
-      
-      console.log(`🏠 Closing room ${roomCode} and creating new one`);
-      
-      // 1. Notify all current players that room is closing
-      io.to(roomCode).emit('room-closed', {
-        message: 'Host started a new game with new players',
-        reason: 'new-players'
-      });
-      
-      // 2. Create new room with same host
-      const result = roomManager.startNewGame(roomCode, currentRoom.hostId);
+      // 1. Create new room with same host (the old one is closed - host or first player only)
+      const result = roomManager.startNewGame(roomCode, socket.id);
       
       if (result.success) {
         console.log(`✅ New room created: ${result.newRoomCode}`);
+
+        // 2. Notify all current players that room is closing
+        io.to(roomCode).emit('room-closed', {
+          message: 'Host started a new game with new players',
+          reason: 'new-players'
+        });
         
         // 3. Send new room code to Unity (host) via callback AND socket event
         if (callback && typeof callback === 'function') {
           callback({ 
             success: true, 
-            newRoomCode: result.newRoomCode 
+            newRoomCode: result.newRoomCode,
+            joinUrl: getJoinUrl(getSocketBaseUrl(socket), result.newRoomCode)
           });
         }
         
-        // 4. Also emit socket event to Unity with new room code
-        const hostSocket = io.sockets.sockets.get(currentRoom.hostId);
+        // 4. Also emit socket event to Unity with new room code and its new host token
+        const hostSocket = io.sockets.sockets.get(result.hostId);
         if (hostSocket) {
           console.log(`📡 Sending new-room-created event to Unity`);
           hostSocket.emit('new-room-created', {
             newRoomCode: result.newRoomCode,
+            hostToken: result.hostToken,
+            joinUrl: getJoinUrl(getSocketBaseUrl(hostSocket), result.newRoomCode),
             message: 'New game created with new players'
           });
         } else {
@@ -764,8 +1099,11 @@ io.on('connection', (socket) => {
         console.log(`🏠 Host should now join room ${result.newRoomCode}`);
       } else {
         console.error(`❌ Failed to create new room: ${result.error}`);
+        if (result.code === ErrorCodes.ROOM_LIMIT_REACHED) {
+          rateLimiter.recordRefusal('host-new-players', 'room-limit');
+        }
         if (callback && typeof callback === 'function') {
-          callback({ success: false, error: result.error });
+          callback({ success: false, code: result.code, error: result.error });
         }
       }
     } catch (error) {
@@ -778,14 +1116,33 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log(`Client disconnected: ${socket.id}`);
+    rateLimiter.forgetSocket(socket.id);
     
     const result = roomManager.handleDisconnect(socket.id);
     if (result) {
-      if (result.roomClosed) {
-        // Notify all players that room was closed
-        io.to(result.roomCode).emit('room-closed', {
-          message: 'Host disconnected, room closed'
+      if (result.seatHeld) {
+        // Keep the seat for a while so the phone can come back with its reconnect token
+        io.to(result.roomCode).emit('player-disconnected', {
+          playerName: result.playerName,
+          playerColor: result.playerColor,
+          turnSkipped: result.turnSkipped,
+          reconnectGraceMs: roomManager.reconnectGraceMs,
+          gameState: roomManager.getMainScreenGameState(roomManager.rooms.get(result.roomCode))
         });
+        if (result.turnSkipped) {
+          sendGameStateToPlayers(result.roomCode);
+          scheduleBotTurn(result.roomCode);
+          startTurnTimer(result.roomCode);
+        }
+
+        holdSeat(result.roomCode, result.reconnectToken);
+      } else if (result.spectatorLeft) {
+        // Nobody else tracks spectators, so there is nothing to announce
+        console.log(`Spectator ${result.spectatorName} left room ${result.roomCode}`);
+      } else if (result.hostDropped) {
+        // Give the main screen a while to come back before a phone takes over
+        io.to(result.roomCode).emit('host-disconnected', { graceMs: roomManager.hostGraceMs });
+        holdRoomForHost(result.roomCode);
       } else if (result.roomCode) {
         // Notify room that player left
         io.to(result.roomCode).emit('player-left', {
@@ -798,118 +1155,820 @@ io.on('connection', (socket) => {
           }))
         });
       }
+
+      saveRoomSoon(result.roomCode);
     }
   });
 });
 
-// Game timer functions
-function startGameTimer(roomCode) {
-  const timer = setInterval(() => {
-    const roomData = roomManager.getRoomData(roomCode);
-    if (!roomData || roomData.gameState.phase !== 'playing') {
-      clearInterval(timer);
-      return;
+// Play a card for a player (phones and bots both go through here)
+function playCard(roomCode, playerId, cardId, chosenColor) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found');
+
+  const turn = roomManager.checkTurn(room, playerId);
+  if (!turn.success) return turn;
+  const { playerIndex } = turn;
+
+  // The server's copy of the card is the only one that counts
+  const card = roomManager.findCardInHand(room, playerIndex, cardId);
+  if (!card) {
+    console.log(`🚫 Rejecting card play - ${cardId} is not in ${room.players.get(playerId).name}'s hand`);
+    return actionError(ErrorCodes.CARD_NOT_IN_HAND, 'That card is not in your hand');
+  }
+
+  // CHECK: Block card playing during animation, BUT ALLOW 8-card color choices
+  if (roomManager.isAnimationBlocking(room)) {
+    // If this is an 8-card with chosenColor, allow it (completing previous 8-card play)
+    if (card.rank === '8' && chosenColor) {
+      console.log('✅ Allowing 8-card color choice during animation');
+    } else {
+      console.log('🚫 Blocking card play - animation in progress');
+      return actionError(ErrorCodes.ANIMATION_LOCKED, 'Please wait for the animation to complete');
     }
+  }
 
-    if (roomData.gameState.timeLeft <= 0) {
-      clearInterval(timer);
-      endRound(roomCode);
-      return;
+  const result = roomManager.handlePlayCard(room, playerIndex, cardId, chosenColor); // Pass chosenColor to handlePlayCard
+  roomManager.verifyRoom(roomCode); // Every card still accounted for before anyone sees the move
+  
+  if (result.success) {
+    // Handle winning 8 cards differently - no animation needed
+    if (result.winningEight) {
+      console.log('🏆 WINNING 8 DETECTED - Skipping spiral animation');
+      
+      // Send updated game state to each player individually FIRST (so they see card removed)
+      for (const [recipientId] of room.players) {
+        const playerSocket = io.sockets.sockets.get(recipientId);
+        if (playerSocket) {
+          const playerGameState = roomManager.getGameStateForPlayer(roomCode, recipientId);
+          playerSocket.emit('game-state-updated', {
+            gameState: {
+              ...playerGameState,
+              isAnimating: true, // Lock UI during winner animation
+              phase: 'winner-animation' // Let phones know game is over
+            }
+          });
+        }
+      }
+      
+      // Notify all players about the card played (without animation)
+      io.to(roomCode).emit('card-played', {
+        playerName: room.players.get(playerId).name,
+        card: card,
+        winningEight: true, // Flag to indicate no spiral animation needed
+        gameState: roomManager.getMainScreenGameState(room)
+      });
+
+      // Start winner animation sequence immediately
+      const winner = room.players.get(playerId).name;
+      console.log('🏆 WINNER DETECTED (winning 8) - Starting winner animation sequence');
+      
+      // Lock phones until the main screen finishes the winner animation
+      roomManager.lockAnimation(roomCode, 'winner');
+      
+      // Set game phase to winner-animation
+      room.gameState.phase = 'winner-animation';
+      
+      // Send winner event ONLY TO UNITY (main screen)
+      const hostSocket = io.sockets.sockets.get(room.hostId);
+      if (hostSocket) {
+        hostSocket.emit('winner-detected', {
+          winner: winner,
+          winningEight: true, // Flag for Unity to know this was a winning 8
+          players: Array.from(room.players.values()).map(p => ({
+            name: p.name,
+            cardCount: p.cardCount,
+            color: p.color
+          }))
+        });
+      }
+
+      saveRoomSoon(roomCode);
+      return { success: true }; // Skip normal processing for winning 8
+    }
+    
+    // CRITICAL: If an 8 was played (non-winning), set animation lock IMMEDIATELY
+    if (card.rank === '8') {
+      console.log('🎬 8 card played - setting animation lock IMMEDIATELY');
+      roomManager.lockAnimation(roomCode, 'spiral');
+      
+      // Send animation lock state to all players IMMEDIATELY
+      for (const [recipientId] of room.players) {
+        const playerSocket = io.sockets.sockets.get(recipientId);
+        if (playerSocket) {
+          const playerGameState = roomManager.getGameStateForPlayer(roomCode, recipientId);
+          playerSocket.emit('game-state-updated', {
+            gameState: {
+              ...playerGameState,
+              isAnimating: true // Explicitly set this to ensure it's received
+            }
+          });
+        }
+      }
     }
 
-    // Decrease time and emit update
-    const room = roomManager.rooms.get(roomCode);
-    if (room) {
-      room.gameState.timeLeft--;
-      io.to(roomCode).emit('timer-update', {
-        timeLeft: room.gameState.timeLeft
+    // If an 8 was played with a chosen color, emit color-chosen event
+    if (card.rank === '8' && chosenColor) {
+      io.to(roomCode).emit('color-chosen', {
+        playerName: room.players.get(playerId).name,
+        color: chosenColor,
+        card: card,
+        gameState: roomManager.getMainScreenGameState(room)
       });
     }
-  }, 1000);
+    
+    // Notify all players about the card played
+    io.to(roomCode).emit('card-played', {
+      playerName: room.players.get(playerId).name,
+      card: card,
+      effect: result.effect, // House-rule action (draw-two, skip, reverse) if any
+      gameState: roomManager.getMainScreenGameState(room)
+    });
+
+    // Send updated game state to each player individually
+    sendGameStateToPlayers(roomCode);
+
+    // Check for win condition
+    if (room.gameState.playerHands[playerIndex].length === 0) {
+      startWinnerAnimation(roomCode, room.players.get(playerId).name);
+    }
+
+    scheduleBotTurn(roomCode);
+    startTurnTimer(roomCode);
+    saveRoomSoon(roomCode); // Bots and the turn clock get here without a socket event
+    return { success: true };
+  }
+
+  console.log(`🚫 Card play rejected: ${result.error}`);
+  return result;
 }
 
-function endRound(roomCode) {
+// Draw a card for a player (phones, bots and the turn clock all go through here)
+function drawCard(roomCode, playerId, options) {
   const room = roomManager.rooms.get(roomCode);
-  if (!room) return;
+  if (!room) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found');
+
+  const turn = roomManager.checkTurn(room, playerId);
+  if (!turn.success) return turn;
+  const { playerIndex } = turn;
+
+  // CHECK: Block card drawing during animation
+  if (roomManager.isAnimationBlocking(room)) {
+    console.log('🚫 Blocking card draw - animation in progress');
+    return actionError(ErrorCodes.ANIMATION_LOCKED, 'Please wait for the animation to complete');
+  }
 
-  room.gameState.phase = 'round-end';
+  const result = roomManager.handleDrawCard(room, playerIndex, options);
+  roomManager.verifyRoom(roomCode);
   
-  // Collect all responses
-  const responses = Array.from(room.gameState.responses.entries()).map(([playerId, response]) => {
-    const player = room.players.get(playerId);
-    return {
-      playerId,
-      playerName: player ? player.name : 'Unknown',
-      text: response.text,
-      submittedAt: response.submittedAt
-    };
+  if (result.success) {
+    // Notify all players about the card drawn
+    io.to(roomCode).emit('card-drawn', {
+      playerName: room.players.get(playerId).name,
+      drawnCount: result.drawnCards ? result.drawnCards.length : 1,
+      penalty: result.penalty || false,
+      gameState: roomManager.getMainScreenGameState(room)
+    });
+
+    // Send updated game state to each player individually
+    sendGameStateToPlayers(roomCode);
+    scheduleBotTurn(roomCode);
+    startTurnTimer(roomCode);
+    saveRoomSoon(roomCode);
+    return { success: true };
+  }
+
+  console.log(`🚫 Card draw rejected: ${result.error}`);
+  return result;
+}
+
+// Pick the color for an 8 that was played without one
+function chooseColor(roomCode, playerId, color) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found');
+
+  const turn = roomManager.checkTurn(room, playerId);
+  if (!turn.success) return turn;
+
+  const result = roomManager.handleChooseColor(room, turn.playerIndex, color);
+  roomManager.verifyRoom(roomCode);
+  if (!result.success) {
+    console.log(`🚫 Color choice rejected: ${result.error}`);
+    return result;
+  }
+
+  // NOTE: Animation lock is already set when the 8 card was played
+
+  // Notify all players about the color choice (includes animation state)
+  io.to(roomCode).emit('color-chosen', { // Changed from suit-chosen to color-chosen
+    playerName: room.players.get(playerId).name,
+    color: color, // Changed from suit to color
+    gameState: roomManager.getMainScreenGameState(room)
   });
 
-  // Emit round results
-  io.to(roomCode).emit('round-ended', {
-    responses,
-    roundNumber: room.gameState.round
+  // Send updated game state to each player individually (includes animation lock)
+  sendGameStateToPlayers(roomCode);
+  scheduleBotTurn(roomCode);
+  startTurnTimer(roomCode);
+  saveRoomSoon(roomCode);
+  return { success: true };
+}
+
+// Pass the turn for a player who can neither draw nor play (phones, bots and the turn clock)
+function passTurn(roomCode, playerId) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found');
+
+  const turn = roomManager.checkTurn(room, playerId);
+  if (!turn.success) return turn;
+
+  if (roomManager.isAnimationBlocking(room)) {
+    return actionError(ErrorCodes.ANIMATION_LOCKED, 'Please wait for the animation to complete');
+  }
+
+  const result = roomManager.handlePass(room, turn.playerIndex);
+  roomManager.verifyRoom(roomCode);
+  if (!result.success) {
+    console.log(`🚫 Pass rejected: ${result.error}`);
+    return result;
+  }
+
+  const playerName = room.players.get(playerId).name;
+  io.to(roomCode).emit('player-passed', {
+    playerName,
+    gameState: roomManager.getMainScreenGameState(room)
   });
 
-  // Start next round after delay
-  setTimeout(() => {
-    startNextRound(roomCode);
-  }, 5000);
+  if (result.blocked) {
+    // Nobody can move - the lowest hand wins, with the usual winner animation
+    startWinnerAnimation(roomCode, result.winner, { blocked: true, handValues: result.handValues });
+  } else {
+    sendGameStateToPlayers(roomCode);
+    scheduleBotTurn(roomCode);
+    startTurnTimer(roomCode);
+  }
+
+  saveRoomSoon(roomCode);
+  return { success: true };
 }
 
-function startNextRound(roomCode) {
+// Send the room's full settings to everyone in it - the single-setting events above only carry their own part
+function broadcastRoomSettings(roomCode) {
   const room = roomManager.rooms.get(roomCode);
-  if (!room) return;
+  if (room) {
+    io.to(roomCode).emit('room-settings-updated', { settings: room.settings });
+  }
+}
 
-  room.gameState.round++;
-  
-  // End game after 3 rounds
-  if (room.gameState.round > 3) {
-    endGame(roomCode);
+// Lock the room for the main screen's winner animation - it ends in game-over once the main
+// screen reports back (or the lock times out). `details` is added to winner-detected
+function startWinnerAnimation(roomCode, winner, details = {}) {
+  const room = roomManager.rooms.get(roomCode);
+  console.log('🏆 WINNER DETECTED - Starting winner animation sequence');
+
+  // 1. Lock phones until the main screen finishes the winner animation
+  roomManager.lockAnimation(roomCode, 'winner');
+
+  // 2. Set game phase to winner-animation (NOT game-over yet)
+  room.gameState.phase = 'winner-animation';
+
+  // 3. Send winner event ONLY TO UNITY (main screen)
+  const hostSocket = io.sockets.sockets.get(room.hostId);
+  if (hostSocket) {
+    hostSocket.emit('winner-detected', {
+      winner: winner,
+      ...details,
+      players: Array.from(room.players.values()).map(p => ({
+        name: p.name,
+        cardCount: p.cardCount,
+        color: p.color
+      }))
+    });
+  }
+
+  // 4. Send updated game state to phones (with animation lock)
+  for (const [recipientId] of room.players) {
+    const playerSocket = io.sockets.sockets.get(recipientId);
+    if (playerSocket) {
+      const playerGameState = roomManager.getGameStateForPlayer(roomCode, recipientId);
+      playerSocket.emit('game-state-updated', {
+        gameState: {
+          ...playerGameState,
+          isAnimating: true, // Lock phone UI during winner animation
+          phase: 'winner-animation'
+        }
+      });
+    }
+  }
+
+  console.log('🏆 Winner animation started - phones locked, Unity playing animation');
+}
+
+// Failed reply for a game move
+function actionError(code, error) {
+  return { success: false, code, error };
+}
+
+// If it's a bot's turn, let it move after a short pause
+function scheduleBotTurn(roomCode) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room || room.gameState.phase !== 'playing' || botTurnTimers.has(roomCode)) return;
+
+  const currentPlayer = Array.from(room.players.values())[room.gameState.currentPlayer];
+  if (!currentPlayer || !currentPlayer.isBot) return;
+
+  botTurnTimers.set(roomCode, setTimeout(() => {
+    botTurnTimers.delete(roomCode);
+    takeBotTurn(roomCode);
+  }, BOT_TURN_DELAY_MS));
+}
+
+// Pick and make a move for the bot whose turn it is
+function takeBotTurn(roomCode) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room || room.gameState.phase !== 'playing') return;
+
+  // Wait for the main screen to finish animating, just like phones have to
+  if (roomManager.isAnimationBlocking(room)) {
+    scheduleBotTurn(roomCode);
     return;
   }
 
-  // Start new round
-  room.gameState.phase = 'playing';
-  room.gameState.currentPrompt = roomManager.getRandomPrompt();
-  room.gameState.timeLeft = 30;
-  room.gameState.responses.clear();
+  const playerIndex = room.gameState.currentPlayer;
+  const bot = Array.from(room.players.values())[playerIndex];
+  if (!bot || !bot.isBot) return;
 
-  io.to(roomCode).emit('round-started', {
-    gameState: room.gameState
+  const move = roomManager.botPlayer.chooseMove({
+    hand: room.gameState.playerHands[playerIndex],
+    topCard: room.gameState.lastPlayedCard,
+    currentColor: room.gameState.chosenColor || room.gameState.currentColor,
+    pendingDraw: room.gameState.pendingDraw,
+    houseRules: room.settings.houseRules,
+    difficulty: bot.difficulty,
+    canDraw: roomManager.canDrawCard(room)
   });
 
-  // Start timer for new round
-  startGameTimer(roomCode);
+  const description = { play: `plays ${move.card?.rank} ${move.card?.color}`, draw: 'draws', pass: 'passes' }[move.type];
+  console.log(`🤖 Bot ${bot.name} (${bot.difficulty}) ${description} in room ${roomCode}`);
+
+  try {
+    if (move.type === 'play') {
+      playCard(roomCode, bot.id, move.card.id, move.chosenColor);
+    } else if (move.type === 'pass') {
+      passTurn(roomCode, bot.id);
+    } else {
+      drawCard(roomCode, bot.id);
+    }
+  } catch (error) {
+    console.error(`Error taking turn for bot ${bot.name}:`, error);
+  }
+}
+
+// Tell spectators who were just given a seat about their new color and hand
+function notifyPromotedSpectators(roomCode, promoted) {
+  for (const player of promoted) {
+    const playerSocket = io.sockets.sockets.get(player.id);
+    if (playerSocket) {
+      playerSocket.emit('spectator-promoted', {
+        roomCode,
+        playerName: player.name,
+        playerColor: player.color,
+        isFirstPlayer: player.isFirstPlayer,
+        reconnectToken: player.reconnectToken,
+        gameState: roomManager.getGameStateForPlayer(roomCode, player.id)
+      });
+    }
+  }
+}
+
+// Player list sent with lobby join/leave events
+function getLobbyPlayers(room) {
+  return Array.from(room.players.values()).map(p => ({
+    name: p.name,
+    color: p.color,
+    cardCount: p.cardCount || 0,
+    isFirstPlayer: p.isFirstPlayer || false,
+    isBot: p.isBot || false
+  }));
 }
 
-function endGame(roomCode) {
+// Send each player their own view of the game state
+function sendGameStateToPlayers(roomCode) {
   const room = roomManager.rooms.get(roomCode);
   if (!room) return;
 
-  room.gameState.phase = 'game-over';
+  for (const [playerId] of room.players) {
+    const playerSocket = io.sockets.sockets.get(playerId);
+    if (playerSocket) {
+      playerSocket.emit('game-state-updated', {
+        gameState: roomManager.getGameStateForPlayer(roomCode, playerId)
+      });
+    }
+  }
+}
+
+// Keep a dropped player's seat until the grace window runs out
+function holdSeat(roomCode, reconnectToken) {
+  seatReleaseTimers.set(reconnectToken, setTimeout(() => {
+    seatReleaseTimers.delete(reconnectToken);
+    releaseHeldSeat(roomCode, reconnectToken);
+  }, roomManager.reconnectGraceMs));
+}
+
+// Give up on a dropped player whose grace window ran out
+function releaseHeldSeat(roomCode, reconnectToken) {
+  const result = roomManager.releaseHeldSeat(roomCode, reconnectToken);
+  if (!result) return;
 
-  // Calculate final scores (for now, just participation points)
-  const finalScores = Array.from(room.players.values()).map(player => ({
+  const room = roomManager.rooms.get(roomCode);
+  io.to(roomCode).emit('player-left', {
+    playerName: result.playerName,
+    playerColor: result.playerColor,
+    players: Array.from(room.players.values()).map(p => ({
+      name: p.name,
+      color: p.color,
+      cardCount: p.cardCount,
+      isFirstPlayer: p.isFirstPlayer || false
+    })),
+    gameState: roomManager.getMainScreenGameState(room)
+  });
+  if (result.gameEnd) {
+    startWinnerAnimation(roomCode, result.gameEnd.winner, { walkover: true });
+  } else {
+    sendGameStateToPlayers(roomCode);
+    scheduleBotTurn(roomCode);
+    startTurnTimer(roomCode);
+  }
+  saveRoomSoon(roomCode);
+}
+
+// Wait for a dropped main screen, then let the first player's phone take over
+function holdRoomForHost(roomCode) {
+  clearTimeout(hostReleaseTimers.get(roomCode));
+  hostReleaseTimers.set(roomCode, setTimeout(() => {
+    hostReleaseTimers.delete(roomCode);
+    handOverToPhone(roomCode);
+  }, roomManager.hostGraceMs));
+}
+
+function handOverToPhone(roomCode) {
+  const result = roomManager.handOverToPhone(roomCode);
+  if (!result) return;
+
+  if (result.roomClosed) {
+    stopTurnTimer(roomCode);
+    io.to(roomCode).emit('room-closed', { message: 'The main screen did not come back, room closed' });
+    return;
+  }
+
+  io.to(roomCode).emit('controller-changed', {
+    controller: 'phone',
+    playerName: result.playerName,
+    players: getLobbyPlayers(roomManager.rooms.get(roomCode))
+  });
+  saveRoomSoon(roomCode);
+}
+
+// Queue a room to be written to the store once the current event has finished
+function saveRoomSoon(roomCode) {
+  if (!roomCode) return;
+
+  pendingSnapshots.add(roomCode);
+  if (pendingSnapshots.size === 1) {
+    setImmediate(flushSnapshots);
+  }
+}
+
+function flushSnapshots() {
+  for (const roomCode of pendingSnapshots) {
+    try {
+      roomManager.saveRoom(roomCode);
+    } catch (error) {
+      console.error(`Error saving room ${roomCode}:`, error);
+    }
+  }
+  pendingSnapshots.clear();
+}
+
+// (Re)start the turn clock for whoever's turn it is now
+function startTurnTimer(roomCode) {
+  stopTurnTimer(roomCode);
+
+  const room = roomManager.rooms.get(roomCode);
+  if (!room || !room.settings.turnTimer.enabled || room.gameState.phase !== 'playing') return;
+
+  const player = Array.from(room.players.values())[room.gameState.currentPlayer];
+  if (!player || player.isBot) return; // Bots never keep the table waiting
+
+  const timer = {
     playerId: player.id,
+    deadline: Date.now() + room.settings.turnTimer.seconds * 1000
+  };
+  timer.interval = setInterval(() => tickTurnTimer(roomCode, timer), TURN_TIMER_TICK_MS);
+  turnTimers.set(roomCode, timer);
+
+  io.to(roomCode).emit('timer-update', {
     playerName: player.name,
-    score: player.score || Math.floor(Math.random() * 100) // Random score for demo
-  })).sort((a, b) => b.score - a.score);
+    playerColor: player.color,
+    timeLeft: room.settings.turnTimer.seconds,
+    turnSeconds: room.settings.turnTimer.seconds
+  });
+}
+
+function stopTurnTimer(roomCode) {
+  const timer = turnTimers.get(roomCode);
+  if (timer) {
+    clearInterval(timer.interval);
+    turnTimers.delete(roomCode);
+  }
+}
+
+// Count down one tick and act for the player once time runs out
+function tickTurnTimer(roomCode, timer) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room || room.gameState.phase !== 'playing') {
+    stopTurnTimer(roomCode);
+    return;
+  }
+
+  const player = Array.from(room.players.values())[room.gameState.currentPlayer];
+  if (!player || player.id !== timer.playerId) {
+    startTurnTimer(roomCode); // The turn moved on some other way (e.g. a seat was released)
+    return;
+  }
+
+  // The clock stands still while the main screen is animating
+  if (roomManager.isAnimationBlocking(room)) {
+    timer.deadline += TURN_TIMER_TICK_MS;
+    return;
+  }
 
-  io.to(roomCode).emit('game-ended', {
-    finalScores,
-    winner: finalScores[0]
+  const timeLeft = Math.ceil((timer.deadline - Date.now()) / 1000);
+  if (timeLeft > 0) {
+    io.to(roomCode).emit('timer-update', {
+      playerName: player.name,
+      playerColor: player.color,
+      timeLeft,
+      turnSeconds: room.settings.turnTimer.seconds
+    });
+    return;
+  }
+
+  stopTurnTimer(roomCode);
+  takeTimedOutTurn(roomCode, player);
+}
+
+// Time's up: pick a color for a pending 8, pass if the cards have run out, otherwise draw and pass the turn
+function takeTimedOutTurn(roomCode, player) {
+  const room = roomManager.rooms.get(roomCode);
+  const pendingEight = room.gameState.awaitingColorChoice;
+  const mustPass = roomManager.canPass(room, room.gameState.currentPlayer);
+  const action = pendingEight ? 'choose-color' : mustPass ? 'pass' : 'draw';
+
+  console.log(`⏰ Turn timer ran out for ${player.name} in room ${roomCode} - ${action}`);
+
+  io.to(roomCode).emit('turn-timed-out', {
+    playerName: player.name,
+    playerColor: player.color,
+    action
   });
+
+  try {
+    if (pendingEight) {
+      const hand = room.gameState.playerHands[room.gameState.currentPlayer];
+      chooseColor(roomCode, player.id, roomManager.botPlayer.getStrongestColor(hand));
+    } else if (mustPass) {
+      passTurn(roomCode, player.id);
+    } else {
+      drawCard(roomCode, player.id, { endTurn: true });
+    }
+  } catch (error) {
+    console.error(`Error taking timed-out turn for ${player.name}:`, error);
+  }
 }
 
-// Cleanup old rooms every hour
-setInterval(() => {
-  roomManager.cleanupOldRooms();
-}, 60 * 60 * 1000);
+// Release an animation lock in the room this main screen is hosting
+function releaseHostAnimation(socket, lockName) {
+  const roomCode = roomManager.getHostedRoomCode(socket.id);
+  if (!roomCode) {
+    console.log(`🎬 Ignoring ${lockName} completion - socket ${socket.id} isn't hosting a room`);
+    return;
+  }
+
+  if (!roomManager.releaseAnimation(roomCode, lockName)) {
+    console.log(`🎬 No ${lockName} animation lock held in room ${roomCode}`);
+  }
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🃏 Crazy 8s Game Server running on port ${PORT}`);
-  console.log(`📱 Phone clients should connect to: http://localhost:${PORT}`);
-  console.log(`🖥️  Main screen available at: http://localhost:${PORT}`);
+// One place to pick the game back up after an animation, whether the main screen reported in or the lock timed out
+roomManager.on('animation-unlocked', ({ roomCode, name, stillLocked }) => {
+  try {
+    if (name === 'winner') {
+      finishWinnerAnimation(roomCode);
+    } else if (!stillLocked) {
+      // Unlock every phone's UI and let bots and the turn clock carry on
+      sendGameStateToPlayers(roomCode);
+      scheduleBotTurn(roomCode);
+      startTurnTimer(roomCode);
+    }
+    saveRoomSoon(roomCode);
+  } catch (error) {
+    console.error(`Error resuming room ${roomCode} after ${name} animation:`, error);
+  }
 });
+
+// Winner animation is over - move the room to game-over and show everyone the results
+function finishWinnerAnimation(roomCode) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room || room.gameState.phase !== 'winner-animation') return;
+
+  const gameOver = getGameOverData(room);
+  console.log(`🏆 Completing winner animation for ${gameOver.winner} in room ${roomCode}`);
+
+  room.gameState.phase = 'game-over';
+
+  // Send game-over event to ALL clients (phones + Unity)
+  io.to(roomCode).emit('game-over', gameOver);
+}
+
+// Results of the game that just finished
+function getGameOverData(room) {
+  const players = Array.from(room.players.values());
+  const winner = room.gameState.winner || // Snapshots from before the winner was kept fall back to the empty hand
+    players.find((player, index) => room.gameState.playerHands[index]?.length === 0)?.name;
+
+  return {
+    winner,
+    blocked: room.gameState.blocked || false, // Nobody could move - the lowest hand won
+    walkover: room.gameState.walkover || false, // Everyone else left the table
+    handValues: players.map((p, index) => ({
+      name: p.name,
+      handValue: roomManager.gameLogic.calculateScore(room.gameState.playerHands[index] || [])
+    })),
+    players: players.map(p => ({
+      name: p.name,
+      cardCount: p.cardCount,
+      color: p.color,
+      score: p.score || 0
+    })),
+    scoreboard: roomManager.getScoreboard(room), // null unless match scoring is on
+    seed: room.gameState.seed // Safe to share now - quote it to reproduce this deal
+  };
+}
+
+// The ack callback a message was sent with, if any (always its last argument)
+function getAck(packet) {
+  const last = packet[packet.length - 1];
+  return typeof last === 'function' ? last : null;
+}
+
+// Play a replay back one frame at a time. Phones get replay-step; the main screen also gets the
+// live events it already knows how to animate, flagged with replay: true
+function startReplay(roomCode, frames) {
+  cancelReplay(roomCode);
+  console.log(`🎞️ Replaying ${frames.length} steps in room ${roomCode}`);
+  io.to(roomCode).emit('replay-started', { total: frames.length });
+  playReplayStep(roomCode, frames, 0);
+}
+
+function playReplayStep(roomCode, frames, index) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!room) {
+    replayTimers.delete(roomCode);
+    return;
+  }
+
+  if (index >= frames.length) {
+    stopReplay(roomCode);
+    return;
+  }
+
+  const frame = frames[index];
+  const { event } = frame;
+  const gameState = getReplayGameState(frame, frames[index + 1]?.event.player);
+
+  io.to(roomCode).emit('replay-step', {
+    step: index + 1,
+    total: frames.length,
+    event,
+    gameState,
+    hands: frame.table.hands
+  });
+
+  const hostSocket = io.sockets.sockets.get(room.hostId);
+  if (hostSocket) {
+    switch (event.type) {
+      case 'deal':
+        hostSocket.emit('game-started', { gameState, replay: true });
+        break;
+      case 'play':
+        hostSocket.emit('card-played', { playerName: event.player, card: event.card, gameState, replay: true });
+        break;
+      case 'color':
+        hostSocket.emit('color-chosen', { playerName: event.player, color: event.color, gameState, replay: true });
+        break;
+      case 'draw':
+        hostSocket.emit('card-drawn', {
+          playerName: event.player,
+          drawnCount: event.cards.length,
+          penalty: event.penalty || false,
+          gameState,
+          replay: true
+        });
+        break;
+      case 'win':
+        hostSocket.emit('winner-detected', { winner: event.player, players: gameState.players, replay: true });
+        break;
+    }
+  }
+
+  let delay = REPLAY_STEP_MS;
+  if (event.type === 'deal') delay = REPLAY_ANIMATION_MS.deal;
+  if (event.type === 'play' && event.card.rank === '8') delay = REPLAY_ANIMATION_MS.eight;
+  if (event.type === 'win') delay = REPLAY_ANIMATION_MS.win;
+
+  replayTimers.set(roomCode, setTimeout(() => playReplayStep(roomCode, frames, index + 1), delay));
+}
+
+// Stop a replay's playback without touching anything else (e.g. the next round is starting)
+function cancelReplay(roomCode, stopped = true) {
+  if (!replayTimers.has(roomCode)) return false;
+
+  clearTimeout(replayTimers.get(roomCode));
+  replayTimers.delete(roomCode);
+  io.to(roomCode).emit('replay-finished', { stopped });
+  return true;
+}
+
+// End a replay and put everyone back on the real results
+function stopReplay(roomCode, stopped = false) {
+  const room = roomManager.rooms.get(roomCode);
+  if (!cancelReplay(roomCode, stopped) || !room) return;
+
+  if (room.gameState.phase === 'game-over') {
+    io.to(roomCode).emit('game-over', { ...getGameOverData(room), replay: true });
+  }
+}
+
+let cleanupInterval = null;
+
+// Restore saved rooms and start listening. Running `node server.js` calls this; tests require the
+// file and call it themselves (port 0 picks a free port). Resolves with the port in use
+function start(port = process.env.PORT || 3000) {
+  // Cleanup old rooms every hour
+  cleanupInterval = setInterval(() => {
+    roomManager.cleanupOldRooms();
+    rateLimiter.sweep();
+  }, 60 * 60 * 1000);
+
+  // Bring back rooms saved before the last restart; phones reattach with their reconnect tokens
+  for (const roomCode of roomManager.restoreRooms()) {
+    const room = roomManager.rooms.get(roomCode);
+    for (const player of room.players.values()) {
+      if (!player.connected) {
+        holdSeat(roomCode, player.reconnectToken);
+      }
+    }
+    if (room.hostDisconnectedAt) {
+      holdRoomForHost(roomCode);
+    }
+    scheduleBotTurn(roomCode);
+    startTurnTimer(roomCode);
+  }
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      const { port: listeningPort } = server.address();
+      console.log(`🃏 Crazy 8s Game Server running on port ${listeningPort}`);
+      console.log(`📱 Phone clients should connect to: http://localhost:${listeningPort}`);
+      console.log(`🖥️  Main screen available at: http://localhost:${listeningPort}`);
+      resolve(listeningPort);
+    });
+  });
+}
+
+// Disconnect everyone, close the server and cancel every pending timer so the process can exit
+function stop() {
+  return new Promise((resolve) => {
+    io.close(() => {
+      clearInterval(cleanupInterval);
+      for (const timeout of seatReleaseTimers.values()) clearTimeout(timeout);
+      seatReleaseTimers.clear();
+      for (const timeout of hostReleaseTimers.values()) clearTimeout(timeout);
+      hostReleaseTimers.clear();
+      for (const timeout of botTurnTimers.values()) clearTimeout(timeout);
+      botTurnTimers.clear();
+      for (const roomCode of Array.from(turnTimers.keys())) stopTurnTimer(roomCode);
+      for (const roomCode of Array.from(replayTimers.keys())) cancelReplay(roomCode);
+      for (const roomCode of roomManager.rooms.keys()) roomManager.clearAnimationLocks(roomCode);
+      flushSnapshots();
+      resolve();
+    });
+  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, server, io, roomManager, rateLimiter, start, stop };
@@ -0,0 +1,94 @@
+// Deck options - ranks, sets, hand size and extra action cards picked in the lobby
+const test = require('node:test');
+const assert = require('node:assert');
+const Crazy8sGameLogic = require('../utils/crazy8sGameLogic');
+const RoomManager = require('../utils/roomManager');
+
+const gameLogic = new Crazy8sGameLogic();
+
+function createRoomWithPlayers(t, count) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  for (let i = 0; i < count; i++) {
+    manager.joinRoom(roomCode, `p${i}`, `P${i}`);
+  }
+  return { manager, roomCode, room: manager.rooms.get(roomCode) };
+}
+
+test('the default options build the classic deck', () => {
+  const { spec, handSize } = gameLogic.planDeck(gameLogic.defaultDeckOptions, gameLogic.defaultHouseRules, 4);
+  assert.strictEqual(handSize, 7);
+  assert.strictEqual(gameLogic.buildCardSet(spec).length, 36);
+});
+
+test('bad options are turned down with a reason', () => {
+  assert.match(gameLogic.normalizeDeckOptions({ ranks: ['1', '10'] }).error, /Ranks must be picked/);
+  assert.match(gameLogic.normalizeDeckOptions({ ranks: ['8'] }).error, /rank other than 8/);
+  assert.match(gameLogic.normalizeDeckOptions({ copies: 0 }).error, /copies/);
+  assert.match(gameLogic.normalizeDeckOptions({ handSize: 2 }).error, /Hand size/);
+  assert.match(gameLogic.normalizeDeckOptions({ actionCards: 4 }).error, /action cards/);
+
+  const { deckOptions } = gameLogic.normalizeDeckOptions({ ranks: [9, '1', '1'], copies: null });
+  assert.deepStrictEqual(deckOptions.ranks, ['1', '9']);
+});
+
+test("'classic' deals five cards to two players and seven to more", () => {
+  const { deckOptions } = gameLogic.normalizeDeckOptions({ handSize: 'classic' });
+  assert.strictEqual(gameLogic.planDeck(deckOptions, gameLogic.defaultHouseRules, 2).handSize, 5);
+  assert.strictEqual(gameLogic.planDeck(deckOptions, gameLogic.defaultHouseRules, 3).handSize, 7);
+});
+
+test('extra action cards are only added for house rules that are on', () => {
+  const { deckOptions } = gameLogic.normalizeDeckOptions({ actionCards: 2 });
+  const { spec } = gameLogic.planDeck(deckOptions, { ...gameLogic.defaultHouseRules, skip: true }, 2);
+  const cards = gameLogic.buildCardSet(spec);
+
+  assert.strictEqual(cards.length, 36 + 4 * 2); // Two more 7s in each color
+  assert.strictEqual(cards.filter(card => card.rank === '7').length, 12);
+  assert.strictEqual(new Set(cards.map(card => card.id)).size, cards.length);
+});
+
+test('sets are added to fit the table unless the number is fixed', () => {
+  const { deckOptions } = gameLogic.normalizeDeckOptions({ ranks: ['1', '2', '3', '4', '5'] }); // 20-card sets
+  assert.strictEqual(gameLogic.planDeck(deckOptions, gameLogic.defaultHouseRules, 4).spec.copies, 2);
+
+  const fixed = { ...deckOptions, copies: 1 };
+  assert.match(gameLogic.planDeck(fixed, gameLogic.defaultHouseRules, 4).error, /can't deal 7 each to 4 players/);
+});
+
+test('the deck can only be changed between games, and has to cover the seated players', (t) => {
+  const { manager, roomCode } = createRoomWithPlayers(t, 4);
+
+  const tooSmall = manager.setDeckOptions(roomCode, 'host', { copies: 1, ranks: ['1', '2', '3', '4', '5'] });
+  assert.strictEqual(tooSmall.success, false);
+  assert.strictEqual(manager.setDeckOptions(roomCode, 'p1', { handSize: 5 }).success, false); // Not the first player
+
+  assert.strictEqual(manager.setDeckOptions(roomCode, 'p0', { handSize: 5, actionCards: 1 }).success, true);
+  manager.startGame(roomCode, 'host');
+  assert.strictEqual(manager.setDeckOptions(roomCode, 'host', { handSize: 7 }).success, false);
+});
+
+test('a game is dealt from the room deck and passes the integrity check', (t) => {
+  const { manager, roomCode, room } = createRoomWithPlayers(t, 3);
+  manager.setHouseRules(roomCode, 'host', { drawTwo: true });
+  manager.setDeckOptions(roomCode, 'host', { ranks: ['1', '2', '3', '8'], handSize: 4, actionCards: 3 });
+
+  assert.strictEqual(manager.startGame(roomCode, 'host').success, true);
+  assert.strictEqual(room.gameState.playerHands[0].length, 4);
+  assert.strictEqual(room.gameLog[0].deckSpec.actionCards, 3);
+  assert.ok(room.gameState.deck.every(card => ['1', '2', '3', '8'].includes(card.rank)));
+  assert.strictEqual(manager.verifyRoom(roomCode), null);
+  manager.clearAnimationLocks(roomCode);
+});
+
+test('a fixed deck that no longer fits stops the next game from starting', (t) => {
+  const { manager, roomCode } = createRoomWithPlayers(t, 2);
+  manager.setHouseRules(roomCode, 'host', { skip: true });
+  manager.setDeckOptions(roomCode, 'host', { ranks: ['1', '2', '7'], copies: 1, handSize: 4, actionCards: 3 }); // 24 cards
+
+  manager.setHouseRules(roomCode, 'host', { skip: false }); // The extra 7s go with it - 12 cards left
+  const started = manager.startGame(roomCode, 'host');
+  assert.strictEqual(started.success, false);
+  assert.match(started.error, /12 cards can't deal 4 each to 2 players/);
+});
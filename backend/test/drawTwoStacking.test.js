@@ -0,0 +1,77 @@
+// Stacked draw-twos - 2s pile up on the next player, who stacks another or takes them all
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+
+// Ann, Ben and Cat with stacking on, the top card red 5 and known hands ('red-2' is a red 2)
+function startStackingGame(t, hands) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  for (const name of ['Ann', 'Ben', 'Cat']) {
+    manager.joinRoom(roomCode, name.toLowerCase(), name);
+  }
+  manager.startGame(roomCode, 'host');
+  manager.clearAnimationLocks(roomCode);
+
+  const room = manager.rooms.get(roomCode);
+  room.settings.houseRules = { ...room.settings.houseRules, drawTwo: true, stackDrawTwo: true };
+
+  const card = id => manager.gameLogic.createCard(...id.split('-'));
+  room.gameState.lastPlayedCard = card('red-5');
+  room.gameState.discardPile = [room.gameState.lastPlayedCard];
+  room.gameState.currentColor = 'red';
+  room.gameState.currentPlayer = 0;
+  Array.from(room.players.values()).forEach((player, index) => {
+    room.gameState.playerHands[index] = hands[index].map(card);
+    player.cardCount = hands[index].length;
+  });
+  return { manager, roomCode, room };
+}
+
+const handSize = (room, index) => room.gameState.playerHands[index].length;
+
+test('2s stack onto the next player, who takes the whole pile at once', (t) => {
+  const { manager, room } = startStackingGame(t, [['red-2', 'blue-9'], ['green-2', 'blue-9'], ['yellow-3']]);
+
+  manager.handlePlayCard(room, 0, room.gameState.playerHands[0][0].id);
+  assert.strictEqual(room.gameState.pendingDraw, 2);
+  assert.strictEqual(room.gameState.currentPlayer, 1);
+
+  // Only another 2 answers it
+  const blueNine = room.gameState.playerHands[1][1];
+  assert.strictEqual(manager.handlePlayCard(room, 1, blueNine.id).code, 'ILLEGAL_CARD');
+  assert.strictEqual(manager.handlePlayCard(room, 1, room.gameState.playerHands[1][0].id).success, true);
+  assert.strictEqual(room.gameState.pendingDraw, 4);
+  assert.strictEqual(room.gameState.currentPlayer, 2);
+
+  const drawn = manager.handleDrawCard(room, 2);
+  assert.strictEqual(drawn.penalty, true);
+  assert.strictEqual(drawn.drawnCards.length, 4);
+  assert.strictEqual(handSize(room, 2), 5);
+  assert.strictEqual(room.gameState.pendingDraw, 0);
+  assert.strictEqual(room.gameState.currentPlayer, 0); // Drawing the penalty ends the turn
+});
+
+test('a player who drops facing the stack takes it into their held hand', (t) => {
+  const { manager, room } = startStackingGame(t, [['red-2', 'blue-9'], ['blue-9'], ['yellow-3']]);
+  manager.handlePlayCard(room, 0, room.gameState.playerHands[0][0].id);
+
+  const result = manager.handleDisconnect('ben');
+  assert.strictEqual(result.turnSkipped, true);
+  assert.strictEqual(handSize(room, 1), 3);
+  assert.strictEqual(room.players.get('ben').cardCount, 3);
+  assert.strictEqual(room.gameState.pendingDraw, 0);
+  assert.strictEqual(room.gameState.currentPlayer, 2);
+  assert.strictEqual(handSize(room, 2), 1); // Cat isn't made to draw for Ben
+});
+
+test('a stack facing a removed seat leaves with it', (t) => {
+  const { manager, room } = startStackingGame(t, [['red-2', 'blue-9'], ['blue-9'], ['yellow-3']]);
+  manager.handlePlayCard(room, 0, room.gameState.playerHands[0][0].id);
+
+  manager.removePlayerSeat(room, 'ben');
+  assert.strictEqual(room.gameState.pendingDraw, 0);
+  assert.strictEqual(room.gameState.currentPlayer, 1); // Cat, now in the second seat
+  assert.strictEqual(handSize(room, 1), 1);
+});
@@ -0,0 +1,106 @@
+// End of the deck - passing once nothing can be drawn, and ending a game nobody can move in
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+
+// A started game for Ann, Ben and Cat where the deck is gone and the discard pile is just `top`
+function startEmptyDeckGame(t, top, hands) {
+  t.mock.method(console, 'log', () => {});
+
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  for (const name of ['Ann', 'Ben', 'Cat']) {
+    manager.joinRoom(roomCode, name.toLowerCase(), name);
+  }
+  manager.startGame(roomCode, 'host');
+  manager.clearAnimationLocks(roomCode);
+
+  const room = manager.rooms.get(roomCode);
+  const card = id => {
+    const [color, rank] = id.split('-');
+    return manager.gameLogic.createCard(color, rank);
+  };
+  room.gameState.deck = [];
+  room.gameState.discardPile = [card(top)];
+  room.gameState.lastPlayedCard = room.gameState.discardPile[0];
+  room.gameState.currentColor = room.gameState.lastPlayedCard.color;
+  hands.forEach((hand, index) => {
+    room.gameState.playerHands[index] = hand.map(card);
+  });
+  Array.from(room.players.values()).forEach((player, index) => {
+    player.cardCount = hands[index].length;
+  });
+
+  return { manager, room };
+}
+
+test('a player who can neither draw nor play passes', (t) => {
+  const { manager, room } = startEmptyDeckGame(t, 'red-5', [['blue-1'], ['green-2'], ['red-3']]);
+
+  assert.strictEqual(manager.handleDrawCard(room, 0).code, 'DECK_EMPTY');
+  assert.strictEqual(manager.canPass(room, 0), true);
+
+  assert.deepStrictEqual(manager.handlePass(room, 0), { success: true, passed: true });
+  assert.strictEqual(room.gameState.currentPlayer, 1);
+  assert.strictEqual(room.gameState.passesInRow, 1);
+});
+
+test('passing is refused while there is a card to play or to draw', (t) => {
+  const { manager, room } = startEmptyDeckGame(t, 'red-5', [['blue-5'], ['green-2'], ['red-3']]);
+  assert.strictEqual(manager.handlePass(room, 0).code, 'CANNOT_PASS');
+
+  room.gameState.playerHands[0] = [manager.gameLogic.createCard('blue', '1')];
+  room.gameState.discardPile.unshift(manager.gameLogic.createCard('yellow', '6')); // Could be reshuffled into a deck
+  assert.strictEqual(manager.handlePass(room, 0).code, 'CANNOT_PASS');
+});
+
+test('once everyone passes in a row, the lowest hand wins', (t) => {
+  const { manager, room } = startEmptyDeckGame(t, 'red-5', [
+    ['blue-9', 'green-4'], // 13
+    ['green-2', 'yellow-1', 'blue-3'], // 6
+    ['yellow-7'] // 7
+  ]);
+
+  manager.handlePass(room, 0);
+  manager.handlePass(room, 1);
+  const result = manager.handlePass(room, 2);
+
+  assert.strictEqual(result.blocked, true);
+  assert.strictEqual(result.winner, 'Ben');
+  assert.deepStrictEqual(result.handValues.map(h => h.handValue), [13, 6, 7]);
+  assert.strictEqual(room.gameState.phase, 'game-over');
+  assert.strictEqual(room.gameState.winner, 'Ben');
+  assert.deepStrictEqual(room.gameLog.slice(-2).map(e => e.type), ['blocked', 'win']);
+});
+
+test('a tied hand value goes to the player holding fewer cards', (t) => {
+  const { manager, room } = startEmptyDeckGame(t, 'red-5', [['blue-6'], ['green-2', 'yellow-4'], ['yellow-7']]);
+
+  manager.handlePass(room, 0);
+  manager.handlePass(room, 1);
+  assert.strictEqual(manager.handlePass(room, 2).winner, 'Ann');
+});
+
+test('a card played in between starts the count again', (t) => {
+  const { manager, room } = startEmptyDeckGame(t, 'red-5', [['blue-1'], ['red-2', 'green-3'], ['yellow-7']]);
+
+  manager.handlePass(room, 0);
+  const played = room.gameState.playerHands[1][0];
+  assert.strictEqual(manager.handlePlayCard(room, 1, played.id).success, true);
+  assert.strictEqual(room.gameState.passesInRow, 0);
+
+  manager.handlePass(room, 2);
+  manager.handlePass(room, 0);
+  assert.strictEqual(room.gameState.phase, 'playing');
+});
+
+test('bots pass once there is nothing left to draw', (t) => {
+  const { manager, room } = startEmptyDeckGame(t, 'red-5', [['blue-1'], ['green-2'], ['red-3']]);
+  const move = manager.botPlayer.chooseMove({
+    hand: room.gameState.playerHands[0],
+    topCard: room.gameState.lastPlayedCard,
+    currentColor: room.gameState.currentColor,
+    canDraw: manager.canDrawCard(room)
+  });
+  assert.deepStrictEqual(move, { type: 'pass' });
+});
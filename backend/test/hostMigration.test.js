@@ -0,0 +1,72 @@
+// Host migration - a dropped main screen is waited for, can come back, and is replaced by a phone if it doesn't
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+
+// A started game for Ann (first player) and Ben, hosted by the main screen 'screen'
+function startRoom(t) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('screen');
+  manager.joinRoom(roomCode, 'ann', 'Ann');
+  manager.joinRoom(roomCode, 'ben', 'Ben');
+  manager.startGame(roomCode, 'screen');
+  manager.clearAnimationLocks(roomCode);
+  return { manager, roomCode, room: manager.rooms.get(roomCode) };
+}
+
+test('a dropped main screen leaves the room standing', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+
+  assert.deepStrictEqual(manager.handleDisconnect('screen'), { roomCode, hostDropped: true });
+  assert.strictEqual(manager.rooms.get(roomCode), room);
+  assert.strictEqual(room.hostId, null);
+  assert.ok(room.hostDisconnectedAt instanceof Date);
+  assert.strictEqual(room.gameState.phase, 'playing');
+});
+
+test('a restarted main screen takes the room back', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+  manager.handleDisconnect('screen');
+
+  assert.strictEqual(manager.reattachHost(roomCode, 'screen-2').success, true);
+  assert.strictEqual(room.hostId, 'screen-2');
+  assert.strictEqual(room.hostDisconnectedAt, null);
+  assert.strictEqual(manager.getHostedRoomCode('screen-2'), roomCode);
+  assert.match(manager.reattachHost(roomCode, 'screen-3').error, /already has a host/);
+});
+
+test('a main screen that never comes back is replaced by the first player', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+  manager.handleDisconnect('screen');
+  room.players.get('ann').connected = false; // Ann dropped too - Ben is the only phone left
+
+  assert.deepStrictEqual(manager.handOverToPhone(roomCode), { roomCode, playerName: 'Ben' });
+  assert.strictEqual(room.controller, 'phone');
+  assert.strictEqual(room.players.get('ben').isFirstPlayer, true);
+  assert.strictEqual(room.players.get('ann').isFirstPlayer, false);
+
+  // Nothing waits on an animation once a phone is in charge
+  const released = new Promise(resolve => manager.once('animation-unlocked', resolve));
+  manager.lockAnimation(roomCode, 'spiral');
+  return released;
+});
+
+test('with no phone left either, the room closes', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+  manager.handleDisconnect('screen');
+  for (const player of room.players.values()) player.connected = false;
+
+  assert.deepStrictEqual(manager.handOverToPhone(roomCode), { roomCode, roomClosed: true });
+  assert.strictEqual(manager.rooms.has(roomCode), false);
+  assert.strictEqual(manager.playerToRoom.has('ann'), false);
+});
+
+test('a main screen coming back after a phone took over gets the room back', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+  manager.handleDisconnect('screen');
+  manager.handOverToPhone(roomCode);
+
+  assert.deepStrictEqual(manager.reattachHost(roomCode, 'screen-2'), { success: true, tookOverFromPhone: true });
+  assert.strictEqual(room.controller, 'main-screen');
+});
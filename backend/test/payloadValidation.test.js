@@ -0,0 +1,58 @@
+// Payload validation - malformed socket messages are turned away before they reach the game logic
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validatePayload, eventNames } = require('../utils/payloadValidation');
+
+const rejected = (event, data, pattern, hasAck = true) => {
+  const result = validatePayload(event, data, hasAck);
+  assert.strictEqual(result.success, false, `${event} should be rejected`);
+  assert.strictEqual(result.code, 'INVALID_PAYLOAD');
+  assert.match(result.error, pattern);
+};
+
+test('every event server.js listens for has a schema', () => {
+  const source = fs.readFileSync(path.join(__dirname, '../server.js'), 'utf8');
+  const handled = [...source.matchAll(/socket\.on\('([^']+)'/g)].map(match => match[1]).filter(event => event !== 'disconnect');
+  assert.deepStrictEqual(handled.filter(event => !eventNames.includes(event)), []);
+  rejected('no-such-event', {}, /Unknown event/);
+});
+
+test('names are trimmed, normalized and measured in characters', () => {
+  const join = (playerName) => validatePayload('join-room', { roomCode: 'abcd', playerName }, true);
+
+  assert.deepStrictEqual(join('  Ann  ').data, { roomCode: 'ABCD', playerName: 'Ann' });
+  assert.strictEqual(join('José').data.playerName, 'José'); // Combining accent folded in
+  assert.strictEqual(join('A​n\u0000n').data.playerName, 'Ann'); // Invisible and control characters dropped
+  assert.strictEqual(join('🎲🎲🎲🎲🎲🎲🎲').success, true); // Seven characters, fourteen UTF-16 units
+
+  rejected('join-room', { roomCode: 'ABCD', playerName: ' A ' }, /at least 2/);
+  rejected('join-room', { roomCode: 'ABCD', playerName: 'Benjamin' }, /7 characters or less/);
+  rejected('join-room', { roomCode: 'ABCD', playerName: 'x'.repeat(100000) }, /7 characters or less/);
+  rejected('join-room', { roomCode: 'ABCD', playerName: { toLowerCase: 1 } }, /Name must be text/);
+});
+
+test('wrong types and shapes are named in the error', () => {
+  rejected('join-room', null, /Payload must be an object/);
+  rejected('join-room', { roomCode: 'AB1D', playerName: 'Ann' }, /Room code must be 4 letters/);
+  rejected('play-card', { roomCode: 'ABCD', card: { rank: '8' } }, /cardId must be non-empty text/);
+  rejected('play-card', { roomCode: 'ABCD', cardId: 'red-8-0', chosenColor: 5 }, /chosenColor/);
+  rejected('update-room-settings', { roomCode: 'ABCD', settings: { turnTimer: null } }, /turnTimer must be an object/);
+  rejected('arrange-seats', { roomCode: 'ABCD', order: 'sort' }, /must be a list/);
+  rejected('player-action', { roomCode: 'ABCD', action: 'play' }, /action must be an object/);
+  rejected('join-room', { roomCode: 'ABCD', playerName: 'Ann' }, /needs a reply callback/, false);
+});
+
+test('good payloads come through cleaned, with unknown fields dropped', () => {
+  assert.deepStrictEqual(
+    validatePayload('play-card', { roomCode: 'wxyz', cardId: 'red-8-0', chosenColor: 'blue', extra: true }, true).data,
+    { roomCode: 'WXYZ', cardId: 'red-8-0', chosenColor: 'blue' }
+  );
+  assert.deepStrictEqual(validatePayload('start-game', 'abcd', false).data, { roomCode: 'ABCD' }); // Bare code from Unity
+  assert.deepStrictEqual(validatePayload('get-room-status', 'abcd', true).data, { roomCode: 'ABCD' });
+  assert.deepStrictEqual(validatePayload('kick-player', { roomCode: 'ABCD', playerName: 'Ben' }, true).data,
+    { roomCode: 'ABCD', playerName: 'Ben' }); // Missing ban left for the handler's default
+  assert.deepStrictEqual(validatePayload('arrange-seats', { roomCode: 'ABCD', order: 'shuffle' }, true).data.order, 'shuffle');
+  assert.strictEqual(validatePayload('animation-complete', undefined, false).success, true);
+});
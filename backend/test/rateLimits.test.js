@@ -0,0 +1,120 @@
+// Rate limits and room caps - floods are turned away before they cost the server anything
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+const { RateLimiter } = require('../utils/rateLimiter');
+
+const LIMITS = {
+  default: { socket: { burst: 3, perSecond: 1 }, address: { burst: 5, perSecond: 1 } },
+  move: { socket: { burst: 2, perSecond: 2 } }
+};
+
+// A limiter on a clock the test moves by hand
+function fakeClockLimiter() {
+  const clock = { time: 0 };
+  const limiter = new RateLimiter(LIMITS, { now: () => clock.time });
+  return { limiter, clock };
+}
+
+test('a burst is allowed, then events wait for the bucket to refill', () => {
+  const { limiter, clock } = fakeClockLimiter();
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(limiter.consume('set-turn-timer', 'a', '10.0.0.1').allowed, true);
+  }
+  assert.deepStrictEqual(limiter.consume('set-turn-timer', 'a', '10.0.0.1'),
+    { allowed: false, scope: 'socket', retryAfterMs: 1000 });
+
+  clock.time = 1000;
+  assert.strictEqual(limiter.consume('set-turn-timer', 'a', '10.0.0.1').allowed, true);
+  assert.strictEqual(limiter.consume('set-turn-timer', 'a', '10.0.0.1').allowed, false);
+});
+
+test('sockets on one address share its bucket, and groups have their own', () => {
+  const { limiter } = fakeClockLimiter();
+
+  for (const socketId of ['a', 'a', 'a', 'b', 'b']) {
+    assert.strictEqual(limiter.consume('set-turn-timer', socketId, '10.0.0.1').allowed, true);
+  }
+  assert.strictEqual(limiter.consume('set-turn-timer', 'c', '10.0.0.1').scope, 'address');
+  assert.strictEqual(limiter.consume('set-turn-timer', 'c', '10.0.0.2').allowed, true); // Another network
+
+  // Moves have their own socket bucket and no address limit
+  assert.strictEqual(limiter.consume('play-card', 'a', '10.0.0.1').allowed, true);
+  assert.strictEqual(limiter.consume('draw-card', 'a', '10.0.0.1').allowed, true);
+  assert.strictEqual(limiter.consume('pass-turn', 'a', '10.0.0.1').scope, 'socket');
+});
+
+test('refusals are counted and idle buckets swept away', () => {
+  const { limiter, clock } = fakeClockLimiter();
+
+  for (let i = 0; i < 5; i++) limiter.consume('set-turn-timer', 'a', '10.0.0.1');
+  limiter.recordRefusal('create-room', 'room-limit');
+  limiter.recordFloodDisconnect();
+
+  const metrics = limiter.getMetrics();
+  assert.strictEqual(metrics.totalRefusals, 3);
+  assert.deepStrictEqual(metrics.refusals, { 'set-turn-timer': { socket: 2 }, 'create-room': { 'room-limit': 1 } });
+  assert.strictEqual(metrics.floodDisconnects, 1);
+  assert.strictEqual(metrics.activeBuckets, 2);
+
+  limiter.forgetSocket('a');
+  assert.strictEqual(limiter.getMetrics().activeBuckets, 1); // The address bucket outlives the socket
+
+  clock.time = 11 * 60 * 1000;
+  limiter.sweep();
+  assert.strictEqual(limiter.getMetrics().activeBuckets, 0);
+});
+
+test('one address can only hold so many rooms', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  manager.maxRoomsPerAddress = 2;
+
+  const first = manager.createRoom('host-1', { address: '10.0.0.1' });
+  manager.createRoom('host-2', { address: '10.0.0.1' });
+  assert.throws(() => manager.createRoom('host-3', { address: '10.0.0.1' }),
+    { code: 'ROOM_LIMIT_REACHED', message: /Only 2 rooms/ });
+  manager.createRoom('host-4', { address: '10.0.0.2' });
+
+  manager.rooms.delete(first);
+  manager.createRoom('host-3', { address: '10.0.0.1' }); // A closed room frees its slot
+});
+
+test('a full server turns new rooms away instead of hunting for a free code', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+
+  manager.maxRooms = 1;
+  manager.createRoom('host-1');
+  assert.throws(() => manager.createRoom('host-2'), { code: 'ROOM_LIMIT_REACHED', message: /server is full/ });
+
+  // Every code taken - give up after a bounded number of tries
+  manager.maxRooms = Infinity;
+  manager.rooms.has = () => true;
+  assert.throws(() => manager.createRoom('host-3'), { code: 'ROOM_LIMIT_REACHED', message: /No free room codes/ });
+});
+
+test('a new-players room is a full room, checked against the same caps', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host', { address: '10.0.0.1' });
+  manager.updateRoomSettings(roomCode, 'host', { maxPlayers: 4 });
+
+  // Swapping a room for a new one fits under a cap the old room already filled
+  manager.maxRoomsPerAddress = 1;
+  const result = manager.startNewGame(roomCode, 'host');
+  assert.strictEqual(result.success, true);
+  const newRoom = manager.rooms.get(result.newRoomCode);
+  assert.strictEqual(manager.rooms.has(roomCode), false);
+  assert.strictEqual(newRoom.settings.maxPlayers, 4);
+  assert.deepStrictEqual(
+    [newRoom.gameState.passesInRow, newRoom.gameState.blocked, newRoom.gameState.walkover, newRoom.gameState.winner],
+    [0, false, false, null]
+  );
+
+  // Caps lowered below what is open - the old room stays rather than being swapped for nothing
+  manager.maxRooms = 0;
+  assert.strictEqual(manager.startNewGame(result.newRoomCode, 'host').code, 'ROOM_LIMIT_REACHED');
+  assert.ok(manager.rooms.has(result.newRoomCode));
+});
@@ -0,0 +1,56 @@
+// Reconnecting - a dropped phone reclaims its seat with its reconnect token, and only a dropped one
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+
+// A started game past the first-card flip - each player's id is their name in lower case
+function startRoom(t, names) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  for (const name of names) {
+    manager.joinRoom(roomCode, name.toLowerCase(), name);
+  }
+  manager.startGame(roomCode, 'host');
+  manager.clearAnimationLocks(roomCode);
+  return { manager, roomCode, room: manager.rooms.get(roomCode) };
+}
+
+test('a dropped phone takes its seat back under its new socket, in the same place', (t) => {
+  const { manager, roomCode, room } = startRoom(t, ['Ann', 'Ben', 'Cat']);
+  const { reconnectToken } = room.players.get('ben');
+  const hand = room.gameState.playerHands[1];
+
+  manager.handleDisconnect('ben');
+  assert.strictEqual(room.players.get('ben').connected, false);
+
+  const result = manager.rejoinRoom(roomCode, 'ben-again', reconnectToken);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.previousId, 'ben');
+  assert.deepStrictEqual(Array.from(room.players.keys()), ['ann', 'ben-again', 'cat']);
+  assert.strictEqual(room.players.get('ben-again').connected, true);
+  assert.strictEqual(room.gameState.playerHands[1], hand);
+  assert.strictEqual(manager.playerToRoom.get('ben-again'), roomCode);
+  assert.strictEqual(manager.playerToRoom.has('ben'), false);
+});
+
+test('a token cannot take over a seat that is still connected', (t) => {
+  const { manager, roomCode, room } = startRoom(t, ['Ann', 'Ben']);
+  const { reconnectToken } = room.players.get('ben');
+
+  const hijack = manager.rejoinRoom(roomCode, 'thief', reconnectToken);
+  assert.strictEqual(hijack.code, 'SEAT_IN_USE');
+  assert.ok(room.players.has('ben'));
+  assert.strictEqual(manager.playerToRoom.has('thief'), false);
+
+  assert.strictEqual(manager.rejoinRoom(roomCode, 'ben', reconnectToken).success, true); // Asking again from the same socket is fine
+});
+
+test('wrong or missing tokens reclaim nothing', (t) => {
+  const { manager, roomCode } = startRoom(t, ['Ann', 'Ben']);
+  manager.handleDisconnect('ben');
+
+  assert.match(manager.rejoinRoom(roomCode, 'x', 'not-a-token').error, /no longer available/);
+  assert.match(manager.rejoinRoom(roomCode, 'x', undefined).error, /no longer available/);
+  assert.match(manager.rejoinRoom('ZZZZ', 'x', 'not-a-token').error, /Room not found/);
+});
@@ -0,0 +1,94 @@
+// Integrity check - broken tables are caught, reported and put right
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+const { checkRoomIntegrity } = require('../utils/roomIntegrity');
+
+// A started three-player game with nothing wrong with it
+function startRoom(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  for (const name of ['Ann', 'Ben', 'Cat']) {
+    manager.joinRoom(roomCode, name.toLowerCase(), name);
+  }
+  manager.startGame(roomCode, 'host');
+  manager.clearAnimationLocks(roomCode);
+  return { manager, roomCode, room: manager.rooms.get(roomCode) };
+}
+
+test('a freshly dealt game passes', (t) => {
+  const { manager, room } = startRoom(t);
+  assert.deepStrictEqual(checkRoomIntegrity(room, manager.gameLogic), { problems: [], repairs: [] });
+});
+
+test('without repair the room is only reported on', (t) => {
+  const { manager, room } = startRoom(t);
+  room.players.get('ann').cardCount = 99;
+
+  const { problems, repairs } = checkRoomIntegrity(room, manager.gameLogic);
+  assert.deepStrictEqual(problems, ['Ann shows 99 cards but holds 7']);
+  assert.deepStrictEqual(repairs, []);
+  assert.strictEqual(room.players.get('ann').cardCount, 99);
+});
+
+test('wrong card counts, top card and turn are repaired', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+  const { gameState } = room;
+  room.players.get('ben').cardCount = 3;
+  gameState.lastPlayedCard = gameState.deck[0];
+  gameState.currentPlayer = 5;
+  gameState.pendingDraw = -2;
+
+  const reported = [];
+  manager.on('integrity-drift', report => reported.push(report));
+  const report = manager.verifyRoom(roomCode);
+
+  assert.strictEqual(report.problems.length, 4);
+  assert.deepStrictEqual(reported, [report]);
+  assert.strictEqual(room.players.get('ben').cardCount, 7);
+  assert.strictEqual(gameState.lastPlayedCard, gameState.discardPile[gameState.discardPile.length - 1]);
+  assert.strictEqual(gameState.currentPlayer, 0);
+  assert.strictEqual(gameState.pendingDraw, 0);
+  assert.strictEqual(manager.verifyRoom(roomCode), null);
+});
+
+test('a duplicated card is taken out of the deck and a lost one put back', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+  const { gameState } = room;
+  const held = gameState.playerHands[0][0];
+  gameState.deck.push({ ...held }); // The same card in the deck and in Ann's hand
+  const lost = gameState.deck.shift();
+
+  const report = manager.verifyRoom(roomCode);
+
+  assert.deepStrictEqual(report.problems, [`${held.id} is in two places`, `${lost.id} is missing`]);
+  assert.ok(gameState.playerHands[0].some(card => card.id === held.id), 'Ann keeps her card');
+  assert.strictEqual(gameState.deck.filter(card => card.id === held.id).length, 0);
+  assert.strictEqual(gameState.deck[0].id, lost.id);
+  assert.strictEqual(manager.verifyRoom(roomCode), null);
+});
+
+test('a card from outside the deck is removed', (t) => {
+  const { manager, roomCode, room } = startRoom(t);
+  room.gameState.playerHands[1].push({ id: 'red-5-3', color: 'red', rank: '5' });
+  room.players.get('ben').cardCount++;
+
+  const report = manager.verifyRoom(roomCode);
+
+  assert.deepStrictEqual(report.problems, [
+    "Ben's hand holds red-5-3, which isn't in this game's deck",
+    'Ben shows 8 cards but holds 7' // Counted once the stray card is gone
+  ]);
+  assert.strictEqual(room.gameState.playerHands[1].length, 7);
+  assert.strictEqual(room.players.get('ben').cardCount, 7);
+});
+
+test('lobbies are not checked', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  assert.strictEqual(manager.verifyRoom(roomCode), null);
+});
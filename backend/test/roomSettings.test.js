@@ -0,0 +1,94 @@
+// Room settings - everything the host or first player can change in the lobby, checked and applied together
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+
+function createRoomWithPlayers(t, count) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  for (let i = 0; i < count; i++) {
+    manager.joinRoom(roomCode, `p${i}`, `P${i}`);
+  }
+  return { manager, roomCode, room: manager.rooms.get(roomCode) };
+}
+
+test('a new room starts from the default settings', (t) => {
+  const { room } = createRoomWithPlayers(t, 0);
+  assert.deepStrictEqual(room.settings.turnTimer, { enabled: false, seconds: 30 });
+  assert.deepStrictEqual(room.settings.match, { enabled: false, targetScore: 100, mode: 'winner-takes' });
+  assert.strictEqual(room.settings.maxPlayers, 8);
+  assert.strictEqual(room.settings.allowSpectators, true);
+});
+
+test('several settings change at once, and the rest are kept', (t) => {
+  const { manager, roomCode, room } = createRoomWithPlayers(t, 2);
+  manager.setHouseRules(roomCode, 'host', { skip: true });
+
+  const result = manager.updateRoomSettings(roomCode, 'p0', {
+    houseRules: { reverse: true },
+    match: { enabled: true, targetScore: 200 },
+    maxPlayers: 4
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(room.settings.houseRules.skip, true);
+  assert.strictEqual(room.settings.houseRules.reverse, true);
+  assert.deepStrictEqual(room.settings.match, { enabled: true, targetScore: 200, mode: 'winner-takes' });
+  assert.strictEqual(room.settings.maxPlayers, 4);
+  assert.deepStrictEqual(manager.getRoomData(roomCode).settings, room.settings);
+});
+
+test('one bad value turns the whole change down', (t) => {
+  const { manager, roomCode, room } = createRoomWithPlayers(t, 3);
+  const reject = (changes, pattern) => {
+    const result = manager.updateRoomSettings(roomCode, 'host', changes);
+    assert.strictEqual(result.code, 'INVALID_SETTINGS');
+    assert.match(result.error, pattern);
+  };
+
+  reject({ turnTimer: { enabled: true, seconds: 5 } }, /Turn time/);
+  reject({ match: { enabled: true, mode: 'golf' } }, /scoring mode/);
+  reject({ maxPlayers: 2 }, /3 players are already seated/);
+  reject({ maxPlayers: 9 }, /from 2 to 8/);
+  reject({ allowSpectators: 'no' }, /true or false/);
+  reject({ colors: ['red'] }, /Unknown setting: colors/);
+
+  assert.strictEqual(room.settings.turnTimer.enabled, false);
+  assert.strictEqual(room.settings.match.enabled, false);
+});
+
+test('only the host or first player may change settings, and only between games', (t) => {
+  const { manager, roomCode } = createRoomWithPlayers(t, 2);
+  assert.strictEqual(manager.updateRoomSettings(roomCode, 'p1', { maxPlayers: 4 }).code, 'NOT_AUTHORIZED');
+
+  manager.startGame(roomCode, 'host');
+  assert.strictEqual(manager.updateRoomSettings(roomCode, 'host', { maxPlayers: 4 }).code, 'GAME_IN_PROGRESS');
+  manager.clearAnimationLocks(roomCode);
+});
+
+test('max players and spectators are enforced on the way in', (t) => {
+  const { manager, roomCode } = createRoomWithPlayers(t, 2);
+  manager.updateRoomSettings(roomCode, 'host', { maxPlayers: 2, allowSpectators: false });
+
+  assert.strictEqual(manager.joinRoom(roomCode, 'p2', 'P2').error, 'Room is full');
+  assert.match(manager.joinAsSpectator(roomCode, 's0', 'S0').error, /not taking spectators/);
+});
+
+test('a snapshot from before room settings is read back into them', (t) => {
+  const { manager, room } = createRoomWithPlayers(t, 2);
+  const { settings, ...old } = manager.serializeRoom(room);
+  Object.assign(old, {
+    houseRules: { ...settings.houseRules, skip: true },
+    turnTimer: { enabled: true, seconds: 20 },
+    match: { enabled: true, targetScore: 50, mode: 'penalty', rounds: [], over: false, winner: null },
+    maxPlayers: 6
+  });
+
+  const restored = manager.deserializeRoom(JSON.parse(JSON.stringify(old)));
+  assert.strictEqual(restored.settings.houseRules.skip, true);
+  assert.deepStrictEqual(restored.settings.turnTimer, { enabled: true, seconds: 20 });
+  assert.deepStrictEqual(restored.settings.match, { enabled: true, targetScore: 50, mode: 'penalty' });
+  assert.strictEqual(restored.settings.maxPlayers, 6);
+  assert.deepStrictEqual(restored.match, { rounds: [], over: false, winner: null });
+});
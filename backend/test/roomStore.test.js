@@ -0,0 +1,77 @@
+// Room store - snapshots are written, read back and removed only under real room codes,
+// and a game saved to one comes back as it was left
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoomManager = require('../utils/roomManager');
+const { FileRoomStore } = require('../utils/roomStore');
+
+function tempStore(t) {
+  const parent = fs.mkdtempSync(path.join(os.tmpdir(), 'crazy8s-store-'));
+  t.after(() => fs.rmSync(parent, { recursive: true, force: true }));
+  return { parent, store: new FileRoomStore(path.join(parent, 'rooms')) };
+}
+
+test('codes that are not room codes never become file paths', (t) => {
+  const { parent, store } = tempStore(t);
+  const victim = path.join(parent, 'victim.json');
+  fs.writeFileSync(victim, '{}');
+
+  for (const roomCode of ['../victim', '..', 'abcd', 'ABCDE', '', null, { length: 4 }]) {
+    assert.throws(() => store.remove(roomCode), /not a room code/);
+    assert.throws(() => store.save(roomCode, {}), /not a room code/);
+  }
+  assert.ok(fs.existsSync(victim));
+  assert.deepStrictEqual(fs.readdirSync(store.directory), []);
+});
+
+test('files that are not snapshots are left out when loading', (t) => {
+  const { store } = tempStore(t);
+  store.save('ABCD', { hostId: 'host' });
+  fs.writeFileSync(path.join(store.directory, 'notes.json'), '{}');
+
+  assert.deepStrictEqual(store.loadAll(), [{ roomCode: 'ABCD', data: { hostId: 'host' } }]);
+});
+
+test('a game saved mid-hand is restored with every hand, seat and color in place', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { store } = tempStore(t);
+  const manager = new RoomManager(store);
+  const roomCode = manager.createRoom('host');
+  for (const name of ['Ann', 'Ben', 'Cat']) {
+    manager.joinRoom(roomCode, name.toLowerCase(), name);
+  }
+  manager.startGame(roomCode, 'host');
+  manager.clearAnimationLocks(roomCode);
+  const room = manager.rooms.get(roomCode);
+  manager.handlePlayerAction(roomCode, 'ann', { type: 'draw_card' });
+  manager.saveRoom(roomCode);
+
+  const restarted = new RoomManager(store);
+  assert.deepStrictEqual(restarted.restoreRooms(), [roomCode]);
+  const restored = restarted.rooms.get(roomCode);
+
+  assert.deepStrictEqual(restored.gameState.playerHands, room.gameState.playerHands);
+  assert.deepStrictEqual(restored.gameState.deck, room.gameState.deck);
+  assert.deepStrictEqual(restored.gameState.lastPlayedCard, room.gameState.lastPlayedCard);
+  assert.strictEqual(restored.gameState.currentPlayer, room.gameState.currentPlayer);
+  assert.strictEqual(restored.gameState.phase, 'playing');
+
+  assert.ok(restored.players instanceof Map);
+  assert.deepStrictEqual(Array.from(restored.players.keys()), ['ann', 'ben', 'cat']);
+  assert.deepStrictEqual(Array.from(restored.players.values()).map(p => p.color),
+    Array.from(room.players.values()).map(p => p.color));
+  assert.ok(restored.assignedColors instanceof Set);
+  assert.deepStrictEqual([...restored.assignedColors], [...room.assignedColors]);
+  assert.strictEqual(restarted.verifyRoom(roomCode), null);
+
+  // Every phone dropped with the old process - each seat waits for its reconnect token
+  assert.ok(Array.from(restored.players.values()).every(p => !p.connected));
+  const { reconnectToken } = room.players.get('ben');
+  assert.strictEqual(restarted.rejoinRoom(roomCode, 'ben-again', reconnectToken).success, true);
+
+  restarted.closeRoom(roomCode);
+  assert.deepStrictEqual(store.loadAll(), []);
+});
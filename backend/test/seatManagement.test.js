@@ -0,0 +1,105 @@
+// Seat management - kicking, banning, handing over first player and arranging seats
+const test = require('node:test');
+const assert = require('node:assert');
+const RoomManager = require('../utils/roomManager');
+
+// A lobby for Ann (first player), Ben and Cat, each on their own phone
+function createLobby(t) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new RoomManager();
+  const roomCode = manager.createRoom('host');
+  for (const name of ['Ann', 'Ben', 'Cat']) {
+    manager.joinRoom(roomCode, name.toLowerCase(), name, `${name.toLowerCase()}-phone`);
+  }
+  return { manager, roomCode, room: manager.rooms.get(roomCode) };
+}
+
+const seatNames = room => Array.from(room.players.values()).map(p => p.name);
+
+test('the first player can kick, other players cannot', (t) => {
+  const { manager, roomCode, room } = createLobby(t);
+
+  assert.strictEqual(manager.kickPlayer(roomCode, 'ben', 'Cat').code, 'NOT_AUTHORIZED');
+  assert.match(manager.kickPlayer(roomCode, 'ann', 'Ann').error, /yourself/);
+
+  const result = manager.kickPlayer(roomCode, 'ann', 'Cat');
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(seatNames(room), ['Ann', 'Ben']);
+  assert.strictEqual(manager.playerToRoom.has('cat'), false);
+  assert.strictEqual(manager.joinRoom(roomCode, 'cat2', 'Cat').success, true); // Not banned
+});
+
+test('a kicked player mid-game hands their cards back to the deck', (t) => {
+  const { manager, roomCode, room } = createLobby(t);
+  manager.startGame(roomCode, 'host');
+  manager.clearAnimationLocks(roomCode);
+
+  const deckBefore = room.gameState.deck.length;
+  const benHand = room.gameState.playerHands[1].length;
+  const catHand = room.gameState.playerHands[2];
+
+  assert.strictEqual(manager.kickPlayer(roomCode, 'host', 'Ben').success, true);
+  assert.strictEqual(room.gameState.deck.length, deckBefore + benHand);
+  assert.strictEqual(room.gameState.playerHands[1], catHand); // Cat moves up a seat with her hand
+  assert.strictEqual(room.gameLog[room.gameLog.length - 1].type, 'leave');
+  assert.strictEqual(manager.verifyRoom(roomCode), null);
+});
+
+test('a kick that leaves one player mid-game ends the hand as a walkover', (t) => {
+  const { manager, roomCode, room } = createLobby(t);
+  manager.startGame(roomCode, 'host');
+  manager.clearAnimationLocks(roomCode);
+
+  assert.strictEqual(manager.kickPlayer(roomCode, 'host', 'Cat').gameEnd, null); // Two players can carry on
+  const result = manager.kickPlayer(roomCode, 'host', 'Ben');
+
+  assert.deepStrictEqual(result.gameEnd, { gameOver: true, walkover: true, winner: 'Ann', roundResult: null });
+  assert.strictEqual(room.gameState.phase, 'game-over');
+  assert.strictEqual(room.gameState.walkover, true);
+  assert.strictEqual(room.gameState.winner, 'Ann');
+  const lastEvent = room.gameLog[room.gameLog.length - 1];
+  assert.deepStrictEqual([lastEvent.type, lastEvent.player], ['win', 'Ann']);
+  assert.strictEqual(manager.verifyRoom(roomCode), null);
+});
+
+test('a ban keeps the name, or the phone, out for the rest of the room', (t) => {
+  const { manager, roomCode } = createLobby(t);
+
+  manager.kickPlayer(roomCode, 'ann', 'Ben', { ban: 'name' });
+  assert.match(manager.joinRoom(roomCode, 'ben2', 'BEN').error, /removed from this room/);
+  assert.strictEqual(manager.joinRoom(roomCode, 'ben3', 'Benny', 'ben-phone').success, true);
+
+  manager.kickPlayer(roomCode, 'ann', 'Cat', { ban: 'device' });
+  assert.match(manager.joinRoom(roomCode, 'cat2', 'Kat', 'cat-phone').error, /removed from this room/);
+  assert.match(manager.joinAsSpectator(roomCode, 'cat3', 'Kit', 'cat-phone').error, /removed from this room/);
+
+  assert.match(manager.kickPlayer(roomCode, 'ann', 'Benny', { ban: 'forever' }).error, /ban must be/);
+});
+
+test('first player controls can be handed to another phone', (t) => {
+  const { manager, roomCode, room } = createLobby(t);
+  manager.addBot(roomCode, 'host', 'easy');
+  const bot = Array.from(room.players.values()).find(p => p.isBot);
+
+  assert.match(manager.transferFirstPlayer(roomCode, 'ann', bot.name).error, /connected phone/);
+  assert.strictEqual(manager.transferFirstPlayer(roomCode, 'ann', 'Cat').success, true);
+  assert.deepStrictEqual(Array.from(room.players.values()).filter(p => p.isFirstPlayer).map(p => p.name), ['Cat']);
+  assert.strictEqual(manager.kickPlayer(roomCode, 'ann', 'Ben').code, 'NOT_AUTHORIZED'); // Ann gave it away
+});
+
+test('seats can be reordered or shuffled before the game starts', (t) => {
+  const { manager, roomCode, room } = createLobby(t);
+
+  assert.match(manager.arrangeSeats(roomCode, 'ann', ['Cat', 'Ann']).error, /every player exactly once/);
+  assert.match(manager.arrangeSeats(roomCode, 'ann', ['Cat', 'Ann', 'Ann']).error, /every player exactly once/);
+
+  assert.deepStrictEqual(manager.arrangeSeats(roomCode, 'ann', ['Cat', 'Ann', 'Ben']).order, ['Cat', 'Ann', 'Ben']);
+  assert.strictEqual(manager.getPlayerIndex(room, 'cat'), 0);
+
+  const shuffled = manager.arrangeSeats(roomCode, 'host', 'shuffle');
+  assert.deepStrictEqual([...shuffled.order].sort(), ['Ann', 'Ben', 'Cat']);
+
+  manager.startGame(roomCode, 'host');
+  assert.strictEqual(manager.arrangeSeats(roomCode, 'host', 'shuffle').code, 'GAME_IN_PROGRESS');
+  manager.clearAnimationLocks(roomCode);
+});
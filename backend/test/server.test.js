@@ -0,0 +1,525 @@
+// Socket.IO integration tests - real clients against server.js on a free local port
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connectClient } = require('socket.io-client');
+
+// Keep snapshots out of backend/data while testing
+const roomStoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crazy8s-rooms-'));
+process.env.ROOM_STORE_DIR = roomStoreDir;
+// A stand-in for the phone client's build, which tests don't run
+const phoneClientDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crazy8s-phone-'));
+fs.writeFileSync(path.join(phoneClientDir, 'index.html'), '<title>Crazy 8s - Phone Client</title>');
+process.env.PHONE_CLIENT_DIR = phoneClientDir;
+const { start, stop, roomManager, rateLimiter } = require('../server');
+
+let baseUrl;
+const clients = [];
+
+test.before(async () => {
+  test.mock.method(console, 'log', () => {}); // The server narrates every event
+  // Every test client connects from this machine, so lift the per-address limits and keep the per-socket ones
+  rateLimiter.limits = Object.fromEntries(
+    Object.entries(rateLimiter.limits).map(([group, limit]) => [group, { socket: limit.socket }])
+  );
+  roomManager.maxRoomsPerAddress = Infinity;
+  const port = await start(0);
+  baseUrl = `http://localhost:${port}`;
+});
+
+test.after(async () => {
+  for (const client of clients) client.disconnect();
+  await stop();
+  fs.rmSync(roomStoreDir, { recursive: true, force: true });
+  fs.rmSync(phoneClientDir, { recursive: true, force: true });
+});
+
+function connect() {
+  const client = connectClient(baseUrl, { transports: ['websocket'], forceNew: true });
+  clients.push(client);
+  return new Promise((resolve) => client.on('connect', () => resolve(client)));
+}
+
+// Emit and wait for the ack; events without data (create-room) pass `undefined`
+function request(client, event, data) {
+  return new Promise((resolve) => {
+    if (data === undefined) {
+      client.emit(event, resolve);
+    } else {
+      client.emit(event, data, resolve);
+    }
+  });
+}
+
+function waitFor(client, event, predicate = () => true) {
+  return new Promise((resolve) => {
+    const handler = (data) => {
+      if (!predicate(data)) return;
+      client.off(event, handler);
+      resolve(data);
+    };
+    client.on(event, handler);
+  });
+}
+
+// A main screen and two phones in a started game, still waiting on the first card flip
+async function startTable() {
+  const host = await connect();
+  const alice = await connect();
+  const bob = await connect();
+
+  const { roomCode, hostToken } = await request(host, 'create-room');
+  const aliceJoin = await request(alice, 'join-room', { roomCode, playerName: 'Alice' });
+  const bobJoin = await request(bob, 'join-room', { roomCode, playerName: 'Bob' });
+
+  const aliceHand = waitFor(alice, 'game-started', data => data.gameState.playerHand);
+  const started = await request(alice, 'start-game', { roomCode, sessionToken: aliceJoin.reconnectToken });
+  assert.deepStrictEqual(started, { success: true });
+
+  return { host, alice, bob, roomCode, hostToken, aliceJoin, bobJoin, aliceState: (await aliceHand).gameState };
+}
+
+async function flipFirstCard(table) {
+  const unlocked = waitFor(table.alice, 'game-state-updated', data => !data.gameState.isAnimating);
+  table.host.emit('first-card-flip-complete', { roomCode: table.roomCode });
+  return (await unlocked).gameState;
+}
+
+test('players join a room and are dealt seven cards each', async () => {
+  const table = await startTable();
+
+  assert.strictEqual(table.aliceJoin.isFirstPlayer, true);
+  assert.strictEqual(table.bobJoin.isFirstPlayer, false);
+  assert.ok(table.aliceJoin.reconnectToken);
+  assert.strictEqual(table.aliceState.playerHand.length, 7);
+  assert.strictEqual(table.aliceState.isYourTurn, true);
+  assert.notStrictEqual(table.aliceState.topCard.rank, '8');
+});
+
+test('moves are refused with error codes until they are legal', async () => {
+  const table = await startTable();
+  const { alice, bob, roomCode } = table;
+
+  const duringFlip = await request(alice, 'draw-card', { roomCode });
+  assert.strictEqual(duringFlip.code, 'ANIMATION_LOCKED');
+
+  await flipFirstCard(table);
+
+  assert.strictEqual((await request(bob, 'draw-card', { roomCode })).code, 'NOT_YOUR_TURN');
+  assert.strictEqual((await request(alice, 'play-card', { roomCode, cardId: 'not-a-card' })).code, 'CARD_NOT_IN_HAND');
+  assert.strictEqual((await request(alice, 'choose-color', { roomCode, color: 'red' })).code, 'NO_COLOR_CHOICE_PENDING');
+  assert.strictEqual((await request(alice, 'draw-card', { roomCode: 'ZZZZ' })).code, 'ROOM_NOT_FOUND');
+
+  const bobsTurn = waitFor(bob, 'game-state-updated', data => data.gameState.isYourTurn);
+  assert.deepStrictEqual(await request(alice, 'draw-card', { roomCode }), { success: true });
+  await bobsTurn;
+});
+
+test('the older player-action event plays by the same rules and reaches the table', async () => {
+  const table = await startTable();
+  const { alice, bob, roomCode } = table;
+
+  assert.strictEqual((await request(alice, 'player-action', { roomCode, action: { type: 'draw_card' } })).code,
+    'ANIMATION_LOCKED');
+  await flipFirstCard(table);
+
+  assert.strictEqual((await request(alice, 'player-action', { roomCode, action: { type: 'shout' } })).code,
+    'UNKNOWN_ACTION');
+  assert.strictEqual((await request(bob, 'player-action', { roomCode, action: { type: 'pass' } })).code,
+    'NOT_YOUR_TURN');
+
+  const drawn = waitFor(table.host, 'card-drawn');
+  const bobsTurn = waitFor(bob, 'game-state-updated', data => data.gameState.isYourTurn);
+  assert.deepStrictEqual(await request(alice, 'player-action', { roomCode, action: { type: 'draw_card' } }),
+    { success: true });
+  await Promise.all([drawn, bobsTurn]);
+});
+
+test('a played card leaves the hand and becomes the top card', async () => {
+  const table = await startTable();
+  const { alice, roomCode } = table;
+  await flipFirstCard(table);
+
+  // Hand Alice a plain card matching the top card so there is always something to play
+  const room = roomManager.rooms.get(roomCode);
+  const { deck, lastPlayedCard } = room.gameState;
+  const card = deck.splice(deck.findIndex(c => c.rank !== '8' && c.color === lastPlayedCard.color), 1)[0];
+  room.gameState.playerHands[0].push(card);
+  room.players.get(alice.id).cardCount++;
+
+  const played = waitFor(alice, 'card-played');
+  assert.deepStrictEqual(await request(alice, 'play-card', { roomCode, cardId: card.id }), { success: true });
+  const { card: announced, gameState } = await played;
+
+  assert.strictEqual(announced.id, card.id);
+  assert.strictEqual(gameState.topCard.id, card.id);
+  assert.ok(!room.gameState.playerHands[0].some(c => c.id === card.id));
+});
+
+test('a main screen can only finish animations in its own room', async () => {
+  const first = await startTable();
+  const second = await startTable();
+
+  // The second room's main screen names the first room, but only its own room unlocks
+  const secondUnlocked = waitFor(second.alice, 'game-state-updated', data => !data.gameState.isAnimating);
+  second.host.emit('first-card-flip-complete', { roomCode: first.roomCode });
+  await secondUnlocked;
+
+  assert.strictEqual((await request(first.alice, 'draw-card', { roomCode: first.roomCode })).code, 'ANIMATION_LOCKED');
+  assert.deepStrictEqual(await request(second.alice, 'draw-card', { roomCode: second.roomCode }), { success: true });
+});
+
+test('a dropped phone reclaims its seat and hand with its reconnect token', async () => {
+  const table = await startTable();
+  const { bob, roomCode, bobJoin } = table;
+  await flipFirstCard(table);
+
+  const handBefore = roomManager.rooms.get(roomCode).gameState.playerHands[1].map(c => c.id);
+
+  // While Bob's phone is still connected, his token can't be used to take the seat over
+  const thief = await connect();
+  const hijack = await request(thief, 'rejoin-room', { roomCode, reconnectToken: bobJoin.reconnectToken });
+  assert.strictEqual(hijack.code, 'SEAT_IN_USE');
+
+  const seatHeld = waitFor(table.alice, 'player-disconnected');
+  bob.disconnect();
+  await seatHeld;
+
+  const phone = await connect();
+  const rejoined = await request(phone, 'rejoin-room', { roomCode, reconnectToken: bobJoin.reconnectToken });
+
+  assert.strictEqual(rejoined.success, true);
+  assert.strictEqual(rejoined.playerName, 'Bob');
+  assert.deepStrictEqual(rejoined.gameState.playerHand.map(c => c.id), handBefore);
+});
+
+test('the game log is only served once the game is over', async () => {
+  const table = await startTable();
+
+  const midGame = await fetch(`${baseUrl}/api/room/${table.roomCode}/log`);
+  assert.strictEqual(midGame.status, 409);
+
+  const missing = await fetch(`${baseUrl}/api/room/ZZZZ/log`);
+  assert.strictEqual(missing.status, 404);
+
+  const roomInfo = await fetch(`${baseUrl}/api/room/${table.roomCode}`);
+  assert.strictEqual(roomInfo.status, 200);
+  assert.strictEqual((await roomInfo.json()).gameState.phase, 'playing');
+});
+
+test('a player who can neither draw nor play passes the turn', async () => {
+  const table = await startTable();
+  const { alice, bob, roomCode } = table;
+  await flipFirstCard(table);
+
+  // Every card is dealt out: Alice holds all the ones that can't go on a red 5, Bob the rest
+  const room = roomManager.rooms.get(roomCode);
+  const { gameState } = room;
+  const cards = [...gameState.deck, ...gameState.discardPile, ...gameState.playerHands[0], ...gameState.playerHands[1]];
+  const top = cards.find(c => c.id === 'red-5-0');
+  const stuck = c => c.color !== 'red' && c.rank !== '5' && c.rank !== '8';
+  gameState.deck = [];
+  gameState.discardPile = [top];
+  gameState.lastPlayedCard = top;
+  gameState.currentColor = 'red';
+  gameState.playerHands[0] = cards.filter(stuck);
+  gameState.playerHands[1] = cards.filter(c => c !== top && !stuck(c));
+  room.players.get(alice.id).cardCount = gameState.playerHands[0].length;
+  room.players.get(bob.id).cardCount = gameState.playerHands[1].length;
+
+  assert.strictEqual((await request(alice, 'draw-card', { roomCode })).code, 'DECK_EMPTY');
+  assert.strictEqual(roomManager.getGameStateForPlayer(roomCode, alice.id).canPass, true);
+
+  const passed = waitFor(bob, 'player-passed');
+  const bobsTurn = waitFor(bob, 'game-state-updated', data => data.gameState.isYourTurn);
+  assert.deepStrictEqual(await request(alice, 'pass-turn', { roomCode }), { success: true });
+  assert.strictEqual((await passed).playerName, 'Alice');
+  assert.strictEqual((await bobsTurn).gameState.canPass, false);
+
+  assert.strictEqual((await request(bob, 'pass-turn', { roomCode })).code, 'CANNOT_PASS');
+});
+
+test('room settings changed in the lobby reach the main screen and every phone', async () => {
+  const host = await connect();
+  const alice = await connect();
+  const bob = await connect();
+
+  const { roomCode } = await request(host, 'create-room');
+  const aliceJoin = await request(alice, 'join-room', { roomCode, playerName: 'Alice' });
+  const bobJoin = await request(bob, 'join-room', { roomCode, playerName: 'Bob' });
+  assert.strictEqual(aliceJoin.roomData.settings.maxPlayers, 8);
+
+  const refused = await request(bob, 'update-room-settings', {
+    roomCode,
+    sessionToken: bobJoin.reconnectToken,
+    settings: { maxPlayers: 4 }
+  });
+  assert.strictEqual(refused.code, 'NOT_AUTHORIZED');
+
+  const seenByHost = waitFor(host, 'room-settings-updated');
+  const seenByBob = waitFor(bob, 'room-settings-updated');
+  const changed = await request(alice, 'update-room-settings', {
+    roomCode,
+    sessionToken: aliceJoin.reconnectToken,
+    settings: { maxPlayers: 4, allowSpectators: false, turnTimer: { enabled: true, seconds: 45 } }
+  });
+
+  assert.strictEqual(changed.success, true);
+  for (const { settings } of await Promise.all([seenByHost, seenByBob])) {
+    assert.deepStrictEqual(settings, changed.settings);
+    assert.strictEqual(settings.turnTimer.seconds, 45);
+  }
+});
+
+test('a kicked phone is told, and the rest of the table plays on without it', async () => {
+  const table = await startTable();
+  await flipFirstCard(table);
+
+  const toldBob = waitFor(table.bob, 'kicked');
+  const seenByHost = waitFor(table.host, 'player-left', data => data.kicked);
+  const kicked = await request(table.alice, 'kick-player', {
+    roomCode: table.roomCode,
+    sessionToken: table.aliceJoin.reconnectToken,
+    playerName: 'Bob',
+    ban: 'name'
+  });
+
+  assert.deepStrictEqual(kicked, { success: true });
+  assert.deepStrictEqual(await toldBob, { roomCode: table.roomCode, banned: true });
+  assert.deepStrictEqual((await seenByHost).players.map(p => p.name), ['Alice']);
+
+  const rejoin = await request(table.bob, 'join-room', { roomCode: table.roomCode, playerName: 'Bob' });
+  assert.match(rejoin.error, /removed from this room/);
+  assert.strictEqual(roomManager.verifyRoom(table.roomCode), null);
+});
+
+test('a main screen that drops can reattach and is sent the table', async () => {
+  const table = await startTable();
+  await flipFirstCard(table);
+
+  const toldAlice = waitFor(table.alice, 'host-disconnected');
+  table.host.disconnect();
+  assert.strictEqual((await toldAlice).graceMs, roomManager.hostGraceMs);
+  assert.ok(roomManager.rooms.has(table.roomCode), 'the room is held');
+
+  // Knowing the room code isn't enough to take the room over
+  const stranger = await connect();
+  const turnedAway = waitFor(stranger, 'room-error');
+  stranger.emit('host-join-room', { roomCode: table.roomCode });
+  assert.match(await turnedAway, /Not authorized/);
+
+  const screen = await connect();
+  const reattached = waitFor(screen, 'host-reattached');
+  const backForAlice = waitFor(table.alice, 'host-reconnected');
+  screen.emit('host-join-room', { roomCode: table.roomCode, sessionToken: table.hostToken });
+
+  const { roomData, gameState, gameOver } = await reattached;
+  assert.deepStrictEqual(roomData.players.map(p => p.name), ['Alice', 'Bob']);
+  assert.strictEqual(gameState.players.length, 2);
+  assert.strictEqual(gameOver, null);
+  await backForAlice;
+  assert.strictEqual(roomManager.rooms.get(table.roomCode).hostId, screen.id);
+});
+
+test('a main screen that reattaches between games is sent the results again', async () => {
+  const table = await startTable();
+  const room = roomManager.rooms.get(table.roomCode);
+  room.gameState.phase = 'game-over';
+  room.gameState.winner = 'Bob';
+  table.host.disconnect();
+  await waitFor(table.alice, 'host-disconnected');
+
+  const screen = await connect();
+  const reattached = waitFor(screen, 'host-reattached');
+  screen.emit('host-join-room', { roomCode: table.roomCode, sessionToken: table.hostToken });
+
+  const { gameOver } = await reattached;
+  assert.strictEqual(gameOver.winner, 'Bob');
+  assert.deepStrictEqual(gameOver.players.map(p => p.name), ['Alice', 'Bob']);
+});
+
+test("the first player's phone takes over once the main screen's grace runs out", async (t) => {
+  const graceMs = roomManager.hostGraceMs;
+  roomManager.hostGraceMs = 50;
+  t.after(() => { roomManager.hostGraceMs = graceMs; });
+  const table = await startTable();
+
+  const handedOver = waitFor(table.alice, 'controller-changed');
+  table.host.disconnect();
+
+  const { controller, playerName } = await handedOver;
+  assert.deepStrictEqual({ controller, playerName }, { controller: 'phone', playerName: 'Alice' });
+  assert.strictEqual(roomManager.rooms.get(table.roomCode).gameState.isAnimating, false); // first-flip let go
+});
+
+test('the web main screen is served at the root', async () => {
+  const page = await fetch(`${baseUrl}/`);
+  assert.strictEqual(page.status, 200);
+  assert.match(await page.text(), /main-screen\.js/);
+
+  const script = await fetch(`${baseUrl}/main-screen.js`);
+  assert.strictEqual(script.status, 200);
+  assert.match(await script.text(), /first-card-flip-complete/);
+});
+
+test('the main screen is sent everything it renders the table from when a game starts or restarts', async () => {
+  const host = await connect();
+  const alice = await connect();
+  const bob = await connect();
+  const { roomCode, hostToken } = await request(host, 'create-room');
+  const aliceJoin = await request(alice, 'join-room', { roomCode, playerName: 'Alice' });
+  await request(bob, 'join-room', { roomCode, playerName: 'Bob' });
+
+  // What main-screen.js renderTable reads: the phase for the turn line, `connected` for greyed-out seats
+  const assertRenderable = (gameState) => {
+    assert.strictEqual(gameState.phase, 'playing');
+    assert.ok(['Alice', 'Bob'].includes(gameState.currentPlayer));
+    assert.ok(gameState.topCard);
+    assert.strictEqual(typeof gameState.deckCount, 'number');
+    assert.strictEqual(gameState.direction, 1);
+    assert.deepStrictEqual(gameState.players.map(p => [p.name, p.connected, p.cardCount]), [['Alice', true, 7], ['Bob', true, 7]]);
+  };
+
+  const started = waitFor(host, 'game-started');
+  await request(alice, 'start-game', { roomCode, sessionToken: aliceJoin.reconnectToken });
+  assertRenderable((await started).gameState);
+
+  const restarted = waitFor(host, 'game-started');
+  await request(host, 'host-restart-game', { roomCode, sessionToken: hostToken });
+  assertRenderable((await restarted).gameState);
+});
+
+test('malformed payloads are answered with INVALID_PAYLOAD and the game carries on', async () => {
+  const table = await startTable();
+  await flipFirstCard(table);
+
+  const badName = await request(table.bob, 'join-room', { roomCode: table.roomCode, playerName: ['Bob'] });
+  assert.deepStrictEqual(badName, { success: false, code: 'INVALID_PAYLOAD', error: 'Name must be text' });
+
+  const badCard = await request(table.alice, 'play-card', { roomCode: table.roomCode, card: { rank: '8' } });
+  assert.strictEqual(badCard.code, 'INVALID_PAYLOAD');
+
+  // Without an ack the complaint comes back as an event
+  const complaint = waitFor(table.alice, 'payload-error');
+  table.alice.emit('draw-card', 42);
+  assert.strictEqual((await complaint).event, 'draw-card');
+
+  const roomInfo = await fetch(`${baseUrl}/api/room/${table.roomCode}`);
+  assert.strictEqual((await roomInfo.json()).gameState.phase, 'playing');
+});
+
+test('host-only events need a session secret and a seat in the room', async () => {
+  const table = await startTable();
+  const { roomCode } = table;
+
+  const stranger = await connect();
+  const outsider = await request(stranger, 'host-new-players', { roomCode, sessionToken: table.hostToken });
+  assert.deepStrictEqual(outsider, { success: false, code: 'NOT_AUTHORIZED', error: `You are not in room ${roomCode}` });
+  const peek = await request(stranger, 'draw-card', { roomCode });
+  assert.strictEqual(peek.code, 'NOT_AUTHORIZED');
+  for (const status of [roomCode, { roomCode }]) { // Bare code or object, a stranger can't read the room
+    assert.strictEqual((await request(stranger, 'get-room-status', status)).code, 'NOT_AUTHORIZED');
+  }
+  assert.strictEqual((await request(table.alice, 'get-room-status', roomCode)).code, roomCode);
+
+  const noToken = await request(table.alice, 'host-restart-game', { roomCode });
+  assert.match(noToken.error, /session token/);
+  const borrowed = await request(table.alice, 'host-restart-game', { roomCode, sessionToken: table.bobJoin.reconnectToken });
+  assert.strictEqual(borrowed.code, 'NOT_AUTHORIZED');
+
+  // A phone's own token gets it no further than its seat allows
+  const bobNewPlayers = await request(table.bob, 'host-new-players', { roomCode, sessionToken: table.bobJoin.reconnectToken });
+  assert.strictEqual(bobNewPlayers.code, 'NOT_AUTHORIZED');
+  assert.ok(roomManager.rooms.has(roomCode));
+
+  // The main screen's token from create-room works, and the new room comes with a new one
+  const created = waitFor(table.host, 'new-room-created');
+  const newPlayers = await request(table.host, 'host-new-players', { roomCode, sessionToken: table.hostToken });
+  assert.strictEqual(newPlayers.success, true);
+  const { newRoomCode, hostToken } = await created;
+  assert.strictEqual(newRoomCode, newPlayers.newRoomCode);
+  assert.notStrictEqual(hostToken, table.hostToken);
+  assert.strictEqual(roomManager.rooms.get(newRoomCode).hostToken, hostToken);
+});
+
+test('a flooding socket is told to slow down, then cut off', async () => {
+  const host = await connect();
+
+  // Three rooms in a burst, then create-room waits for its bucket to refill
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await request(host, 'create-room')).success, true);
+  }
+  const refused = await request(host, 'create-room');
+  assert.strictEqual(refused.code, 'RATE_LIMITED');
+  assert.ok(refused.retryAfterMs > 0);
+
+  // Keep going after being told and the socket is dropped
+  const dropped = new Promise((resolve) => host.on('disconnect', resolve));
+  for (let i = 0; i < 80; i++) {
+    host.emit('animation-complete', { roomCode: 'ZZZZ' });
+  }
+  assert.strictEqual(await dropped, 'io server disconnect');
+
+  const metrics = await (await fetch(`${baseUrl}/api/metrics`)).json();
+  assert.strictEqual(metrics.rateLimits.refusals['create-room'].socket, 1);
+  assert.ok(metrics.rateLimits.refusals['animation-complete'].socket >= 50);
+  assert.strictEqual(metrics.rateLimits.floodDisconnects, 1);
+});
+
+test('each room has a join link, served as the phone client and drawn as a QR code', async (t) => {
+  process.env.PUBLIC_URL = 'https://crazy8s.example/';
+  t.after(() => delete process.env.PUBLIC_URL);
+
+  const host = await connect();
+  const { roomCode, joinUrl } = await request(host, 'create-room');
+  assert.strictEqual(joinUrl, `https://crazy8s.example/join/${roomCode}`);
+
+  const phonePage = await fetch(`${baseUrl}/join/${roomCode}`);
+  assert.match(await phonePage.text(), /Phone Client/);
+
+  const svg = await fetch(`${baseUrl}/api/room/${roomCode}/qr`);
+  assert.strictEqual(svg.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.match(await svg.text(), /^<svg/);
+
+  const png = await fetch(`${baseUrl}/api/room/${roomCode.toLowerCase()}/qr?format=png`);
+  assert.strictEqual(png.headers.get('content-type'), 'image/png');
+  assert.deepStrictEqual([...new Uint8Array(await png.arrayBuffer()).subarray(1, 4)], [0x50, 0x4e, 0x47]); // "PNG"
+
+  assert.strictEqual((await fetch(`${baseUrl}/api/room/0000/qr`)).status, 404); // No such room
+});
+
+test('a room made over REST hands back its host token, and only the server picks its host id', async () => {
+  const bystander = await connect();
+  const response = await fetch(`${baseUrl}/api/create-room`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ hostId: bystander.id, seed: 7 })
+  });
+  const { roomCode, hostToken, hostId } = await response.json();
+  assert.strictEqual(hostId, undefined);
+  assert.strictEqual(roomManager.playerToRoom.has(bystander.id), false);
+
+  // A main screen with the token takes the room and can run it
+  const host = await connect();
+  const reattached = waitFor(host, 'host-reattached');
+  host.emit('host-join-room', { roomCode, sessionToken: hostToken });
+  await reattached;
+  assert.strictEqual((await request(host, 'set-game-seed', { roomCode, sessionToken: hostToken, seed: 8 })).success, true);
+});
+
+test('events naming a room that does not exist never touch the snapshot store', async () => {
+  const stray = path.join(roomStoreDir, 'QQQQ.json');
+  fs.writeFileSync(stray, '{}');
+
+  const stranger = await connect();
+  const drawn = await request(stranger, 'draw-card', { roomCode: 'QQQQ' });
+  assert.strictEqual(drawn.success, false);
+  const traversal = await request(stranger, 'draw-card', { roomCode: '../../victim' });
+  assert.strictEqual(traversal.code, 'INVALID_PAYLOAD');
+
+  await new Promise((resolve) => setTimeout(resolve, 50)); // Let any snapshot flush
+  assert.ok(fs.existsSync(stray));
+  fs.rmSync(stray);
+});
@@ -0,0 +1,159 @@
+// Game Simulator - Plays complete random games straight through RoomManager (no sockets, no timers).
+// After every move it checks the turn order and that RoomManager's integrity check found nothing, and after
+// every game it checks the game log. Each run is driven by one seed, so a failure can be replayed
+const RoomManager = require('../utils/roomManager');
+const { createSeededRandom } = require('../utils/seededRandom');
+const { buildReplayFrames } = require('../utils/gameReplay');
+
+// Safety net against a game that never ends
+const MAX_TURNS = 2000;
+
+// Whose turn it should be after a successful move by `playerIndex`
+function getExpectedNextPlayer(manager, room, playerIndex, before, result) {
+  const playerCount = room.players.size;
+  const { gameState } = room;
+  const { houseRules } = room.settings;
+  const next = (from, direction) => manager.gameLogic.getNextPlayer(from, playerCount, direction);
+
+  // The same player still has to pick a color, or may play the card they just drew
+  if (result.needColorChoice || result.canPlayDrawn) return playerIndex;
+
+  switch (result.effect) {
+    case 'draw-two':
+      return houseRules.stackDrawTwo
+        ? next(playerIndex, before.direction)
+        : next(next(playerIndex, before.direction), before.direction);
+    case 'skip':
+      return next(next(playerIndex, before.direction), before.direction);
+    case 'reverse':
+      return playerCount > 2 ? next(playerIndex, gameState.direction) : playerIndex;
+    default:
+      // Plain cards, draws, and a color picked for an 8 all pass the turn on by one
+      return next(playerIndex, before.direction);
+  }
+}
+
+// Pick a move for the current player the way a careless human might: any legal card, sometimes
+// drawing anyway, and sometimes leaving an 8's color to a separate choose-color step
+function pickMove(manager, room, playerIndex, random) {
+  const { gameState } = room;
+  const hand = gameState.playerHands[playerIndex];
+  const colors = manager.gameLogic.colors;
+
+  if (gameState.awaitingColorChoice) {
+    return { type: 'choose_color', color: colors[Math.floor(random() * colors.length)] };
+  }
+
+  const currentColor = gameState.chosenColor || gameState.currentColor;
+  const playRules = { pendingDraw: gameState.pendingDraw, houseRules: room.settings.houseRules };
+  const playable = hand.filter(card => manager.gameLogic.canPlayCard(card, gameState.lastPlayedCard, currentColor, playRules));
+
+  // Draw when stuck, and now and then anyway while there is something left to draw. Once the
+  // cards run out a stuck player has to pass
+  const canDraw = manager.canDrawCard(room);
+  if (playable.length === 0 && !canDraw && gameState.pendingDraw === 0) {
+    return { type: 'pass' };
+  }
+  if (playable.length === 0 || (canDraw && random() < 0.1)) {
+    return { type: 'draw_card' };
+  }
+
+  const card = playable[Math.floor(random() * playable.length)];
+  const chosenColor = card.rank === '8' && random() < 0.5
+    ? colors[Math.floor(random() * colors.length)]
+    : undefined;
+  return { type: 'play_card', cardId: card.id, chosenColor };
+}
+
+// Play one room through `rounds` complete games (restarting in between).
+// Returns { games, blocked, moves } or throws with the seed and move that broke an invariant
+function simulateGames({ seed, playerCount = 2, rounds = 1, houseRules = {}, deckOptions = {} }) {
+  const manager = new RoomManager();
+  const random = createSeededRandom(seed);
+  const hostId = 'host';
+  const roomCode = manager.createRoom(hostId);
+  const room = manager.rooms.get(roomCode);
+  const stats = { games: 0, blocked: 0, moves: 0 };
+
+  for (let seat = 0; seat < playerCount; seat++) {
+    const joined = manager.joinRoom(roomCode, `p${seat}`, `P${seat}`);
+    if (!joined.success) throw new Error(`Seed ${seed}: could not seat P${seat}: ${joined.error}`);
+  }
+  manager.setHouseRules(roomCode, hostId, houseRules);
+  const deck = manager.setDeckOptions(roomCode, hostId, deckOptions);
+  if (!deck.success) throw new Error(`Seed ${seed}: bad deck options: ${deck.error}`);
+
+  // RoomManager checks the table after every move - in a simulation any drift at all is a bug
+  let drift = null;
+  manager.on('integrity-drift', ({ problems }) => { drift = problems; });
+
+  const fail = (message) => {
+    manager.clearAnimationLocks(roomCode);
+    throw new Error(`Seed ${seed}, game ${stats.games + 1}, move ${stats.moves}: ${message}`);
+  };
+
+  for (let round = 0; round < rounds; round++) {
+    room.nextSeed = Math.floor(random() * 2 ** 32); // Shuffles follow from the simulation seed too
+    const started = round === 0 ? manager.startGame(roomCode, hostId) : manager.restartGame(roomCode, hostId);
+    if (!started.success) fail(`could not start: ${started.error}`);
+    manager.clearAnimationLocks(roomCode); // Nobody is watching the first card flip
+
+    let turns = 0;
+    while (room.gameState.phase === 'playing') {
+      if (++turns > MAX_TURNS) fail(`no winner after ${MAX_TURNS} moves`);
+
+      const playerIndex = room.gameState.currentPlayer;
+      const playerId = Array.from(room.players.keys())[playerIndex];
+      const before = { direction: room.gameState.direction };
+      const move = pickMove(manager, room, playerIndex, random);
+
+      const result = manager.handlePlayerAction(roomCode, playerId, move);
+      manager.clearAnimationLocks(roomCode);
+      stats.moves++;
+      if (drift) fail(drift.join('; '));
+
+      if (!result.success) {
+        fail(`${move.type} by P${playerIndex} was rejected: ${result.error}`);
+      }
+
+      if (room.gameState.phase === 'playing') {
+        const expected = getExpectedNextPlayer(manager, room, playerIndex, before, result);
+        if (room.gameState.currentPlayer !== expected) {
+          fail(`after ${move.type} by P${playerIndex} it is P${room.gameState.currentPlayer}'s turn, expected P${expected}`);
+        }
+      } else if (result.blocked) {
+        // Everyone passed - the lowest hand has to have won
+        stats.blocked++;
+        const handValues = Object.values(room.gameState.playerHands).map(hand => manager.gameLogic.calculateScore(hand));
+        const winnerIndex = Array.from(room.players.values()).findIndex(p => p.name === result.winner);
+        if (handValues[winnerIndex] !== Math.min(...handValues)) {
+          fail(`blocked game went to ${result.winner}, who doesn't hold the lowest hand`);
+        }
+      } else if (room.gameState.playerHands[playerIndex].length !== 0) {
+        fail(`game ended but P${playerIndex} still holds cards`);
+      }
+    }
+
+    // Replaying the game log has to land on the same table
+    const frames = buildReplayFrames(room.gameLog);
+    const replayed = frames[frames.length - 1].table;
+    Array.from(room.players.values()).forEach((player, index) => {
+      const hand = room.gameState.playerHands[index].map(card => card.id).sort().join();
+      if (replayed.hands[player.name].map(card => card.id).sort().join() !== hand) {
+        fail(`replaying the log gives ${player.name} a different hand`);
+      }
+    });
+    if (replayed.topCard.id !== room.gameState.lastPlayedCard.id) {
+      fail('replaying the log gives a different top card');
+    }
+    if (replayed.deckCount !== room.gameState.deck.length) {
+      fail(`replaying the log leaves ${replayed.deckCount} cards in the deck, not ${room.gameState.deck.length}`);
+    }
+
+    stats.games++;
+  }
+
+  return stats;
+}
+
+module.exports = { simulateGames };
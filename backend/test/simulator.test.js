@@ -0,0 +1,61 @@
+// Thousands of random complete games through RoomManager, checking the table after every move
+const test = require('node:test');
+const assert = require('node:assert');
+const { simulateGames } = require('./simulator');
+
+// Set SIM_GAMES to run a longer soak locally
+const GAMES_PER_TABLE = Number(process.env.SIM_GAMES) || 1000;
+
+const tables = [
+  { name: 'two players, classic rules', playerCount: 2, houseRules: {} },
+  { name: 'four players, every action card', playerCount: 4, houseRules: { drawTwo: true, skip: true, reverse: true } },
+  { name: 'three players, stacking draw-twos', playerCount: 3, houseRules: { drawTwo: true, stackDrawTwo: true, reverse: true } },
+  { name: 'five players, draw until playable', playerCount: 5, houseRules: { drawUntilPlayable: true, skip: true } },
+  { name: 'eight players from two decks', playerCount: 8, houseRules: { drawTwo: true, skip: true, reverse: true } },
+  {
+    name: 'four players, short deck with extra action cards',
+    playerCount: 4,
+    houseRules: { drawTwo: true, skip: true },
+    deckOptions: { ranks: ['1', '2', '3', '7', '8', '9'], handSize: 5, actionCards: 2 }
+  },
+  {
+    name: 'three players, no 8s in one set',
+    playerCount: 3,
+    houseRules: {},
+    deckOptions: { ranks: ['1', '2', '3', '4', '5', '6', '7', '9'], copies: 1, handSize: 'classic' }
+  }
+];
+
+for (const [tableIndex, table] of tables.entries()) {
+  test(`simulated games: ${table.name}`, (t) => {
+    t.mock.method(console, 'log', () => {}); // RoomManager narrates every move
+
+    const totals = { games: 0, blocked: 0, moves: 0 };
+    const roomsToPlay = Math.ceil(GAMES_PER_TABLE / 10);
+
+    // Each room plays ten games back to back, so restarts are covered too
+    for (let roomIndex = 0; roomIndex < roomsToPlay; roomIndex++) {
+      const stats = simulateGames({
+        seed: tableIndex * 100000 + roomIndex,
+        playerCount: table.playerCount,
+        houseRules: table.houseRules,
+        deckOptions: table.deckOptions,
+        rounds: 10
+      });
+      totals.games += stats.games;
+      totals.blocked += stats.blocked;
+      totals.moves += stats.moves;
+    }
+
+    assert.strictEqual(totals.games, roomsToPlay * 10);
+    assert.ok(totals.blocked < totals.games, 'most games should be won by emptying a hand');
+  });
+}
+
+test('the same seed plays the same games', (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  const first = simulateGames({ seed: 42, playerCount: 3, rounds: 5, houseRules: { skip: true } });
+  const second = simulateGames({ seed: 42, playerCount: 3, rounds: 5, houseRules: { skip: true } });
+  assert.deepStrictEqual(first, second);
+});
@@ -0,0 +1,95 @@
+// Bot Player - Picks moves for computer-controlled seats
+class BotPlayer {
+  constructor(gameLogic) {
+    this.gameLogic = gameLogic;
+
+    // easy: any legal card, random color
+    // medium: saves 8s for when nothing else fits, picks the color it holds most of
+    // hard: like medium, but plays to keep its strongest color and uses action cards first
+    this.difficulties = ['easy', 'medium', 'hard'];
+  }
+
+  isValidDifficulty(difficulty) {
+    return this.difficulties.includes(difficulty);
+  }
+
+  // Decide what to do on the bot's turn: { type: 'play', card, chosenColor }, { type: 'draw' },
+  // or { type: 'pass' } once there is nothing left to draw
+  chooseMove({ hand, topCard, currentColor, pendingDraw = 0, houseRules, difficulty = 'medium', canDraw = true }) {
+    const playable = hand.filter(card =>
+      this.gameLogic.canPlayCard(card, topCard, currentColor, { pendingDraw, houseRules })
+    );
+
+    if (playable.length === 0) {
+      // A pending penalty is still taken as a draw, even if there is nothing left to hand out
+      return { type: canDraw || pendingDraw > 0 ? 'draw' : 'pass' };
+    }
+
+    let card;
+    switch (difficulty) {
+      case 'easy':
+        card = this.pickRandom(playable);
+        break;
+      case 'hard':
+        card = this.pickStrategicCard(playable, hand, houseRules);
+        break;
+      default:
+        card = this.pickRandom(playable.filter(c => c.rank !== '8')) || this.pickRandom(playable);
+    }
+
+    // A winning 8 needs no color; otherwise pick one
+    let chosenColor = null;
+    if (card.rank === '8' && hand.length > 1) {
+      chosenColor = difficulty === 'easy'
+        ? this.pickRandom(this.gameLogic.colors)
+        : this.getStrongestColor(hand.filter(c => c !== card));
+    }
+
+    return { type: 'play', card, chosenColor };
+  }
+
+  // Hold 8s back, lead with action cards, and stay in the color we hold most of
+  pickStrategicCard(playable, hand, houseRules) {
+    const nonEights = playable.filter(card => card.rank !== '8');
+    if (nonEights.length === 0) {
+      return playable[0];
+    }
+
+    const colorCounts = this.countColors(hand);
+    const score = card => {
+      let value = colorCounts[card.color] || 0;
+      if (this.gameLogic.getCardEffect(card, houseRules)) value += 3;
+      return value;
+    };
+
+    return nonEights.reduce((best, card) => (score(card) > score(best) ? card : best));
+  }
+
+  // The color the hand holds most of (ignoring 8s), falling back to a random color
+  getStrongestColor(hand) {
+    const colorCounts = this.countColors(hand);
+    let strongest = null;
+    for (const color of this.gameLogic.colors) {
+      if ((colorCounts[color] || 0) > (colorCounts[strongest] || 0)) {
+        strongest = color;
+      }
+    }
+    return strongest || this.pickRandom(this.gameLogic.colors);
+  }
+
+  countColors(hand) {
+    const counts = {};
+    for (const card of hand) {
+      if (card.rank === '8') continue;
+      counts[card.color] = (counts[card.color] || 0) + 1;
+    }
+    return counts;
+  }
+
+  pickRandom(items) {
+    if (items.length === 0) return undefined;
+    return items[Math.floor(Math.random() * items.length)];
+  }
+}
+
+module.exports = BotPlayer;
@@ -1,6 +1,9 @@
 // Crazy 8s Game Logic - Handles deck, cards, and game rules
 class Crazy8sGameLogic {
-  constructor() {
+  // `random` is any Math.random-style function - pass a seeded one (see seededRandom.js) for repeatable shuffles
+  constructor(random = Math.random) {
+    this.random = random;
+
     // Using colors instead of traditional suits
     this.colors = ['red', 'blue', 'green', 'yellow'];
     this.ranks = ['1', '2', '3', '4', '5', '6', '7', '8', '9']; // Simplified rank system
@@ -10,39 +13,185 @@ class Crazy8sGameLogic {
       green: '🟢',
       yellow: '🟡'
     };
+
+    // House rules - every rule is off by default (classic Crazy 8s, only 8s are special)
+    this.defaultHouseRules = {
+      drawTwo: false, // 2s make the next player draw two and lose their turn
+      stackDrawTwo: false, // A 2 can be answered with another 2, passing on the combined penalty
+      skip: false, // 7s skip the next player
+      reverse: false, // 1s reverse the direction of play
+      drawUntilPlayable: false // Keep drawing until you pick up a card you can play
+    };
+
+    // Cards dealt to each player, and the fewest cards that should be left to draw from after the deal
+    this.handSize = 7;
+    this.minDrawPile = 5;
+
+    // Which rank triggers each action rule
+    this.actionRanks = {
+      drawTwo: '2',
+      skip: '7',
+      reverse: '1'
+    };
+
+    // Deck composition - the defaults build the classic deck (see normalizeDeckOptions)
+    this.defaultDeckOptions = {
+      ranks: [...this.ranks], // Ranks the deck is built from
+      copies: null, // Card sets shuffled together - null adds sets until everyone can be dealt in
+      handSize: this.handSize, // Cards dealt to each player, or 'classic': 5 with two players, 7 otherwise
+      actionCards: 0 // Extra cards per color of each action rank whose house rule is on
+    };
+  }
+
+  // Check deck options from the lobby on top of the current ones - returns { deckOptions } or { error }
+  normalizeDeckOptions(options = {}, current = this.defaultDeckOptions) {
+    const deckOptions = { ...current };
+    const { ranks, copies, handSize, actionCards } = options;
+
+    if (ranks !== undefined) {
+      if (!Array.isArray(ranks) || ranks.some(rank => !this.ranks.includes(String(rank)))) {
+        return { error: `Ranks must be picked from ${this.ranks.join(', ')}` };
+      }
+      deckOptions.ranks = this.ranks.filter(rank => ranks.map(String).includes(rank)); // No repeats, in deck order
+      if (!deckOptions.ranks.some(rank => rank !== '8')) {
+        return { error: 'The deck needs a rank other than 8 to start the discard pile' };
+      }
+    }
+
+    if (copies !== undefined) {
+      if (copies !== null && (!Number.isInteger(copies) || copies < 1 || copies > 4)) {
+        return { error: 'Deck copies must be a whole number from 1 to 4 (or null to fit the table)' };
+      }
+      deckOptions.copies = copies;
+    }
+
+    if (handSize !== undefined) {
+      if (handSize !== 'classic' && (!Number.isInteger(handSize) || handSize < 3 || handSize > 10)) {
+        return { error: "Hand size must be a whole number from 3 to 10, or 'classic'" };
+      }
+      deckOptions.handSize = handSize;
+    }
+
+    if (actionCards !== undefined) {
+      if (!Number.isInteger(actionCards) || actionCards < 0 || actionCards > 3) {
+        return { error: 'Extra action cards must be a whole number from 0 to 3' };
+      }
+      deckOptions.actionCards = actionCards;
+    }
+
+    return { deckOptions };
+  }
+
+  // Cards dealt to each player at a table this size
+  getHandSize(deckOptions, playerCount) {
+    if (deckOptions.handSize === 'classic') {
+      return playerCount === 2 ? 5 : 7;
+    }
+    return deckOptions.handSize;
   }
 
-  // Create a 36-card deck (4 colors × 9 ranks)
-  createDeck() {
-    const deck = [];
-    
-    this.colors.forEach(color => {
-      this.ranks.forEach(rank => {
-        deck.push({
-          color: color,
-          rank: rank,
-          isWild: rank === '8', // 8s are wild cards that change color
-          suit: color // Keep for backward compatibility, but now represents color
+  // Work out the deck for a table: { spec, handSize } where spec is what buildCardSet takes, or { error }
+  // when a fixed number of sets can't deal everyone a hand and still leave a draw pile
+  planDeck(deckOptions, houseRules, playerCount) {
+    const handSize = this.getHandSize(deckOptions, playerCount);
+    const actionRanks = Object.keys(this.actionRanks)
+      .filter(rule => houseRules[rule])
+      .map(rule => this.actionRanks[rule]);
+    const spec = {
+      copies: 1,
+      ranks: [...deckOptions.ranks],
+      actionRanks: deckOptions.actionCards > 0 ? actionRanks : [],
+      actionCards: deckOptions.actionCards
+    };
+
+    const setSize = this.buildCardSet(spec).length;
+    const cardsNeeded = playerCount * handSize + 1 + this.minDrawPile; // +1 for the starting card
+    const copiesNeeded = Math.max(1, Math.ceil(cardsNeeded / setSize));
+
+    if (deckOptions.copies === null) {
+      spec.copies = copiesNeeded;
+    } else if (deckOptions.copies < copiesNeeded) {
+      return {
+        error: `${deckOptions.copies * setSize} cards can't deal ${handSize} each to ${playerCount} players and leave ${this.minDrawPile} to draw - add deck copies or deal fewer cards`
+      };
+    } else {
+      spec.copies = deckOptions.copies;
+    }
+
+    return { spec, handSize };
+  }
+
+  // Build a complete house rules object, ignoring unknown keys and non-boolean values
+  normalizeHouseRules(rules = {}) {
+    const normalized = { ...this.defaultHouseRules };
+    for (const key of Object.keys(normalized)) {
+      if (typeof rules[key] === 'boolean') {
+        normalized[key] = rules[key];
+      }
+    }
+    // Stacking only means something when draw-two is on
+    if (!normalized.drawTwo) {
+      normalized.stackDrawTwo = false;
+    }
+    return normalized;
+  }
+
+  // Get the action a card triggers under the room's house rules (null for plain cards)
+  getCardEffect(card, houseRules = this.defaultHouseRules) {
+    if (houseRules.drawTwo && card.rank === this.actionRanks.drawTwo) return 'draw-two';
+    if (houseRules.skip && card.rank === this.actionRanks.skip) return 'skip';
+    if (houseRules.reverse && card.rank === this.actionRanks.reverse) return 'reverse';
+    return null;
+  }
+
+  // Create a shuffled deck - by default one classic 36-card set (4 colors × 9 ranks)
+  createDeck(spec = {}, random = this.random) {
+    return this.shuffleDeck(this.buildCardSet(spec), random);
+  }
+
+  // Every card a deck holds, in a fixed order - what a game's cards are checked against.
+  // Each set has every color in `ranks`, plus `actionCards` extra cards per color of each of `actionRanks`
+  buildCardSet({ copies = 1, ranks = this.ranks, actionRanks = [], actionCards = 0 } = {}) {
+    const cards = [];
+
+    for (let copy = 0; copy < copies; copy++) {
+      this.colors.forEach(color => {
+        ranks.forEach(rank => {
+          cards.push(this.createCard(color, rank, copy));
+        });
+        actionRanks.forEach(rank => {
+          for (let extra = 1; extra <= actionCards; extra++) {
+            cards.push(this.createCard(color, rank, copy, `-extra${extra}`));
+          }
         });
       });
-    });
+    }
 
-    return this.shuffleDeck(deck);
+    return cards;
+  }
+
+  createCard(color, rank, copy = 0, idSuffix = '') {
+    return {
+      id: `${color}-${rank}-${copy}${idSuffix}`, // Tells duplicate cards from different sets apart
+      color: color,
+      rank: rank,
+      isWild: rank === '8', // 8s are wild cards that change color
+      suit: color // Keep for backward compatibility, but now represents color
+    };
   }
 
   // Shuffle deck using Fisher-Yates algorithm
-  shuffleDeck(deck) {
+  shuffleDeck(deck, random = this.random) {
     for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [deck[i], deck[j]] = [deck[j], deck[i]];
     }
     return deck;
   }
 
-  // Deal initial hands (7 cards each)
-  dealInitialHands(deck, playerCount) {
+  // Deal initial hands (7 cards each unless the room picked another hand size)
+  dealInitialHands(deck, playerCount, cardsPerPlayer = this.handSize) {
     const hands = {};
-    const cardsPerPlayer = 7;
 
     for (let player = 0; player < playerCount; player++) {
       hands[player] = [];
@@ -55,7 +204,12 @@ class Crazy8sGameLogic {
   }
 
   // Check if a card can be played
-  canPlayCard(card, topCard, chosenColor = null) {
+  canPlayCard(card, topCard, chosenColor = null, { pendingDraw = 0, houseRules } = {}) {
+    // A stacked draw-two penalty can only be answered with another draw-two
+    if (pendingDraw > 0) {
+      return this.getCardEffect(card, houseRules) === 'draw-two';
+    }
+
     // 8s (wild cards) can always be played
     if (card.rank === '8') return true;
 
@@ -68,9 +222,9 @@ class Crazy8sGameLogic {
     return card.color === topCard.color || card.rank === topCard.rank;
   }
 
-  // Get next player index
-  getNextPlayer(currentPlayer, playerCount) {
-    return (currentPlayer + 1) % playerCount;
+  // Get next player index (direction is 1 for clockwise, -1 after a reverse)
+  getNextPlayer(currentPlayer, playerCount, direction = 1) {
+    return (currentPlayer + direction + playerCount) % playerCount;
   }
 
   // Check if player has won
@@ -82,7 +236,7 @@ class Crazy8sGameLogic {
   calculateScore(hand) {
     return hand.reduce((score, card) => {
       if (card.rank === '8') return score + 50; // 8s worth 50 points
-      return score + parseInt(card.rank) || 0; // Number cards worth face value
+      return score + (parseInt(card.rank) || 0); // Number cards worth face value
     }, 0);
   }
 
@@ -0,0 +1,26 @@
+// Error Codes - Machine-readable reasons sent back in socket acknowledgements
+// A failed ack looks like { success: false, code, error } - `error` is the human-readable message
+module.exports = {
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  GAME_NOT_IN_PROGRESS: 'GAME_NOT_IN_PROGRESS',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  ANIMATION_LOCKED: 'ANIMATION_LOCKED',
+  CARD_NOT_IN_HAND: 'CARD_NOT_IN_HAND',
+  ILLEGAL_CARD: 'ILLEGAL_CARD',
+  COLOR_CHOICE_PENDING: 'COLOR_CHOICE_PENDING', // An 8 is still waiting for its color
+  NO_COLOR_CHOICE_PENDING: 'NO_COLOR_CHOICE_PENDING',
+  INVALID_COLOR: 'INVALID_COLOR',
+  DECK_EMPTY: 'DECK_EMPTY', // Nothing left to draw - pass instead
+  CANNOT_PASS: 'CANNOT_PASS', // Passing is only allowed when there is nothing to draw or play
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED', // Only the host or first player can do that
+  SEAT_IN_USE: 'SEAT_IN_USE', // The seat's phone is still connected - a token can only reclaim a dropped seat
+  GAME_IN_PROGRESS: 'GAME_IN_PROGRESS',
+  INVALID_SETTINGS: 'INVALID_SETTINGS', // A room setting was out of range or unknown
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD', // The message itself was malformed - wrong types, bad room code or name
+  NO_GAME_LOG: 'NO_GAME_LOG',
+  RATE_LIMITED: 'RATE_LIMITED', // Too many events too fast - wait `retryAfterMs` and try again
+  ROOM_LIMIT_REACHED: 'ROOM_LIMIT_REACHED', // The server, or this network, has as many rooms open as it may
+  SERVER_ERROR: 'SERVER_ERROR'
+};
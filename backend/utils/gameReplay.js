@@ -0,0 +1,97 @@
+// Game Replay - Rebuild the table after every step of a game log so a finished hand can be re-watched
+
+// Walk the log and return one frame per event: the event plus the table right after it
+function buildReplayFrames(gameLog) {
+  const frames = [];
+  let table = null;
+
+  for (const event of gameLog) {
+    if (event.type === 'deal') {
+      table = {
+        players: event.players.map(p => ({ ...p })),
+        hands: Object.fromEntries(Object.entries(event.hands).map(([name, hand]) => [name, [...hand]])),
+        topCard: event.startCard,
+        currentColor: event.startCard.color,
+        deckCount: event.deckCount,
+        winner: null
+      };
+    } else if (!table) {
+      continue; // Nothing to apply it to until the deal
+    } else {
+      applyEvent(table, event);
+    }
+
+    frames.push({ event, table: copyTable(table) });
+  }
+
+  return frames;
+}
+
+// Apply one logged event to the table
+function applyEvent(table, event) {
+  switch (event.type) {
+    case 'play': {
+      const hand = table.hands[event.player] || [];
+      table.hands[event.player] = hand.filter(card => card.id !== event.card.id);
+      table.topCard = event.card;
+      if (event.card.rank !== '8') {
+        table.currentColor = event.card.color; // An 8's color arrives as its own event
+      }
+      break;
+    }
+    case 'color':
+      table.currentColor = event.color;
+      break;
+    case 'draw':
+      table.hands[event.player] = (table.hands[event.player] || []).concat(event.cards);
+      table.deckCount = event.deckCount; // A reshuffle can happen part-way through a multi-card draw
+      break;
+    case 'reshuffle':
+      table.deckCount = event.deckCount;
+      break;
+    case 'leave':
+      table.deckCount += event.returnedCards;
+      table.players = table.players.filter(p => p.name !== event.player);
+      delete table.hands[event.player];
+      break;
+    case 'win':
+      table.winner = event.player;
+      break;
+  }
+}
+
+function copyTable(table) {
+  return {
+    ...table,
+    players: table.players.map(p => ({ ...p })),
+    hands: Object.fromEntries(Object.entries(table.hands).map(([name, hand]) => [name, [...hand]]))
+  };
+}
+
+// Same shape as RoomManager.getMainScreenGameState, so the main screen can draw a replay frame
+// like a live one. `nextPlayer` is whoever acts in the following frame
+function getReplayGameState(frame, nextPlayer) {
+  const { table } = frame;
+  return {
+    phase: table.winner ? 'game-over' : 'playing',
+    currentPlayer: nextPlayer || frame.event.player || null,
+    topCard: table.topCard,
+    currentColor: table.currentColor,
+    deckCount: table.deckCount,
+    players: table.players.map(p => ({
+      name: p.name,
+      cardCount: (table.hands[p.name] || []).length,
+      color: p.color,
+      connected: true,
+      isBot: p.isBot
+    })),
+    direction: 1,
+    pendingDraw: 0,
+    spectatorCount: 0,
+    turnSeconds: null,
+    isAnimating: false,
+    replay: true
+  };
+}
+
+module.exports = { buildReplayFrames, getReplayGameState };
@@ -0,0 +1,52 @@
+// Join Link - The address a phone opens to join a room (/join/ABCD), and that address as a QR code
+// The phone client is served from the same server, so the link also tells it where to connect
+const os = require('os');
+const QRCode = require('qrcode');
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// This machine's address on the local network, for when the main screen was opened as localhost -
+// a phone scanning "localhost" would look for the server on itself
+function getLanAddress() {
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const address of addresses || []) {
+      if (address.family === 'IPv4' && !address.internal) return address.address;
+    }
+  }
+  return null;
+}
+
+// Where phones should reach this server. PUBLIC_URL wins (set it when the server sits behind a domain);
+// otherwise the host the request came in on, with localhost swapped for the LAN address
+function getPublicBaseUrl({ protocol = 'http', host } = {}) {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  }
+
+  let url;
+  try {
+    url = new URL(`${protocol}://${host || 'localhost'}`);
+  } catch {
+    url = new URL(`${protocol}://localhost`); // A Host header that isn't one
+  }
+  if (LOCAL_HOSTNAMES.has(url.hostname)) {
+    const lanAddress = getLanAddress();
+    if (lanAddress) url.hostname = lanAddress;
+  }
+  return url.origin;
+}
+
+function getJoinUrl(baseUrl, roomCode) {
+  return `${baseUrl}/join/${roomCode}`;
+}
+
+// Render a link as a QR code: 'svg' gives the markup as a string, 'png' a Buffer
+function renderQrCode(url, format = 'svg') {
+  const options = { margin: 2, errorCorrectionLevel: 'M' };
+  if (format === 'png') {
+    return QRCode.toBuffer(url, { ...options, type: 'png', width: 512 });
+  }
+  return QRCode.toString(url, { ...options, type: 'svg' });
+}
+
+module.exports = { getPublicBaseUrl, getJoinUrl, renderQrCode };
@@ -0,0 +1,206 @@
+// Payload Validation - Checks and cleans what clients send before any socket handler sees it
+// Every event in server.js has a schema here. A malformed payload is answered with INVALID_PAYLOAD and
+// never reaches RoomManager, so the game logic can trust the types it is handed
+const ErrorCodes = require('./errorCodes');
+
+const NAME_MIN_LENGTH = 2;
+const NAME_MAX_LENGTH = 7; // Same limits as the phone's join screen
+const MAX_ID_LENGTH = 100; // Card ids, reconnect tokens and device ids
+const MAX_WORD_LENGTH = 20; // Colors, difficulties, ban kinds and action types
+
+// ---- Checkers ----
+// Each takes the raw value and returns { value } (cleaned) or { error }
+
+function roomCode(value) {
+  if (typeof value !== 'string') return { error: 'Room code must be text' };
+  const code = value.trim().toUpperCase();
+  if (!/^[A-Z]{4}$/.test(code)) return { error: 'Room code must be 4 letters' };
+  return { value: code };
+}
+
+// Names are put in one Unicode form (so an accented letter typed two ways is the same name), stripped of
+// control and invisible formatting characters, and have their whitespace collapsed before they are measured
+function playerName(value) {
+  if (typeof value !== 'string') return { error: 'Name must be text' };
+  if (value.length > 100) return { error: `Name must be ${NAME_MAX_LENGTH} characters or less` };
+
+  const name = value.normalize('NFC').replace(/[\p{Cc}\p{Cf}]/gu, '').replace(/\s+/g, ' ').trim();
+  const length = [...name].length; // Characters, not UTF-16 units
+  if (length < NAME_MIN_LENGTH) return { error: `Name must be at least ${NAME_MIN_LENGTH} characters` };
+  if (length > NAME_MAX_LENGTH) return { error: `Name must be ${NAME_MAX_LENGTH} characters or less` };
+  return { value: name };
+}
+
+function text(maxLength) {
+  return (value) => {
+    if (typeof value !== 'string' || value.length === 0) return { error: 'must be non-empty text' };
+    if (value.length > maxLength) return { error: `must be ${maxLength} characters or less` };
+    return { value };
+  };
+}
+
+function number(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+  return { value };
+}
+
+// Objects passed on whole (settings and options) - RoomManager checks what is inside
+function plainObject(value) {
+  if (!isPlainObject(value)) return { error: 'must be an object' };
+  return { value };
+}
+
+// Missing values are passed through untouched, so handlers' own defaults still apply
+function optional(checker) {
+  return (value) => (value === undefined || value === null ? { value } : checker(value));
+}
+
+function oneOf(...checkers) {
+  return (value) => {
+    let result;
+    for (const checker of checkers) {
+      result = checker(value);
+      if (!result.error) return result;
+    }
+    return result;
+  };
+}
+
+function arrayOf(checker, maxLength) {
+  return (value) => {
+    if (!Array.isArray(value)) return { error: 'must be a list' };
+    if (value.length > maxLength) return { error: `must have ${maxLength} entries or fewer` };
+
+    const items = [];
+    for (const item of value) {
+      const result = checker(item);
+      if (result.error) return result;
+      items.push(result.value);
+    }
+    return { value: items };
+  };
+}
+
+function literal(expected) {
+  return (value) => (value === expected ? { value } : { error: `must be '${expected}'` });
+}
+
+// A payload object with known fields. Anything else the client sent is dropped
+function object(shape) {
+  return (value) => {
+    if (!isPlainObject(value)) return { error: 'must be an object' };
+
+    const cleaned = {};
+    for (const [key, checker] of Object.entries(shape)) {
+      const result = checker(value[key]);
+      if (result.error) {
+        return { error: /^[A-Z]/.test(result.error) ? result.error : `${key} ${result.error}` };
+      }
+      if (result.value !== undefined) cleaned[key] = result.value;
+    }
+    return { value: cleaned };
+  };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Room settings changes - each section has to be an object so RoomManager can merge it
+function settingsChanges(value) {
+  if (!isPlainObject(value)) return { error: 'must be an object' };
+
+  for (const section of ['houseRules', 'deckOptions', 'turnTimer', 'match']) {
+    if (value[section] !== undefined && !isPlainObject(value[section])) {
+      return { error: `${section} must be an object` };
+    }
+  }
+  return { value };
+}
+
+const word = text(MAX_WORD_LENGTH);
+const id = text(MAX_ID_LENGTH);
+const sessionToken = optional(id); // Host-only events - checked against the room in server.js
+const roomOnly = object({ roomCode });
+const hostOnly = object({ roomCode, sessionToken });
+
+// A bare room code, as Unity sends some events - passed on as { roomCode } so later checks find the room
+function bareRoomCode(value) {
+  const result = roomCode(value);
+  return result.error ? result : { value: { roomCode: result.value } };
+}
+
+// Events whose payload the handler never reads (the room comes from the socket) - passed on as sent
+const IGNORED = null;
+
+// ---- Schemas ----
+
+const schemas = {
+  'create-room': IGNORED,
+  'join-room': object({ roomCode, playerName, deviceId: optional(id) }),
+  'rejoin-room': object({ roomCode, reconnectToken: id }),
+  'spectate-room': object({ roomCode, spectatorName: playerName, deviceId: optional(id) }),
+  'host-join-room': hostOnly,
+  'start-game': oneOf(hostOnly, bareRoomCode),
+  'update-room-settings': object({ roomCode, sessionToken, settings: settingsChanges }),
+  'set-house-rules': object({ roomCode, sessionToken, rules: plainObject }),
+  'set-deck-options': object({ roomCode, sessionToken, options: plainObject }),
+  'set-turn-timer': object({ roomCode, sessionToken, options: plainObject }),
+  'set-game-seed': object({ roomCode, sessionToken, seed: optional(number) }),
+  'set-match-options': object({ roomCode, sessionToken, options: plainObject }),
+  'add-bot': object({ roomCode, sessionToken, difficulty: optional(word) }),
+  'remove-bot': object({ roomCode, sessionToken, botName: playerName }),
+  'kick-player': object({ roomCode, sessionToken, playerName, ban: optional(word) }),
+  'transfer-first-player': object({ roomCode, sessionToken, playerName }),
+  'arrange-seats': object({ roomCode, sessionToken, order: oneOf(literal('shuffle'), arrayOf(playerName, 8)) }),
+  'player-action': object({
+    roomCode,
+    action: object({ type: word, cardId: optional(id), chosenColor: optional(word), color: optional(word) })
+  }),
+  'get-room-status': oneOf(roomOnly, bareRoomCode),
+  'play-card': object({ roomCode, cardId: id, chosenColor: optional(word) }),
+  'draw-card': roomOnly,
+  'choose-color': object({ roomCode, color: word }),
+  'pass-turn': roomOnly,
+  'animation-complete': IGNORED,
+  'first-card-flip-complete': IGNORED,
+  'winner-animation-complete': IGNORED,
+  'start-replay': hostOnly,
+  'stop-replay': hostOnly,
+  'host-restart-game': hostOnly,
+  'host-new-players': hostOnly
+};
+
+// Handlers that always answer through the ack - sending one of these without it is a malformed message
+const ACK_REQUIRED = new Set(['join-room', 'rejoin-room', 'spectate-room', 'player-action', 'get-room-status']);
+
+// Check one incoming message. Returns { success: true, data } with the cleaned payload
+// (or the payload as sent for events that ignore it), or { success: false, code, error }
+function validatePayload(event, data, hasAck) {
+  if (!Object.hasOwn(schemas, event)) {
+    return { success: false, code: ErrorCodes.INVALID_PAYLOAD, error: `Unknown event: ${event}` };
+  }
+
+  if (ACK_REQUIRED.has(event) && !hasAck) {
+    return { success: false, code: ErrorCodes.INVALID_PAYLOAD, error: `${event} needs a reply callback` };
+  }
+
+  const schema = schemas[event];
+  if (schema === IGNORED) {
+    return { success: true, data };
+  }
+
+  const result = schema(data);
+  if (result.error) {
+    const error = /^[A-Z]/.test(result.error) ? result.error : `Payload ${result.error}`;
+    return { success: false, code: ErrorCodes.INVALID_PAYLOAD, error };
+  }
+  return { success: true, data: result.value };
+}
+
+module.exports = {
+  NAME_MIN_LENGTH,
+  NAME_MAX_LENGTH,
+  validatePayload,
+  eventNames: Object.keys(schemas)
+};
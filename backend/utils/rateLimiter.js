@@ -0,0 +1,128 @@
+// Rate Limiter - Token buckets per socket and per IP address for each kind of socket event
+// A bucket holds up to `burst` tokens and refills at `perSecond`. Every event takes one token from the
+// sender's socket bucket and one from its address's bucket; an empty bucket means the event is refused.
+// Per-address buckets are shared by every phone on the same network (a party on one Wi-Fi), so they are
+// far roomier than per-socket ones - they are there to catch one machine opening socket after socket
+
+// Events are grouped so related ones share limits. Anything not listed uses `default`
+const DEFAULT_LIMITS = {
+  default: { socket: { burst: 20, perSecond: 10 }, address: { burst: 300, perSecond: 100 } },
+  // Every room takes memory and a room code - a host needs one now and then, not one a second
+  'create-room': { socket: { burst: 3, perSecond: 0.1 }, address: { burst: 10, perSecond: 0.2 } },
+  // Ways into a room - slow enough that guessing room codes takes forever
+  entry: { socket: { burst: 5, perSecond: 1 }, address: { burst: 40, perSecond: 5 } },
+  // Game moves - a fast player taps a few times a second at most
+  move: { socket: { burst: 8, perSecond: 4 }, address: { burst: 80, perSecond: 40 } },
+  // New socket connections, counted per address only
+  connection: { address: { burst: 30, perSecond: 2 } }
+};
+
+const EVENT_GROUPS = {
+  'join-room': 'entry',
+  'rejoin-room': 'entry',
+  'spectate-room': 'entry',
+  'host-join-room': 'entry',
+  'get-room-status': 'entry',
+  'play-card': 'move',
+  'draw-card': 'move',
+  'choose-color': 'move',
+  'pass-turn': 'move',
+  'player-action': 'move'
+};
+
+// Buckets left untouched this long are full again anyway, so sweep() can drop them
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+class RateLimiter {
+  constructor(limits = DEFAULT_LIMITS, { now = Date.now } = {}) {
+    this.limits = limits;
+    this.now = now;
+    this.buckets = new Map(); // { 'socket:<id>:<group>' or 'address:<ip>:<group>': { tokens, updatedAt } }
+    this.refusals = {}; // { event: { reason: count } } - reasons are 'socket', 'address' or set by the caller
+    this.floodDisconnects = 0;
+    this.since = new Date(this.now());
+  }
+
+  getGroup(event) {
+    if (this.limits[event]) return event;
+    return EVENT_GROUPS[event] && this.limits[EVENT_GROUPS[event]] ? EVENT_GROUPS[event] : 'default';
+  }
+
+  // Take a token for `event` from the socket's bucket and then the address's. Returns { allowed: true },
+  // or { allowed: false, scope, retryAfterMs } naming the bucket that ran dry (and counts the refusal)
+  consume(event, socketId, address) {
+    const group = this.getGroup(event);
+    const limit = this.limits[group];
+
+    const checks = [];
+    if (limit.socket && socketId) checks.push(['socket', `socket:${socketId}:${group}`, limit.socket]);
+    if (limit.address && address) checks.push(['address', `address:${address}:${group}`, limit.address]);
+
+    for (const [scope, key, bucketLimit] of checks) {
+      const retryAfterMs = this.take(key, bucketLimit);
+      if (retryAfterMs > 0) {
+        this.recordRefusal(event, scope);
+        return { allowed: false, scope, retryAfterMs };
+      }
+    }
+    return { allowed: true };
+  }
+
+  // Refill the bucket for the time since it was last used, then take one token.
+  // Returns 0 when a token was taken, otherwise how long until the next one
+  take(key, { burst, perSecond }) {
+    const now = this.now();
+    const bucket = this.buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return Math.ceil(((1 - bucket.tokens) / perSecond) * 1000);
+    }
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  // Count a refusal decided elsewhere (e.g. too many rooms from one address) alongside the limiter's own
+  recordRefusal(event, reason) {
+    this.refusals[event] = this.refusals[event] || {};
+    this.refusals[event][reason] = (this.refusals[event][reason] || 0) + 1;
+  }
+
+  recordFloodDisconnect() {
+    this.floodDisconnects++;
+  }
+
+  // Drop a socket's buckets once it has gone
+  forgetSocket(socketId) {
+    const prefix = `socket:${socketId}:`;
+    for (const key of this.buckets.keys()) {
+      if (key.startsWith(prefix)) this.buckets.delete(key);
+    }
+  }
+
+  // Drop buckets nobody has used for a while - they would be full again by now
+  sweep() {
+    const cutoff = this.now() - IDLE_BUCKET_MS;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.updatedAt < cutoff) this.buckets.delete(key);
+    }
+  }
+
+  // How often limits have fired since the server started
+  getMetrics() {
+    const total = Object.values(this.refusals)
+      .reduce((sum, reasons) => sum + Object.values(reasons).reduce((a, b) => a + b, 0), 0);
+
+    return {
+      since: this.since,
+      totalRefusals: total,
+      refusals: this.refusals,
+      floodDisconnects: this.floodDisconnects,
+      activeBuckets: this.buckets.size
+    };
+  }
+}
+
+module.exports = { RateLimiter, DEFAULT_LIMITS };
@@ -0,0 +1,98 @@
+// Room Integrity - Checks that every card of the game is in exactly one place (deck, discard pile or a hand)
+// and that the fields copied from them (card counts, top card, turn) still agree. With `repair` it also
+// puts things right, so a bug can't leave the main screen showing the wrong table
+
+// The cards this game was dealt from. Snapshots from before it was recorded held classic sets,
+// and the number of them is read off the card ids
+function getDeckSpec(gameState, cards) {
+  if (gameState.deckSpec) return gameState.deckSpec;
+  const copies = cards.map(card => Number(String(card.id).split('-')[2]) || 0);
+  return { copies: Math.max(0, ...copies) + 1 };
+}
+
+// Returns { problems, repairs } - two empty lists when the room is consistent
+function checkRoomIntegrity(room, gameLogic, { repair = false } = {}) {
+  const problems = [];
+  const repairs = [];
+  const { gameState } = room;
+  const players = Array.from(room.players.values());
+
+  const fix = (problem, description, apply) => {
+    problems.push(problem);
+    if (repair) {
+      apply();
+      repairs.push(description);
+    }
+  };
+
+  // Hands are checked first, so when a card turns up twice the player keeps theirs
+  const piles = players.map((player, index) => ({
+    name: `${player.name}'s hand`,
+    cards: gameState.playerHands[index] || []
+  }));
+  piles.push({ name: 'the discard pile', cards: gameState.discardPile });
+  piles.push({ name: 'the deck', cards: gameState.deck });
+
+  const allCards = piles.flatMap(pile => pile.cards);
+  const expected = new Map(gameLogic.buildCardSet(getDeckSpec(gameState, allCards)).map(card => [card.id, card]));
+  const seen = new Set();
+
+  for (const pile of piles) {
+    for (let i = pile.cards.length - 1; i >= 0; i--) {
+      const card = pile.cards[i];
+      if (!expected.has(card.id)) {
+        fix(`${pile.name} holds ${card.id}, which isn't in this game's deck`, `removed ${card.id} from ${pile.name}`,
+          () => pile.cards.splice(i, 1));
+      } else if (seen.has(card.id)) {
+        fix(`${card.id} is in two places`, `removed the extra ${card.id} from ${pile.name}`,
+          () => pile.cards.splice(i, 1));
+      } else {
+        seen.add(card.id);
+      }
+    }
+  }
+
+  for (const [id, card] of expected) {
+    if (!seen.has(id)) {
+      // Lost cards go back under the deck, where nobody has seen them
+      fix(`${id} is missing`, `put ${id} back under the deck`, () => gameState.deck.unshift({ ...card }));
+    }
+  }
+
+  // Fields derived from the cards
+  players.forEach((player, index) => {
+    const handSize = (gameState.playerHands[index] || []).length;
+    if (player.cardCount !== handSize) {
+      fix(`${player.name} shows ${player.cardCount} cards but holds ${handSize}`, `set ${player.name}'s card count to ${handSize}`,
+        () => { player.cardCount = handSize; });
+    }
+  });
+
+  const topCard = gameState.discardPile[gameState.discardPile.length - 1];
+  if (topCard && gameState.lastPlayedCard?.id !== topCard.id) {
+    fix(`the top card is ${gameState.lastPlayedCard?.id}, but ${topCard.id} is on the discard pile`, `made ${topCard.id} the top card`,
+      () => { gameState.lastPlayedCard = topCard; });
+  }
+
+  if (!Number.isInteger(gameState.currentPlayer) || gameState.currentPlayer < 0 || gameState.currentPlayer >= players.length) {
+    fix(`current player ${gameState.currentPlayer} is not a seat`, 'gave the turn to the first seat',
+      () => { gameState.currentPlayer = 0; });
+  }
+
+  if (!Number.isInteger(gameState.pendingDraw) || gameState.pendingDraw < 0) {
+    fix(`pending draw is ${gameState.pendingDraw}`, 'cleared the pending draw', () => { gameState.pendingDraw = 0; });
+  }
+
+  if (gameState.chosenColor && !gameLogic.isValidColor(gameState.chosenColor)) {
+    fix(`chosen color ${gameState.chosenColor} is not a card color`, 'cleared the chosen color', () => { gameState.chosenColor = null; });
+  }
+
+  if (!gameLogic.isValidColor(gameState.currentColor) && gameState.lastPlayedCard) {
+    fix(`current color ${gameState.currentColor} is not a card color`, `set the current color to ${gameState.lastPlayedCard.color}`,
+      () => { gameState.currentColor = gameState.lastPlayedCard.color; });
+  }
+
+  return { problems, repairs };
+}
+
+module.exports = { checkRoomIntegrity };
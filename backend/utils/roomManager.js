@@ -1,35 +1,109 @@
 // Room Manager - Handles game rooms, players, and Crazy 8s game state
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const Crazy8sGameLogic = require('./crazy8sGameLogic');
-
-class RoomManager {
-  constructor() {
+const BotPlayer = require('./botPlayer');
+const { MemoryRoomStore } = require('./roomStore');
+const ErrorCodes = require('./errorCodes');
+const { buildReplayFrames } = require('./gameReplay');
+const { checkRoomIntegrity } = require('./roomIntegrity');
+const { MAX_SEED, generateSeed, isValidSeed, nextRandom } = require('./seededRandom');
+
+class RoomManager extends EventEmitter {
+  constructor(store = new MemoryRoomStore()) {
+    super();
     this.rooms = new Map(); // { roomCode: room object }
     this.playerToRoom = new Map(); // { playerId: roomCode } for quick lookup
+    this.store = store; // Where room snapshots are kept between server restarts
     this.gameLogic = new Crazy8sGameLogic();
+    this.botPlayer = new BotPlayer(this.gameLogic);
     
-    // Available player colors (max 4 players)
-    this.availableColors = ['red', 'blue', 'green', 'yellow'];
+    // Player identity colors (max 8 players) - separate from the four card colors
+    this.availableColors = ['red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'teal'];
+
+    // Names handed out to bot players (7 characters max, like player names)
+    this.botNames = ['Robo', 'Chip', 'Bolt', 'Gizmo', 'Pixel', 'Widget', 'Sprock', 'Byte'];
+
+    // How long a dropped player's seat is held during a game before it is released
+    this.reconnectGraceMs = 60 * 1000;
+
+    // How long a room waits for a dropped main screen before the first player's phone takes over
+    this.hostGraceMs = 2 * 60 * 1000;
+
+    // Named animation locks the main screen holds while it plays something. Each one is released by
+    // the main screen's callback, or by its timeout if that callback never arrives
+    this.animationLockMs = {
+      'first-flip': 3000,
+      spiral: 3300,
+      winner: 10000 // Unity's winner sequence runs about 8 seconds
+    };
+    this.animationTimers = new Map(); // { roomCode: Map(lockName: timeout) }
+
+    // Room limits. The total stays far below the 456,976 four-letter codes, so a free code turns up in
+    // a try or two. The per-address cap stops one machine holding rooms it isn't using
+    this.maxRooms = 20000;
+    this.maxRoomsPerAddress = 5;
+  }
+
+  // Generate a session secret - the main screen's host token, or the token a phone uses to reclaim its
+  // seat after a disconnect. Either one has to be sent with host-only events (see checkSession)
+  generateSessionToken() {
+    return crypto.randomBytes(16).toString('hex');
   }
 
-  // Generate unique 4-letter room code
+  // Generate unique 4-letter room code. Gives up (throws) rather than spinning when codes run short
   generateRoomCode() {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    let code;
-    do {
-      code = Array.from({ length: 4 }, () => 
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const code = Array.from({ length: 4 }, () => 
         chars[Math.floor(Math.random() * chars.length)]
       ).join('');
-    } while (this.rooms.has(code)); // Ensure uniqueness
-    return code;
+      if (!this.rooms.has(code)) return code; // Ensure uniqueness
+    }
+    throw this.roomLimitError('No free room codes right now - try again in a few minutes');
+  }
+
+  // Error thrown when a room can't be opened - `code` goes back to the client in the ack
+  roomLimitError(message) {
+    const error = new Error(message);
+    error.code = ErrorCodes.ROOM_LIMIT_REACHED;
+    return error;
+  }
+
+  // Rooms whose main screen connected from this address
+  countRoomsFrom(address) {
+    let count = 0;
+    for (const room of this.rooms.values()) {
+      if (room.hostAddress === address) count++;
+    }
+    return count;
   }
 
-  // Create new room
-  createRoom(hostId) {
+  // Create new room. Throws (with error.code ROOM_LIMIT_REACHED) when the server or the host's
+  // address already has as many rooms as it may
+  createRoom(hostId, { address = null } = {}) {
+    if (this.rooms.size >= this.maxRooms) {
+      throw this.roomLimitError('The server is full - try again in a few minutes');
+    }
+    if (address && this.countRoomsFrom(address) >= this.maxRoomsPerAddress) {
+      throw this.roomLimitError(`Only ${this.maxRoomsPerAddress} rooms can be open from one network at a time`);
+    }
+
     const roomCode = this.generateRoomCode();
     const room = {
       hostId,
+      hostToken: this.generateSessionToken(), // The main screen's session secret - only it is told
+      hostAddress: address, // Counted against maxRoomsPerAddress
+      hostDisconnectedAt: null, // Set while the main screen is away and the room is waiting for it
+      controller: 'main-screen', // 'phone' once the first player's phone has taken over from a main screen that never came back
       players: new Map(), // { playerId: { name, id, connected: bool, cardCount: 0, color: string } }
+      spectators: new Map(), // { socketId: { id, name, joinedAt } } - watching without a hand
       assignedColors: new Set(), // Track which colors are taken
+      settings: this.createSettings(), // Everything the host or first player can change in the lobby
+      match: this.createMatch(), // Multi-round scores (only kept when settings.match is on)
+      bans: { names: [], devices: [] }, // Kept for the room's lifetime (lower-cased names, phone device ids)
+      gameLog: [], // Append-only record of the current game (deal, play, draw, color, reshuffle, leave, win)
+      nextSeed: null, // Shuffle seed for the next game (null = pick a random one)
       gameState: {
         phase: 'lobby', // lobby, playing, game-over
         currentPlayer: 0,
@@ -40,11 +114,20 @@ class RoomManager {
         chosenColor: null, // Changed from chosenSuit to chosenColor - When an 8 is played
         lastPlayedCard: null,
         turnCount: 0,
-        isAnimating: false, // Track if spiral animation is playing - blocks all player actions
-        animationEndTime: null // When animation will end
+        direction: 1, // 1 = clockwise, -1 after a reverse
+        pendingDraw: 0, // Stacked draw-two penalty waiting for the current player
+        awaitingColorChoice: false, // An 8 was played without a color - the same player still has to pick one
+        passesInRow: 0, // Players who passed in a row because there was nothing left to draw
+        blocked: false, // True when the game ended because nobody could move
+        walkover: false, // True when the game ended because everyone else left the table
+        winner: null, // Name of whoever won the game that just ended
+        seed: null, // Seed every shuffle in this game was drawn from - the same seed deals the same game
+        rngState: null, // Where the seeded sequence has got to
+        deckSpec: null, // The cards this game was dealt from (see buildCardSet) - what the integrity check counts against
+        isAnimating: false, // True while any animation lock is held - blocks all player actions
+        animationLocks: {} // { lockName: time it times out }
       },
-      created: new Date(),
-      maxPlayers: 4 // Max 4 players for color assignment (red, blue, green, yellow)
+      created: new Date()
     };
     
     this.rooms.set(roomCode, room);
@@ -77,14 +160,18 @@ class RoomManager {
     }
   }
 
-  // Player joins room
-  joinRoom(roomCode, playerId, playerName) {
+  // Player joins room. `deviceId` is the id the phone keeps across visits - only used for bans
+  joinRoom(roomCode, playerId, playerName, deviceId = null) {
     const room = this.rooms.get(roomCode);
     if (!room) {
       return { success: false, error: 'Room not found' };
     }
 
-    if (room.players.size >= room.maxPlayers) {
+    if (this.isBanned(room, playerName, deviceId)) {
+      return { success: false, error: 'You have been removed from this room' };
+    }
+
+    if (room.players.size >= room.settings.maxPlayers) {
       return { success: false, error: 'Room is full' };
     }
 
@@ -93,125 +180,834 @@ class RoomManager {
     }
 
     // Check if name is already taken
-    for (const [id, player] of room.players) {
-      if (player.name.toLowerCase() === playerName.toLowerCase()) {
-        return { success: false, error: 'Name already taken' };
-      }
+    if (this.isNameTaken(room, playerName)) {
+      return { success: false, error: 'Name already taken' };
     }
 
     // Assign a color to the player
-    let playerColor;
+    let player;
     try {
-      playerColor = this.assignPlayerColor(room);
+      player = this.seatPlayer(room, roomCode, playerId, playerName, deviceId);
     } catch (error) {
       return { success: false, error: 'No available colors (room full)' };
     }
 
+    console.log(`Player ${playerName} (${playerId}) joined Crazy 8s room ${roomCode} with color ${player.color}${player.isFirstPlayer ? ' (FIRST PLAYER)' : ''}`);
+    return { success: true, player, roomData: this.getRoomData(roomCode) };
+  }
+
+  // Check a name against everyone in the room, players and spectators alike
+  isNameTaken(room, name) {
+    const lowerName = name.toLowerCase();
+    for (const [, player] of room.players) {
+      if (player.name.toLowerCase() === lowerName) return true;
+    }
+    for (const [, spectator] of room.spectators) {
+      if (spectator.name.toLowerCase() === lowerName) return true;
+    }
+    return false;
+  }
+
+  // Check a name and device against the room's bans
+  isBanned(room, name, deviceId) {
+    return room.bans.names.includes(name.toLowerCase()) || (deviceId !== null && room.bans.devices.includes(deviceId));
+  }
+
+  // Give a new player a seat and a color (throws if no colors are left)
+  seatPlayer(room, roomCode, playerId, playerName, deviceId = null) {
+    const playerColor = this.assignPlayerColor(room);
+
     const player = {
       id: playerId,
       name: playerName,
       connected: true,
       cardCount: 0,
+      score: 0, // Match total (see recordRoundResult)
       color: playerColor,
+      reconnectToken: this.generateSessionToken(),
+      deviceId,
+      disconnectedAt: null,
       joinedAt: new Date(),
-      isFirstPlayer: room.players.size === 0 // True if this is the first player
+      isFirstPlayer: !this.hasHumanPlayers(room) // True if this is the first (human) player
     };
 
     room.players.set(playerId, player);
     this.playerToRoom.set(playerId, roomCode);
+    return player;
+  }
 
-    console.log(`Player ${playerName} (${playerId}) joined Crazy 8s room ${roomCode} with color ${playerColor}${player.isFirstPlayer ? ' (FIRST PLAYER)' : ''}`);
-    return { success: true, player, roomData: this.getRoomData(roomCode) };
+  // Watch a room without a hand - allowed at any time, even mid-game, unless the host turned spectators off
+  joinAsSpectator(roomCode, spectatorId, spectatorName, deviceId = null) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (this.isBanned(room, spectatorName, deviceId)) {
+      return { success: false, error: 'You have been removed from this room' };
+    }
+
+    if (!room.settings.allowSpectators) {
+      return { success: false, error: 'This room is not taking spectators' };
+    }
+
+    if (this.isNameTaken(room, spectatorName)) {
+      return { success: false, error: 'Name already taken' };
+    }
+
+    const spectator = {
+      id: spectatorId,
+      name: spectatorName,
+      deviceId,
+      joinedAt: new Date()
+    };
+
+    room.spectators.set(spectatorId, spectator);
+    this.playerToRoom.set(spectatorId, roomCode);
+
+    console.log(`Spectator ${spectatorName} (${spectatorId}) is watching room ${roomCode}`);
+    return { success: true, spectator, gameState: this.getMainScreenGameState(room) };
   }
 
-  // Handle player action (play card, draw card, choose suit)
-  handlePlayerAction(roomCode, playerId, action) {
+  // Deal waiting spectators into the next round, oldest first, while there are free seats
+  promoteSpectators(room, roomCode) {
+    const promoted = [];
+
+    for (const [spectatorId, spectator] of room.spectators) {
+      if (room.players.size >= room.settings.maxPlayers) break;
+
+      room.spectators.delete(spectatorId);
+      promoted.push(this.seatPlayer(room, roomCode, spectatorId, spectator.name, spectator.deviceId));
+      console.log(`Spectator ${spectator.name} promoted to a seat in room ${roomCode}`);
+    }
+
+    return promoted;
+  }
+
+  // Check whether any non-bot players are seated
+  hasHumanPlayers(room) {
+    return Array.from(room.players.values()).some(p => !p.isBot);
+  }
+
+  // Add a computer-controlled player to the lobby (host or first player only)
+  addBot(roomCode, requesterId, difficulty = 'medium') {
     const room = this.rooms.get(roomCode);
-    if (!room) return { success: false, error: 'Room not found' };
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
 
-    if (room.gameState.phase !== 'playing') {
-      return { success: false, error: 'Game not in progress' };
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+
+    if (!isAuthorized) {
+      return { success: false, error: 'Not authorized - only host or first player can add bots' };
+    }
+
+    if (room.gameState.phase !== 'lobby') {
+      return { success: false, error: 'Bots can only be added in the lobby' };
+    }
+
+    if (!this.botPlayer.isValidDifficulty(difficulty)) {
+      return { success: false, error: 'Unknown bot difficulty' };
+    }
+
+    if (room.players.size >= room.settings.maxPlayers) {
+      return { success: false, error: 'Room is full' };
+    }
+
+    const takenNames = new Set(Array.from(room.players.values()).map(p => p.name.toLowerCase()));
+    const botName = this.botNames.find(name => !takenNames.has(name.toLowerCase()));
+    if (!botName) {
+      return { success: false, error: 'No bot names available' };
+    }
+
+    let botColor;
+    try {
+      botColor = this.assignPlayerColor(room);
+    } catch (error) {
+      return { success: false, error: 'No available colors (room full)' };
+    }
+
+    const botId = `bot_${crypto.randomBytes(4).toString('hex')}`;
+    const bot = {
+      id: botId,
+      name: botName,
+      connected: true, // Bots never drop, so their turns are never skipped
+      cardCount: 0,
+      score: 0,
+      color: botColor,
+      reconnectToken: null,
+      disconnectedAt: null,
+      joinedAt: new Date(),
+      isFirstPlayer: false,
+      isBot: true,
+      difficulty
+    };
+
+    room.players.set(botId, bot);
+
+    console.log(`Bot ${botName} (${difficulty}) joined Crazy 8s room ${roomCode} with color ${botColor}`);
+    return { success: true, player: bot };
+  }
+
+  // Remove a bot from the lobby (host or first player only)
+  removeBot(roomCode, requesterId, botName) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+
+    if (!isAuthorized) {
+      return { success: false, error: 'Not authorized - only host or first player can remove bots' };
+    }
+
+    if (room.gameState.phase !== 'lobby') {
+      return { success: false, error: 'Bots can only be removed in the lobby' };
+    }
+
+    const bot = Array.from(room.players.values()).find(p => p.isBot && p.name === botName);
+    if (!bot) {
+      return { success: false, error: 'Bot not found' };
+    }
+
+    this.releasePlayerColor(room, bot.color);
+    room.players.delete(bot.id);
+
+    console.log(`Bot ${bot.name} removed from room ${roomCode}`);
+    return { success: true, player: bot };
+  }
+
+  // Player reclaims a held seat (hand, color and turn position) with their reconnect token
+  rejoinRoom(roomCode, playerId, reconnectToken) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const previous = Array.from(room.players.values()).find(p => p.reconnectToken === reconnectToken);
+    if (!reconnectToken || !previous) {
+      return { success: false, error: 'Seat no longer available' };
+    }
+
+    // A token only brings back a seat whose phone has dropped - it never takes one over from a live socket
+    if (previous.connected && previous.id !== playerId) {
+      return { success: false, code: ErrorCodes.SEAT_IN_USE, error: 'That seat is still connected on another device' };
+    }
+
+    const previousId = previous.id;
+    const player = { ...previous, id: playerId, connected: true, disconnectedAt: null };
+
+    // Re-key the player under the new socket id without changing seat (turn) order
+    room.players = new Map(Array.from(room.players, ([id, p]) =>
+      id === previousId ? [playerId, player] : [id, p]
+    ));
+    this.playerToRoom.delete(previousId);
+    this.playerToRoom.set(playerId, roomCode);
+
+    console.log(`Player ${player.name} (${playerId}) reclaimed their seat in room ${roomCode}`);
+    return { success: true, player, previousId, roomData: this.getRoomData(roomCode) };
+  }
+
+  // Release a held seat once the reconnect grace window has passed
+  releaseHeldSeat(roomCode, reconnectToken) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return null;
+
+    const player = Array.from(room.players.values()).find(p => p.reconnectToken === reconnectToken);
+    if (!player || player.connected) return null;
+
+    const gameEnd = this.removePlayerSeat(room, player.id);
+    this.verifyRoom(roomCode);
+    console.log(`Seat of ${player.name} (${player.color}) released in room ${roomCode} - did not reconnect in time`);
+    return { roomCode, playerName: player.name, playerColor: player.color, gameEnd };
+  }
+
+  // Remove a player from the room, returning their cards to the deck if a game is in progress
+  removePlayerSeat(room, playerId) {
+    const seatIndex = this.getPlayerIndex(room, playerId);
+    if (seatIndex === -1) return;
+
+    const player = room.players.get(playerId);
+    const gameState = room.gameState;
+
+    if (gameState.phase !== 'lobby') {
+      const hand = gameState.playerHands[seatIndex] || [];
+      gameState.deck = this.gameLogic.shuffleDeck(gameState.deck.concat(hand), this.getGameRandom(room));
+      this.logEvent(room, 'leave', { player: player.name, returnedCards: hand.length });
+
+      // Re-index the remaining hands so they still line up with room.players order
+      const hands = {};
+      let nextIndex = 0;
+      for (let i = 0; i < room.players.size; i++) {
+        if (i === seatIndex) continue;
+        hands[nextIndex++] = gameState.playerHands[i] || [];
+      }
+      gameState.playerHands = hands;
+    }
+
+    this.releasePlayerColor(room, player.color);
+    room.players.delete(playerId);
+    this.playerToRoom.delete(playerId);
+
+    if (gameState.phase !== 'lobby' && room.players.size > 0) {
+      if (gameState.currentPlayer > seatIndex) {
+        gameState.currentPlayer--;
+      } else if (gameState.currentPlayer === seatIndex) {
+        // A stacked draw-two was aimed at the removed seat - it goes with them rather than onto the next player
+        gameState.pendingDraw = 0;
+
+        // The turn goes to whoever sat after the removed seat in the direction of play
+        gameState.currentPlayer = gameState.direction === -1
+          ? (seatIndex - 1 + room.players.size) % room.players.size
+          : seatIndex % room.players.size;
+        if (!Array.from(room.players.values())[gameState.currentPlayer].connected) {
+          this.advanceTurn(room);
+        }
+      }
+    }
+
+    // Hand first player controls to the next connected player
+    if (player.isFirstPlayer) {
+      const successor = Array.from(room.players.values()).find(p => p.connected && !p.isBot);
+      if (successor) successor.isFirstPlayer = true;
+    }
+
+    // One seat can't carry on a game by itself
+    if (gameState.phase === 'playing' && room.players.size < 2) {
+      return this.endShortHandedGame(room);
+    }
+    return null;
+  }
+
+  // End a game whose table has dropped below two seats: whoever is left wins it as a walkover
+  // (winner is null if nobody is). Returns the same shape as a won hand for the caller to announce
+  endShortHandedGame(room) {
+    const gameState = room.gameState;
+    const winner = Array.from(room.players.values())[0]?.name || null;
+
+    gameState.phase = 'game-over';
+    gameState.walkover = true;
+    gameState.winner = winner;
+    gameState.pendingDraw = 0;
+    gameState.awaitingColorChoice = false;
+    if (winner) {
+      this.logEvent(room, 'win', { player: winner });
+    }
+
+    console.log(`🚪 Not enough players left to go on - ${winner ? `${winner} wins by walkover` : 'the table is empty'}`);
+    return {
+      gameOver: true,
+      walkover: true,
+      winner,
+      roundResult: winner ? this.recordRoundResult(room, 0) : null
+    };
+  }
+
+  // Remove a player from the room (host or first player only). Mid-game their cards go back into the deck.
+  // `ban` also keeps them out for the rest of the room's life: 'name' bans the name, 'device' the name and the phone
+  kickPlayer(roomCode, requesterId, playerName, { ban = null } = {}) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+    }
+
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+
+    if (!isAuthorized) {
+      return { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: 'Not authorized - only host or first player can remove players' };
+    }
+
+    if (ban !== null && ban !== 'name' && ban !== 'device') {
+      return { success: false, error: "ban must be 'name', 'device' or null" };
+    }
+
+    const player = Array.from(room.players.values()).find(p => p.name === playerName);
+    if (!player) {
+      return { success: false, code: ErrorCodes.PLAYER_NOT_FOUND, error: 'Player not found' };
+    }
+
+    if (player.id === requesterId) {
+      return { success: false, error: "You can't remove yourself" };
     }
 
-    // Check if spiral animation is blocking actions
     if (this.isAnimationBlocking(room)) {
-      return { success: false, error: 'Please wait for the animation to complete' };
+      return { success: false, code: ErrorCodes.ANIMATION_LOCKED, error: 'Please wait for the animation to complete' };
     }
 
-    const playerIndex = this.getPlayerIndex(room, playerId);
-    if (playerIndex === -1) {
-      return { success: false, error: 'Player not found' };
+    if (ban) {
+      room.bans.names.push(player.name.toLowerCase());
+      if (ban === 'device' && player.deviceId) {
+        room.bans.devices.push(player.deviceId);
+      }
     }
 
-    if (playerIndex !== room.gameState.currentPlayer) {
-      return { success: false, error: 'Not your turn' };
+    const wasTheirTurn = room.gameState.phase === 'playing' && this.getPlayerIndex(room, player.id) === room.gameState.currentPlayer;
+    const gameEnd = this.removePlayerSeat(room, player.id);
+    this.verifyRoom(roomCode);
+
+    console.log(`${player.name} (${player.color}) was removed from room ${roomCode}${ban ? ` and banned by ${ban}` : ''}`);
+    return { success: true, player, banned: Boolean(ban), turnMoved: wasTheirTurn, gameEnd };
+  }
+
+  // Hand first player controls to another connected phone (host or first player only)
+  transferFirstPlayer(roomCode, requesterId, playerName) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+    }
+
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+
+    if (!isAuthorized) {
+      return { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: 'Not authorized - only host or first player can hand over first player' };
+    }
+
+    const successor = Array.from(room.players.values()).find(p => p.name === playerName);
+    if (!successor) {
+      return { success: false, code: ErrorCodes.PLAYER_NOT_FOUND, error: 'Player not found' };
     }
 
+    if (successor.isBot || !successor.connected) {
+      return { success: false, error: 'First player has to be a connected phone' };
+    }
+
+    for (const [, player] of room.players) {
+      player.isFirstPlayer = player === successor;
+    }
+
+    console.log(`${successor.name} is now first player in room ${roomCode}`);
+    return { success: true, player: successor };
+  }
+
+  // Put the seats (and so the turn order) in the given order of player names, or shuffle them when
+  // `names` is 'shuffle' (host or first player, lobby only)
+  arrangeSeats(roomCode, requesterId, names) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+    }
+
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+
+    if (!isAuthorized) {
+      return { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: 'Not authorized - only host or first player can arrange seats' };
+    }
+
+    if (room.gameState.phase !== 'lobby') {
+      return { success: false, code: ErrorCodes.GAME_IN_PROGRESS, error: 'Seats can only be arranged before the game starts' };
+    }
+
+    const seats = Array.from(room.players.values());
+    let ordered;
+
+    if (names === 'shuffle') {
+      ordered = this.gameLogic.shuffleDeck([...seats]);
+    } else {
+      const byName = new Map(seats.map(p => [p.name, p]));
+      ordered = Array.isArray(names) ? names.map(name => byName.get(name)) : [];
+
+      if (ordered.length !== seats.length || ordered.some(p => !p) || new Set(ordered).size !== seats.length) {
+        return { success: false, error: 'Seat order has to name every player exactly once' };
+      }
+    }
+
+    room.players = new Map(ordered.map(p => [p.id, p]));
+
+    console.log(`Seats arranged in room ${roomCode}: ${ordered.map(p => p.name).join(', ')}`);
+    return { success: true, order: ordered.map(p => p.name) };
+  }
+
+  // Handle player action (play card, draw card, choose suit)
+  handlePlayerAction(roomCode, playerId, action) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+
+    const turn = this.checkTurn(room, playerId);
+    if (!turn.success) return turn;
+    const { playerIndex } = turn;
+
+    // Check if spiral animation is blocking actions
+    if (this.isAnimationBlocking(room)) {
+      return { success: false, code: ErrorCodes.ANIMATION_LOCKED, error: 'Please wait for the animation to complete' };
+    }
+
+    let result;
     switch (action.type) {
       case 'play_card':
-        return this.handlePlayCard(room, playerIndex, action.cardIndex, action.chosenColor); // Changed from chosenSuit to chosenColor
+        result = this.handlePlayCard(room, playerIndex, action.cardId, action.chosenColor); // Changed from chosenSuit to chosenColor
+        break;
       case 'draw_card':
-        return this.handleDrawCard(room, playerIndex);
+        result = this.handleDrawCard(room, playerIndex);
+        break;
       case 'choose_color': // Changed from choose_suit to choose_color
-        return this.handleChooseColor(room, playerIndex, action.color); // Changed from action.suit to action.color
+        result = this.handleChooseColor(room, playerIndex, action.color); // Changed from action.suit to action.color
+        break;
+      case 'pass':
+        result = this.handlePass(room, playerIndex);
+        break;
       default:
-        return { success: false, error: 'Unknown action type' };
+        return { success: false, code: ErrorCodes.UNKNOWN_ACTION, error: 'Unknown action type' };
     }
+
+    this.verifyRoom(roomCode);
+    return result;
   }
 
-  // Check if spiral animation is currently blocking player actions
-  isAnimationBlocking(room) {
-    if (!room.gameState.isAnimating) {
-      return false;
+  // Make sure a game is running and it's this player's turn - returns their seat index if so
+  checkTurn(room, playerId) {
+    if (room.gameState.phase !== 'playing') {
+      return { success: false, code: ErrorCodes.GAME_NOT_IN_PROGRESS, error: 'Game not in progress' };
     }
 
-    // Check if animation should have ended by now
-    if (room.gameState.animationEndTime && Date.now() > room.gameState.animationEndTime) {
-      // Animation time expired, clear the lock
-      room.gameState.isAnimating = false;
-      room.gameState.animationEndTime = null;
-      console.log('🎬 Animation lock expired and cleared');
-      return false;
+    const playerIndex = this.getPlayerIndex(room, playerId);
+    if (playerIndex === -1) {
+      return { success: false, code: ErrorCodes.PLAYER_NOT_FOUND, error: 'Player not found' };
     }
 
-    // Animation is still active
-    return true;
+    if (playerIndex !== room.gameState.currentPlayer) {
+      return { success: false, code: ErrorCodes.NOT_YOUR_TURN, error: 'Not your turn' };
+    }
+
+    return { success: true, playerIndex };
+  }
+
+  // Whether this socket is the main screen, a player or a spectator in the room
+  isInRoom(roomCode, socketId) {
+    return this.playerToRoom.get(socketId) === roomCode;
+  }
+
+  // Check the session secret sent with a host-only event: the main screen's host token, or the
+  // requester's own reconnect token. Whether they may do the thing itself is still up to the method
+  checkSession(roomCode, requesterId, token) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+    }
+
+    const secret = requesterId === room.hostId ? room.hostToken : room.players.get(requesterId)?.reconnectToken;
+    if (!secret || !this.isSameSecret(secret, token)) {
+      return { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: 'Missing or wrong session token' };
+    }
+    return { success: true };
   }
 
-  // Start spiral animation lock (called when 8 card color is chosen)
-  startAnimationLock(roomCode, durationMs = 3300) { // 3.3 seconds for spiral animation
+  // Whether `token` is the room's host token - a main screen taking a room back has to know it.
+  // Rooms restored from before host tokens take any main screen, and get a token when it reattaches
+  isHostToken(roomCode, token) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return false;
+    return !room.hostToken || this.isSameSecret(room.hostToken, token);
+  }
+
+  // Compare secrets in constant time, so a wrong guess doesn't hint at how close it was
+  isSameSecret(secret, token) {
+    if (typeof token !== 'string' || token.length !== secret.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(token));
+  }
+
+  // Room this socket is the main screen for (null if it isn't hosting one)
+  getHostedRoomCode(hostId) {
+    const roomCode = this.playerToRoom.get(hostId);
+    const room = roomCode && this.rooms.get(roomCode);
+    return room && room.hostId === hostId ? roomCode : null;
+  }
+
+  // Check if an animation is currently blocking player actions
+  isAnimationBlocking(room) {
+    return Object.keys(room.gameState.animationLocks).length > 0;
+  }
+
+  // Take a named animation lock (first-flip, spiral or winner) - taking one that's already held restarts its timeout
+  lockAnimation(roomCode, name, durationMs = this.animationLockMs[name]) {
     const room = this.rooms.get(roomCode);
     if (!room) return;
 
+    if (room.controller === 'phone') {
+      durationMs = 0; // No main screen is animating anything - let go straight after this move
+    }
+
+    if (!this.animationTimers.has(roomCode)) {
+      this.animationTimers.set(roomCode, new Map());
+    }
+    const timers = this.animationTimers.get(roomCode);
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => {
+      console.log(`🎬 ${name} animation lock timed out in room ${roomCode}`);
+      this.releaseAnimation(roomCode, name);
+    }, durationMs));
+
+    room.gameState.animationLocks[name] = Date.now() + durationMs;
     room.gameState.isAnimating = true;
-    room.gameState.animationEndTime = Date.now() + durationMs;
-    console.log(`🎬 Started animation lock for ${durationMs}ms in room ${roomCode}`);
+    console.log(`🎬 Took ${name} animation lock for ${durationMs}ms in room ${roomCode}`);
   }
 
-  // Handle first card flip animation completion (called by Unity)
-  handleFirstCardFlipComplete(roomCode) {
+  // Release a named lock and emit 'animation-unlocked' once. Returns false if the lock wasn't held,
+  // so a late callback from the main screen after a timeout does nothing
+  releaseAnimation(roomCode, name) {
     const room = this.rooms.get(roomCode);
-    if (!room) {
-      console.log(`❌ Room ${roomCode} not found for first card flip completion`);
-      return { success: false, error: 'Room not found' };
+    if (!room || !(name in room.gameState.animationLocks)) return false;
+
+    const timers = this.animationTimers.get(roomCode);
+    if (timers) {
+      clearTimeout(timers.get(name));
+      timers.delete(name);
     }
 
-    // Clear animation lock to re-enable phone interactions
-    room.gameState.isAnimating = false;
-    room.gameState.animationEndTime = null;
-    console.log(`🎬 First card flip animation completed in room ${roomCode} - phones re-enabled`);
+    delete room.gameState.animationLocks[name];
+    room.gameState.isAnimating = this.isAnimationBlocking(room);
+    console.log(`🎬 Released ${name} animation lock in room ${roomCode}`);
 
-    return { success: true };
+    this.emit('animation-unlocked', { roomCode, name, stillLocked: room.gameState.isAnimating });
+    return true;
   }
 
-  // Clear animation lock (can be called manually if needed)
-  clearAnimationLock(roomCode) {
+  // Drop every lock in a room without emitting anything (restarts and closed rooms)
+  clearAnimationLocks(roomCode) {
+    const timers = this.animationTimers.get(roomCode);
+    if (timers) {
+      for (const timeout of timers.values()) {
+        clearTimeout(timeout);
+      }
+      this.animationTimers.delete(roomCode);
+    }
+
     const room = this.rooms.get(roomCode);
-    if (!room) return;
+    if (room) {
+      room.gameState.isAnimating = false;
+      room.gameState.animationLocks = {};
+    }
+  }
+
+  // Everything the host can change in the lobby. Pass an existing settings object to copy it
+  createSettings({ houseRules, deckOptions, turnTimer, match, maxPlayers = 8, allowSpectators = true } = {}) {
+    return {
+      houseRules: this.gameLogic.normalizeHouseRules(houseRules), // Optional special-card rules
+      deckOptions: { ...this.gameLogic.defaultDeckOptions, ...deckOptions }, // Ranks, sets, hand size and extra action cards
+      turnTimer: {
+        enabled: turnTimer?.enabled ?? false, // Off by default - players can take as long as they like
+        seconds: turnTimer?.seconds ?? 30 // How long each player gets before the server moves for them
+      },
+      match: {
+        enabled: match?.enabled ?? false, // When off, every hand stands alone
+        targetScore: match?.targetScore ?? 100, // Match ends once someone's total reaches this
+        mode: match?.mode ?? 'winner-takes' // 'winner-takes': winner scores the cards left in everyone else's hands
+                                            // 'penalty': every loser scores the cards left in their own hand, lowest total wins
+      },
+      maxPlayers, // Up to one seat per player color - bigger groups are dealt from extra decks
+      allowSpectators // Whether late arrivals can watch (and be dealt in at the next round)
+    };
+  }
+
+  // Change any part of the room's settings (host or first player, between games only).
+  // `changes` is a partial settings object - every part is checked before anything is applied
+  updateRoomSettings(roomCode, requesterId, changes = {}) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+    }
+
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+
+    if (!isAuthorized) {
+      return { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: 'Not authorized - only host or first player can change room settings' };
+    }
+
+    if (room.gameState.phase !== 'lobby' && room.gameState.phase !== 'game-over') {
+      return { success: false, code: ErrorCodes.GAME_IN_PROGRESS, error: 'Room settings can only be changed between games' };
+    }
+
+    const { settings, error } = this.applySettingsChanges(room, changes || {});
+    if (error) {
+      return { success: false, code: ErrorCodes.INVALID_SETTINGS, error };
+    }
+
+    room.settings = settings;
+    console.log(`Room settings updated in room ${roomCode}:`, changes);
+    return { success: true, settings };
+  }
+
+  // Room settings with `changes` applied - returns { settings } or { error } naming the first bad value
+  applySettingsChanges(room, changes) {
+    const current = room.settings;
+    const unknown = Object.keys(changes).find(key => !(key in current));
+    if (unknown) {
+      return { error: `Unknown setting: ${unknown}` };
+    }
+
+    const { houseRules, deckOptions, turnTimer = {}, match = {}, maxPlayers, allowSpectators } = changes;
+    const settings = this.createSettings(current);
+
+    if (houseRules !== undefined) {
+      settings.houseRules = this.gameLogic.normalizeHouseRules({ ...current.houseRules, ...houseRules });
+    }
+
+    if (deckOptions !== undefined) {
+      const deck = this.gameLogic.normalizeDeckOptions(deckOptions, current.deckOptions);
+      if (deck.error) return { error: deck.error };
+      settings.deckOptions = deck.deckOptions;
+    }
+
+    if (turnTimer.seconds !== undefined && (!Number.isInteger(turnTimer.seconds) || turnTimer.seconds < 10 || turnTimer.seconds > 120)) {
+      return { error: 'Turn time must be a whole number of seconds between 10 and 120' };
+    }
+    if (typeof turnTimer.enabled === 'boolean') settings.turnTimer.enabled = turnTimer.enabled;
+    if (turnTimer.seconds !== undefined) settings.turnTimer.seconds = turnTimer.seconds;
+
+    if (match.targetScore !== undefined && (!Number.isInteger(match.targetScore) || match.targetScore < 10 || match.targetScore > 10000)) {
+      return { error: 'Target score must be a whole number between 10 and 10000' };
+    }
+    if (match.mode !== undefined && match.mode !== 'winner-takes' && match.mode !== 'penalty') {
+      return { error: 'Unknown scoring mode' };
+    }
+    if (typeof match.enabled === 'boolean') settings.match.enabled = match.enabled;
+    if (match.targetScore !== undefined) settings.match.targetScore = match.targetScore;
+    if (match.mode !== undefined) settings.match.mode = match.mode;
 
-    room.gameState.isAnimating = false;
-    room.gameState.animationEndTime = null;
-    console.log(`🎬 Cleared animation lock in room ${roomCode}`);
+    if (maxPlayers !== undefined) {
+      if (!Number.isInteger(maxPlayers) || maxPlayers < 2 || maxPlayers > this.availableColors.length) {
+        return { error: `Max players must be a whole number from 2 to ${this.availableColors.length}` };
+      }
+      if (maxPlayers < room.players.size) {
+        return { error: `${room.players.size} players are already seated` };
+      }
+      settings.maxPlayers = maxPlayers;
+    }
+
+    if (allowSpectators !== undefined) {
+      if (typeof allowSpectators !== 'boolean') {
+        return { error: 'allowSpectators must be true or false' };
+      }
+      settings.allowSpectators = allowSpectators;
+    }
+
+    // A new deck has to be able to deal in everyone already seated. Other changes can still leave a
+    // fixed deck too small - startGame catches that
+    if (deckOptions !== undefined) {
+      const plan = this.gameLogic.planDeck(settings.deckOptions, settings.houseRules, Math.max(2, room.players.size));
+      if (plan.error) return { error: plan.error };
+    }
+
+    return { settings };
+  }
+
+  // Update the room's house rules (host or first player, between games only)
+  setHouseRules(roomCode, requesterId, rules) {
+    const result = this.updateRoomSettings(roomCode, requesterId, { houseRules: rules });
+    return result.success ? { success: true, houseRules: result.settings.houseRules } : result;
+  }
+
+  // Update the deck the next game is dealt from (host or first player, between games only).
+  // Rejected if the deck couldn't deal everyone already seated a hand and leave a draw pile
+  setDeckOptions(roomCode, requesterId, options = {}) {
+    const result = this.updateRoomSettings(roomCode, requesterId, { deckOptions: options });
+    return result.success ? { success: true, deckOptions: result.settings.deckOptions } : result;
+  }
+
+  // Match scores - kept on each player as player.score. The scoring rules live in room.settings.match
+  createMatch() {
+    return {
+      rounds: [], // Per-round results, newest last
+      over: false,
+      winner: null
+    };
+  }
+
+  // Update match scoring options (host or first player, between games only)
+  setMatchOptions(roomCode, requesterId, options = {}) {
+    const result = this.updateRoomSettings(roomCode, requesterId, { match: options });
+    return result.success ? { success: true, matchOptions: { ...result.settings.match } } : result;
+  }
+
+  getMatchOptions(room) {
+    return { ...room.settings.match };
+  }
+
+  // Update the turn clock (host or first player, between games only)
+  setTurnTimer(roomCode, requesterId, options = {}) {
+    const result = this.updateRoomSettings(roomCode, requesterId, { turnTimer: options });
+    return result.success ? { success: true, turnTimer: { ...result.settings.turnTimer } } : result;
+  }
+
+  // Score a finished hand into the match totals
+  recordRoundResult(room, winnerIndex) {
+    const match = room.match;
+    const { enabled, mode, targetScore } = room.settings.match;
+    if (!enabled) return null;
+
+    const players = Array.from(room.players.values());
+    const handValues = players.map((p, index) =>
+      this.gameLogic.calculateScore(room.gameState.playerHands[index] || [])
+    );
+
+    const scores = players.map((player, index) => {
+      let points = 0;
+      if (mode === 'penalty') {
+        points = index === winnerIndex ? 0 : handValues[index];
+      } else if (index === winnerIndex) {
+        // Everyone else's hand - after a blocked game the winner still holds cards of their own
+        points = handValues.reduce((total, value, i) => (i === winnerIndex ? total : total + value), 0);
+      }
+
+      player.score = (player.score || 0) + points;
+      return { name: player.name, color: player.color, handValue: handValues[index], points };
+    });
+
+    const roundResult = {
+      round: match.rounds.length + 1,
+      winner: players[winnerIndex].name,
+      scores
+    };
+    match.rounds.push(roundResult);
+
+    // Match is over once anyone reaches the target
+    if (players.some(p => p.score >= targetScore)) {
+      match.over = true;
+      const byScore = [...players].sort((a, b) =>
+        mode === 'penalty' ? a.score - b.score : b.score - a.score
+      );
+      match.winner = byScore[0].name;
+      console.log(`🏆 Match over - ${match.winner} wins with ${byScore[0].score} points`);
+    }
+
+    return roundResult;
+  }
+
+  // Start a fresh match with the same players
+  resetMatchScores(room) {
+    for (const [, player] of room.players) {
+      player.score = 0;
+    }
+    room.match.rounds = [];
+    room.match.over = false;
+    room.match.winner = null;
+  }
+
+  // Per-round and cumulative scores for the game-over screens (null when match scoring is off)
+  getScoreboard(room) {
+    const match = room.match;
+    const { enabled, mode, targetScore } = room.settings.match;
+    if (!enabled) return null;
+
+    return {
+      mode,
+      targetScore,
+      rounds: match.rounds,
+      lastRound: match.rounds[match.rounds.length - 1] || null,
+      totals: Array.from(room.players.values()).map(p => ({
+        name: p.name,
+        color: p.color,
+        score: p.score || 0
+      })),
+      matchOver: match.over,
+      matchWinner: match.winner
+    };
   }
 
   // Start Crazy 8s game
@@ -233,10 +1029,17 @@ class RoomManager {
       return { success: false, error: 'Need at least 2 players to start' };
     }
 
-    // Initialize Crazy 8s game
-    const deck = this.gameLogic.createDeck();
+    // The room's deck options, with extra sets added once the table is too big for one
     const playerCount = room.players.size;
-    const { hands, remainingDeck } = this.gameLogic.dealInitialHands(deck, playerCount);
+    const plan = this.gameLogic.planDeck(room.settings.deckOptions, room.settings.houseRules, playerCount);
+    if (plan.error) {
+      return { success: false, error: plan.error };
+    }
+
+    // Initialize Crazy 8s game
+    this.seedGame(room);
+    const deck = this.gameLogic.createDeck(plan.spec, this.getGameRandom(room));
+    const { hands, remainingDeck } = this.gameLogic.dealInitialHands(deck, playerCount, plan.handSize);
     
     // Set up starting card (not an 8)
     const startCard = this.gameLogic.findValidStartCard(remainingDeck);
@@ -250,11 +1053,17 @@ class RoomManager {
     room.gameState.chosenColor = null; // Changed from chosenSuit to chosenColor
     room.gameState.lastPlayedCard = startCard;
     room.gameState.turnCount = 0;
-
-    // Enable animation lock for first card flip animation (3 seconds)
-    room.gameState.isAnimating = true;
-    room.gameState.animationEndTime = Date.now() + 3000; // 3 seconds for first card flip
-    console.log(`🎬 Started first card flip animation lock for 3000ms in room ${roomCode}`);
+    room.gameState.passesInRow = 0;
+    room.gameState.blocked = false;
+    room.gameState.walkover = false;
+    room.gameState.winner = null;
+    room.gameState.direction = 1;
+    room.gameState.pendingDraw = 0;
+    room.gameState.awaitingColorChoice = false;
+    room.gameState.deckSpec = plan.spec;
+
+    // Phones wait for the main screen's first card flip
+    this.lockAnimation(roomCode, 'first-flip');
 
     // Update player card counts for UI
     let playerIndex = 0;
@@ -263,10 +1072,140 @@ class RoomManager {
       playerIndex++;
     }
 
+    this.startGameLog(room);
+
     console.log(`Crazy 8s game started in room ${roomCode} with ${playerCount} players`);
     return { success: true, gameState: room.gameState };
   }
 
+  // Pick this game's seed - the one the host asked for, otherwise a fresh random one
+  seedGame(room) {
+    const seed = room.nextSeed ?? generateSeed();
+    room.nextSeed = null; // A requested seed deals one game; the next one is random again
+    room.gameState.seed = seed;
+    room.gameState.rngState = seed;
+  }
+
+  // Random function for this game's shuffles. Its position lives on the room, so a restored
+  // snapshot carries on with the same sequence
+  getGameRandom(room) {
+    return () => {
+      if (room.gameState.rngState === null || room.gameState.rngState === undefined) {
+        return Math.random(); // Game started before seeds were recorded
+      }
+      const { value, state } = nextRandom(room.gameState.rngState);
+      room.gameState.rngState = state;
+      return value;
+    };
+  }
+
+  // Ask for the next game to be dealt from a given seed (host or first player, between games only)
+  setGameSeed(roomCode, requesterId, seed) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+
+    if (!isAuthorized) {
+      return { success: false, error: 'Not authorized - only host or first player can set the seed' };
+    }
+
+    if (room.gameState.phase !== 'lobby' && room.gameState.phase !== 'game-over') {
+      return { success: false, error: 'The seed can only be set between games' };
+    }
+
+    if (seed !== null && !isValidSeed(seed)) {
+      return { success: false, error: `Seed must be a whole number between 0 and ${MAX_SEED}` };
+    }
+
+    room.nextSeed = seed;
+    console.log(`Next game in room ${roomCode} will use ${seed === null ? 'a random seed' : `seed ${seed}`}`);
+    return { success: true, nextSeed: seed };
+  }
+
+  // Append an event to the current game's log - stamped with its position and time
+  logEvent(room, type, details = {}) {
+    room.gameLog.push({
+      seq: room.gameLog.length,
+      at: new Date().toISOString(),
+      type,
+      ...details
+    });
+  }
+
+  // Begin a fresh log for a newly dealt game, starting with every hand and the first card
+  startGameLog(room) {
+    room.gameLog = [];
+    const players = Array.from(room.players.values());
+    this.logEvent(room, 'deal', {
+      players: players.map(p => ({ name: p.name, color: p.color, isBot: p.isBot || false })),
+      hands: Object.fromEntries(players.map((p, index) => [p.name, [...room.gameState.playerHands[index]]])),
+      seed: room.gameState.seed,
+      startCard: room.gameState.lastPlayedCard,
+      deckCount: room.gameState.deck.length,
+      houseRules: { ...room.settings.houseRules },
+      deckSpec: room.gameState.deckSpec
+    });
+  }
+
+  // The log is only handed out between games - mid-game it would show everyone's hand
+  getGameLog(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+    }
+
+    if (room.gameState.phase === 'playing' || room.gameState.phase === 'winner-animation') {
+      return { success: false, code: ErrorCodes.GAME_IN_PROGRESS, error: 'The log is available once the game is over' };
+    }
+
+    return { success: true, events: room.gameLog };
+  }
+
+  // Frames for re-watching the last game (host or first player, once it's over)
+  getReplay(roomCode, requesterId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
+    }
+
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
+    if (!isAuthorized) {
+      return { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: 'Only the host or first player can start a replay' };
+    }
+
+    if (room.gameState.phase !== 'game-over') {
+      return { success: false, code: ErrorCodes.GAME_IN_PROGRESS, error: 'Replays are available once the game is over' };
+    }
+
+    const frames = buildReplayFrames(room.gameLog);
+    if (frames.length === 0) {
+      return { success: false, code: ErrorCodes.NO_GAME_LOG, error: 'There is no game to replay yet' };
+    }
+
+    return { success: true, frames };
+  }
+
+  // Check the table after a move or a seat change. Drift is logged, repaired, and reported with an
+  // 'integrity-drift' event - returns the report, or null when everything added up
+  verifyRoom(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.gameState.phase === 'lobby') return null;
+
+    const { problems, repairs } = checkRoomIntegrity(room, this.gameLogic, { repair: true });
+    if (problems.length === 0) return null;
+
+    console.error(`⚠️ Room ${roomCode} failed its integrity check: ${problems.join('; ')}`);
+    console.error(`🔧 Repaired room ${roomCode}: ${repairs.join('; ')}`);
+    const report = { roomCode, problems, repairs };
+    this.emit('integrity-drift', report);
+    return report;
+  }
+
   // Helper to get player index from ID
   getPlayerIndex(room, playerId) {
     let index = 0;
@@ -277,20 +1216,112 @@ class RoomManager {
     return -1;
   }
 
+  // Look up a card in a player's hand by its server-issued id
+  findCardInHand(room, playerIndex, cardId) {
+    const hand = room.gameState.playerHands[playerIndex] || [];
+    return hand.find(card => card.id === cardId) || null;
+  }
+
+  // Move the turn to the next connected player, skipping seats held for disconnected players
+  advanceTurn(room) {
+    const players = Array.from(room.players.values());
+    const direction = room.gameState.direction || 1;
+    let nextPlayer = room.gameState.currentPlayer;
+
+    for (let i = 0; i < players.length; i++) {
+      nextPlayer = this.gameLogic.getNextPlayer(nextPlayer, players.length, direction);
+      if (players[nextPlayer].connected) break;
+    }
+
+    room.gameState.currentPlayer = nextPlayer;
+    room.gameState.awaitingColorChoice = false; // Nobody is left holding an 8 without a color
+  }
+
+  // Take the top card of the deck, reshuffling the discard pile (minus the top card) if it ran out
+  drawFromDeck(room) {
+    if (room.gameState.deck.length === 0) {
+      const topCard = room.gameState.discardPile.pop();
+      room.gameState.deck = this.gameLogic.shuffleDeck(room.gameState.discardPile, this.getGameRandom(room));
+      room.gameState.discardPile = [topCard];
+      this.logEvent(room, 'reshuffle', { deckCount: room.gameState.deck.length });
+    }
+
+    return room.gameState.deck.pop() || null;
+  }
+
+  // Deal up to `count` cards from the deck into a player's hand
+  giveCards(room, playerIndex, count) {
+    const drawnCards = [];
+    for (let i = 0; i < count; i++) {
+      const card = this.drawFromDeck(room);
+      if (!card) break;
+      room.gameState.playerHands[playerIndex].push(card);
+      drawnCards.push(card);
+    }
+
+    const players = Array.from(room.players.values());
+    players[playerIndex].cardCount = room.gameState.playerHands[playerIndex].length;
+    this.logEvent(room, 'draw', { player: players[playerIndex].name, cards: drawnCards, penalty: true, deckCount: room.gameState.deck.length });
+    return drawnCards;
+  }
+
+  // Apply a house-rule action card and pass the turn on
+  applyCardEffect(room, effect) {
+    const gameState = room.gameState;
+
+    switch (effect) {
+      case 'draw-two':
+        this.advanceTurn(room);
+        if (room.settings.houseRules.stackDrawTwo) {
+          // Next player can stack another 2 or take the whole penalty
+          gameState.pendingDraw += 2;
+        } else {
+          // Next player draws two and loses their turn
+          this.giveCards(room, gameState.currentPlayer, 2);
+          this.advanceTurn(room);
+        }
+        break;
+      case 'skip':
+        this.advanceTurn(room);
+        this.advanceTurn(room);
+        break;
+      case 'reverse':
+        gameState.direction = -(gameState.direction || 1);
+        // With two players a reverse works like a skip - the same player goes again
+        if (room.players.size > 2) {
+          this.advanceTurn(room);
+        }
+        break;
+      default:
+        this.advanceTurn(room);
+    }
+  }
+
   // Handle playing a card
-  handlePlayCard(room, playerIndex, cardIndex, chosenColor = null) { // Changed from chosenSuit to chosenColor
+  handlePlayCard(room, playerIndex, cardId, chosenColor = null) { // Changed from chosenSuit to chosenColor
     const playerHand = room.gameState.playerHands[playerIndex];
+    const cardIndex = playerHand.findIndex(c => c.id === cardId);
     const card = playerHand[cardIndex];
     const topCard = room.gameState.lastPlayedCard;
 
+    // Only a card the server dealt into this hand can be played
     if (!card) {
-      return { success: false, error: 'Invalid card index' };
+      return { success: false, code: ErrorCodes.CARD_NOT_IN_HAND, error: 'That card is not in your hand' };
+    }
+
+    if (room.gameState.awaitingColorChoice) {
+      return { success: false, code: ErrorCodes.COLOR_CHOICE_PENDING, error: 'Choose a color for your 8 first' };
     }
 
     // Check if card can be played
     const currentColor = room.gameState.chosenColor || room.gameState.currentColor; // Changed from currentSuit to currentColor
-    if (!this.gameLogic.canPlayCard(card, topCard, currentColor)) {
-      return { success: false, error: 'Cannot play this card' };
+    const playRules = { pendingDraw: room.gameState.pendingDraw, houseRules: room.settings.houseRules };
+    if (!this.gameLogic.canPlayCard(card, topCard, currentColor, playRules)) {
+      return {
+        success: false,
+        code: ErrorCodes.ILLEGAL_CARD,
+        error: room.gameState.pendingDraw > 0 ? 'Stack a 2 or draw the penalty cards' : 'Cannot play this card'
+      };
     }
 
     // Remove card from player's hand
@@ -298,10 +1329,12 @@ class RoomManager {
     room.gameState.discardPile.push(card);
     room.gameState.lastPlayedCard = card;
     room.gameState.turnCount++;
+    room.gameState.passesInRow = 0;
 
     // Update player card count
     const players = Array.from(room.players.values());
     players[playerIndex].cardCount = playerHand.length;
+    this.logEvent(room, 'play', { player: players[playerIndex].name, card });
 
     // Handle 8s (wild cards)
     if (card.rank === '8') {
@@ -311,17 +1344,22 @@ class RoomManager {
       if (isWinningPlay) {
         // Skip color choice for winning 8 - just end the game
         room.gameState.phase = 'game-over';
+        room.gameState.winner = players[playerIndex].name;
+        this.logEvent(room, 'win', { player: players[playerIndex].name });
         return { 
           success: true, 
           gameOver: true, 
           winner: players[playerIndex].name,
-          winningEight: true // Flag to indicate this was a winning 8
+          winningEight: true, // Flag to indicate this was a winning 8
+          roundResult: this.recordRoundResult(room, playerIndex)
         };
       } else if (chosenColor && this.gameLogic.isValidColor(chosenColor)) { // Changed from chosenSuit to chosenColor and isValidSuit to isValidColor
         room.gameState.chosenColor = chosenColor; // Changed from chosenSuit to chosenColor
         room.gameState.currentColor = chosenColor; // Changed from currentSuit to currentColor
+        this.logEvent(room, 'color', { player: players[playerIndex].name, color: chosenColor });
       } else {
-        // Need to choose color for non-winning 8
+        // Need to choose color for non-winning 8 - the turn stays put until it arrives
+        room.gameState.awaitingColorChoice = true;
         return { 
           success: true, 
           needColorChoice: true, // Changed from needSuitChoice to needColorChoice
@@ -338,67 +1376,183 @@ class RoomManager {
     // Check for win
     if (this.gameLogic.hasWon(playerHand)) {
       room.gameState.phase = 'game-over';
+      room.gameState.winner = players[playerIndex].name;
+      this.logEvent(room, 'win', { player: players[playerIndex].name });
       return { 
         success: true, 
         gameOver: true, 
-        winner: players[playerIndex].name 
+        winner: players[playerIndex].name,
+        roundResult: this.recordRoundResult(room, playerIndex)
       };
     }
 
-    // Move to next player
-    room.gameState.currentPlayer = this.gameLogic.getNextPlayer(
-      room.gameState.currentPlayer, 
-      room.players.size
-    );
+    // Apply any house-rule action and move to the next player
+    const effect = this.gameLogic.getCardEffect(card, room.settings.houseRules);
+    this.applyCardEffect(room, effect);
 
-    return { success: true };
+    return { success: true, effect };
   }
 
   // Handle drawing a card
-  handleDrawCard(room, playerIndex) {
-    if (room.gameState.deck.length === 0) {
-      // Reshuffle discard pile into deck (keep top card)
-      const topCard = room.gameState.discardPile.pop();
-      room.gameState.deck = this.gameLogic.shuffleDeck(room.gameState.discardPile);
-      room.gameState.discardPile = [topCard];
+  // With endTurn (used when the turn clock runs out) the turn passes even if the drawn card could be played
+  handleDrawCard(room, playerIndex, { endTurn = false } = {}) {
+    const gameState = room.gameState;
+
+    if (gameState.awaitingColorChoice) {
+      return { success: false, code: ErrorCodes.COLOR_CHOICE_PENDING, error: 'Choose a color for your 8 first' };
     }
 
-    if (room.gameState.deck.length === 0) {
-      return { success: false, error: 'No cards left to draw' };
+    // A stacked draw-two penalty is taken all at once and ends the turn
+    if (gameState.pendingDraw > 0) {
+      const drawnCards = this.giveCards(room, playerIndex, gameState.pendingDraw);
+      gameState.pendingDraw = 0;
+      this.advanceTurn(room);
+      return { success: true, drawnCard: drawnCards[drawnCards.length - 1], drawnCards, penalty: true };
+    }
+
+    if (room.settings.houseRules.drawUntilPlayable) {
+      // Keep drawing until a playable card turns up - the player then gets to play it
+      const currentColor = gameState.chosenColor || gameState.currentColor;
+      const drawnCards = [];
+      let drawnCard;
+      while ((drawnCard = this.drawFromDeck(room))) {
+        gameState.playerHands[playerIndex].push(drawnCard);
+        drawnCards.push(drawnCard);
+        if (this.gameLogic.canPlayCard(drawnCard, gameState.lastPlayedCard, currentColor)) break;
+      }
+
+      if (drawnCards.length === 0) {
+        return { success: false, code: ErrorCodes.DECK_EMPTY, error: 'No cards left to draw - pass instead' };
+      }
+      gameState.passesInRow = 0;
+
+      const players = Array.from(room.players.values());
+      players[playerIndex].cardCount = gameState.playerHands[playerIndex].length;
+      this.logEvent(room, 'draw', { player: players[playerIndex].name, cards: drawnCards, deckCount: gameState.deck.length });
+
+      const canPlayDrawn = !!drawnCard && !endTurn;
+      if (!canPlayDrawn) {
+        this.advanceTurn(room);
+      }
+      return { success: true, drawnCard: drawnCards[drawnCards.length - 1], drawnCards, canPlayDrawn };
     }
 
-    const drawnCard = room.gameState.deck.pop();
-    room.gameState.playerHands[playerIndex].push(drawnCard);
+    const drawnCard = this.drawFromDeck(room);
+    if (!drawnCard) {
+      return { success: false, code: ErrorCodes.DECK_EMPTY, error: 'No cards left to draw - pass instead' };
+    }
+    gameState.passesInRow = 0;
+
+    gameState.playerHands[playerIndex].push(drawnCard);
     
     const players = Array.from(room.players.values());
     players[playerIndex].cardCount++;
+    this.logEvent(room, 'draw', { player: players[playerIndex].name, cards: [drawnCard], deckCount: gameState.deck.length });
 
     // Move to next player after drawing
-    room.gameState.currentPlayer = this.gameLogic.getNextPlayer(
-      room.gameState.currentPlayer, 
-      room.players.size
-    );
+    this.advanceTurn(room);
 
     return { success: true, drawnCard };
   }
 
+  // Whether there is anything left to draw - an empty deck is refilled from the discard pile below the top card
+  canDrawCard(room) {
+    return room.gameState.deck.length > 0 || room.gameState.discardPile.length > 1;
+  }
+
+  // A player may only pass when there is nothing to draw and nothing in their hand they can play
+  canPass(room, playerIndex) {
+    const gameState = room.gameState;
+    if (gameState.phase !== 'playing' || gameState.awaitingColorChoice || gameState.pendingDraw > 0) return false;
+    if (this.canDrawCard(room)) return false;
+
+    const currentColor = gameState.chosenColor || gameState.currentColor;
+    const playRules = { pendingDraw: 0, houseRules: room.settings.houseRules };
+    return !(gameState.playerHands[playerIndex] || []).some(card =>
+      this.gameLogic.canPlayCard(card, gameState.lastPlayedCard, currentColor, playRules)
+    );
+  }
+
+  // Handle passing the turn once the cards have run out. When every player still at the table has
+  // passed in a row nobody can ever move again, so the game ends as blocked
+  handlePass(room, playerIndex) {
+    const gameState = room.gameState;
+
+    if (gameState.awaitingColorChoice) {
+      return { success: false, code: ErrorCodes.COLOR_CHOICE_PENDING, error: 'Choose a color for your 8 first' };
+    }
+
+    if (!this.canPass(room, playerIndex)) {
+      return { success: false, code: ErrorCodes.CANNOT_PASS, error: 'You can only pass when there is nothing to draw and nothing you can play' };
+    }
+
+    const players = Array.from(room.players.values());
+    gameState.passesInRow++;
+    this.logEvent(room, 'pass', { player: players[playerIndex].name });
+
+    const playersAtTable = players.filter(p => p.connected).length;
+    if (gameState.passesInRow >= playersAtTable) {
+      return this.endBlockedGame(room);
+    }
+
+    this.advanceTurn(room);
+    return { success: true, passed: true };
+  }
+
+  // End a game nobody can move in: the lowest hand value (calculateScore) wins, then the fewest cards,
+  // then whoever sits first
+  endBlockedGame(room) {
+    const gameState = room.gameState;
+    const players = Array.from(room.players.values());
+    const hands = players.map((p, index) => gameState.playerHands[index] || []);
+    const handValues = hands.map(hand => this.gameLogic.calculateScore(hand));
+
+    let winnerIndex = 0;
+    for (let i = 1; i < players.length; i++) {
+      const lower = handValues[i] < handValues[winnerIndex] ||
+        (handValues[i] === handValues[winnerIndex] && hands[i].length < hands[winnerIndex].length);
+      if (lower) winnerIndex = i;
+    }
+
+    const winner = players[winnerIndex].name;
+    gameState.phase = 'game-over';
+    gameState.blocked = true;
+    gameState.winner = winner;
+    this.logEvent(room, 'blocked', {
+      handValues: Object.fromEntries(players.map((p, index) => [p.name, handValues[index]]))
+    });
+    this.logEvent(room, 'win', { player: winner });
+
+    console.log(`🧱 Game blocked - nobody can move. ${winner} wins with the lowest hand (${handValues[winnerIndex]})`);
+    return {
+      success: true,
+      gameOver: true,
+      blocked: true,
+      winner,
+      handValues: players.map((p, index) => ({ name: p.name, handValue: handValues[index] })),
+      roundResult: this.recordRoundResult(room, winnerIndex)
+    };
+  }
+
   // Handle choosing color after playing an 8
   handleChooseColor(room, playerIndex, color) { // Changed from handleChooseSuit to handleChooseColor and suit to color
     if (!this.gameLogic.isValidColor(color)) { // Changed from isValidSuit to isValidColor
-      return { success: false, error: 'Invalid color choice' }; // Changed error message
+      return { success: false, code: ErrorCodes.INVALID_COLOR, error: 'Invalid color choice' }; // Changed error message
+    }
+
+    if (!room.gameState.awaitingColorChoice || room.gameState.currentPlayer !== playerIndex) {
+      return { success: false, code: ErrorCodes.NO_COLOR_CHOICE_PENDING, error: 'No 8 is waiting for your color choice' };
     }
 
     room.gameState.chosenColor = color; // Changed from chosenSuit to chosenColor
     room.gameState.currentColor = color; // Changed from currentSuit to currentColor
+    this.logEvent(room, 'color', { player: Array.from(room.players.values())[playerIndex].name, color });
 
     // NOTE: Animation lock is now handled in server.js before sending updates
     // This ensures the lock is set before any game state updates reach players
 
     // Move to next player
-    room.gameState.currentPlayer = this.gameLogic.getNextPlayer(
-      room.gameState.currentPlayer, 
-      room.players.size
-    );
+    this.advanceTurn(room);
 
     return { success: true };
   }
@@ -411,12 +1565,18 @@ class RoomManager {
     return {
       code: roomCode,
       playerCount: room.players.size,
-      maxPlayers: room.maxPlayers,
+      settings: room.settings,
+      maxPlayers: room.settings.maxPlayers,
+      houseRules: room.settings.houseRules,
+      deckOptions: room.settings.deckOptions,
+      matchOptions: this.getMatchOptions(room),
+      turnTimer: { ...room.settings.turnTimer },
       players: Array.from(room.players.values()).map(p => ({
         id: p.id,
         name: p.name,
         connected: p.connected,
-        cardCount: p.cardCount || 0
+        cardCount: p.cardCount || 0,
+        isBot: p.isBot || false
       })),
       gameState: {
         phase: room.gameState.phase,
@@ -444,11 +1604,18 @@ class RoomManager {
       currentPlayer: room.gameState.currentPlayer,
       players: Array.from(room.players.values()).map(p => ({ 
         name: p.name, 
-        cardCount: p.cardCount || 0 
+        cardCount: p.cardCount || 0,
+        connected: p.connected,
+        isBot: p.isBot || false
       })),
-      canDraw: room.gameState.deck?.length > 0,
+      canDraw: this.canDrawCard(room),
+      canPass: this.canPass(room, playerIndex) && playerIndex === room.gameState.currentPlayer, // Nothing to draw or play - pass instead
+      houseRules: room.settings.houseRules,
+      direction: room.gameState.direction,
+      pendingDraw: room.gameState.pendingDraw, // Stacked draw-two penalty if it's on you
+      turnSeconds: room.settings.turnTimer.enabled ? room.settings.turnTimer.seconds : null, // Length of the turn clock, if on
       isYourTurn: playerIndex === room.gameState.currentPlayer,
-      needSuitChoice: false, // Will be set true when an 8 is played
+      needSuitChoice: playerIndex === room.gameState.currentPlayer && room.gameState.awaitingColorChoice, // Our 8 is still waiting for a color
       isAnimating: room.gameState.isAnimating || false, // Include animation state for UI blocking
       phase: room.gameState.phase || 'playing', // Include game phase so phone clients know game state
       isRestarted: room.gameState.turnCount === 0 // Indicate if this is a fresh game
@@ -463,20 +1630,55 @@ class RoomManager {
     const room = this.rooms.get(roomCode);
     if (!room) return;
 
-    // If host disconnects, end the game
+    // If the main screen drops, hold the room so it can reattach with host-join-room
     if (room.hostId === playerId) {
-      console.log(`Host disconnected, closing room ${roomCode}`);
-      this.rooms.delete(roomCode);
-      // Remove all players from lookup
-      for (const [pid] of room.players) {
-        this.playerToRoom.delete(pid);
-      }
+      room.hostId = null;
+      room.hostDisconnectedAt = new Date();
+      this.playerToRoom.delete(playerId);
+      console.log(`Main screen dropped from room ${roomCode} - holding the room for ${this.hostGraceMs}ms`);
+      return { roomCode, hostDropped: true };
+    }
+
+    const spectator = room.spectators.get(playerId);
+    if (spectator) {
+      room.spectators.delete(playerId);
       this.playerToRoom.delete(playerId);
-      return { roomClosed: true, roomCode };
+      console.log(`Spectator ${spectator.name} stopped watching room ${roomCode}`);
+      return { roomCode, spectatorLeft: true, spectatorName: spectator.name };
     }
 
-    // Mark player as disconnected and release their color
     const player = room.players.get(playerId);
+
+    // During a game, hold the seat so the phone can reclaim it with its reconnect token
+    if (player && room.gameState.phase !== 'lobby') {
+      player.connected = false;
+      player.disconnectedAt = new Date();
+      this.playerToRoom.delete(playerId);
+
+      // Don't leave the table waiting on a player who isn't there. A stacked draw-two facing them is
+      // still theirs - they take the cards into their held hand instead of passing the stack on
+      const seatIndex = this.getPlayerIndex(room, playerId);
+      const wasTheirTurn = seatIndex === room.gameState.currentPlayer;
+      if (wasTheirTurn && room.gameState.phase === 'playing') {
+        if (room.gameState.pendingDraw > 0) {
+          this.giveCards(room, seatIndex, room.gameState.pendingDraw);
+          room.gameState.pendingDraw = 0;
+        }
+        this.advanceTurn(room);
+      }
+
+      console.log(`Player ${player.name} (${player.color}) dropped from room ${roomCode} - holding seat for ${this.reconnectGraceMs}ms`);
+      return {
+        roomCode,
+        playerName: player.name,
+        playerColor: player.color,
+        seatHeld: true,
+        reconnectToken: player.reconnectToken,
+        turnSkipped: wasTheirTurn
+      };
+    }
+
+    // In the lobby, remove the player and release their color
     if (player) {
       const playerName = player.name;
       const playerColor = player.color;
@@ -501,14 +1703,177 @@ class RoomManager {
     for (const [roomCode, room] of this.rooms) {
       if (now - room.created > maxAge) {
         console.log(`Cleaning up old room: ${roomCode}`);
-        // Remove all players from lookup
+        this.closeRoom(roomCode);
+      }
+    }
+  }
+
+  // Write a room's current state to the store (or drop its snapshot if the room is gone)
+  saveRoom(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      this.store.remove(roomCode);
+      return;
+    }
+
+    this.store.save(roomCode, this.serializeRoom(room));
+  }
+
+  // Plain-JSON copy of a room - Maps and Sets become arrays
+  serializeRoom(room) {
+    return {
+      ...room,
+      players: Array.from(room.players.values()),
+      spectators: [], // Spectators have nothing to reclaim, so they just watch again after a restart
+      assignedColors: Array.from(room.assignedColors)
+    };
+  }
+
+  // Load every saved room back into memory - call once on boot, before any client connects
+  restoreRooms() {
+    const restored = [];
+
+    for (const { roomCode, data } of this.store.loadAll()) {
+      try {
+        const room = this.deserializeRoom(data);
+        this.rooms.set(roomCode, room);
         for (const [playerId] of room.players) {
-          this.playerToRoom.delete(playerId);
+          this.playerToRoom.set(playerId, roomCode);
         }
-        this.playerToRoom.delete(room.hostId);
-        this.rooms.delete(roomCode);
+        this.verifyRoom(roomCode); // A snapshot written mid-bug shouldn't come back with lost cards
+        restored.push(roomCode);
+      } catch (error) {
+        console.error(`Could not restore room ${roomCode}:`, error.message);
+        this.store.remove(roomCode);
       }
     }
+
+    if (restored.length > 0) {
+      console.log(`Restored ${restored.length} room(s) from the store: ${restored.join(', ')}`);
+    }
+    return restored;
+  }
+
+  // Rebuild a room from its snapshot. Every socket died with the old process, so each phone's
+  // seat is held as if it had dropped, and the room waits for its main screen to reattach
+  deserializeRoom(data) {
+    const restoredAt = new Date();
+    const players = new Map();
+
+    for (const player of data.players) {
+      players.set(player.id, {
+        ...player,
+        joinedAt: new Date(player.joinedAt),
+        connected: player.isBot || false, // Bots live on the server, so they never dropped
+        disconnectedAt: player.isBot ? null : restoredAt
+      });
+    }
+
+    // A winner animation can't resume on a fresh main screen, so land on the results instead
+    const phase = data.gameState.phase === 'winner-animation' ? 'game-over' : data.gameState.phase;
+
+    // Snapshots from before room settings kept each setting at the top of the room
+    const { houseRules, deckOptions, turnTimer, maxPlayers, ...rest } = data;
+    const settings = data.settings || this.createSettings({ houseRules, deckOptions, turnTimer, match: data.match, maxPlayers });
+
+    return {
+      ...rest,
+      settings,
+      match: {
+        rounds: data.match?.rounds || [],
+        over: data.match?.over || false,
+        winner: data.match?.winner || null
+      },
+      hostId: null, // Set again when the main screen sends host-join-room
+      hostDisconnectedAt: data.controller === 'phone' ? null : restoredAt, // A phone in charge stays in charge
+      controller: data.controller || 'main-screen',
+      players,
+      gameLog: data.gameLog || [], // Snapshots from before game logs existed
+      bans: data.bans || { names: [], devices: [] },
+      spectators: new Map(),
+      assignedColors: new Set(data.assignedColors),
+      gameState: {
+        ...data.gameState,
+        phase,
+        isAnimating: false,
+        animationLocks: {}
+      },
+      created: new Date(data.created)
+    };
+  }
+
+  // Hand a room back to a main screen - one restarted after a crash, or any main screen once the
+  // server has been restarted. `previousHostGone` lets a new socket replace a host socket that has
+  // dropped but not timed out yet (a laptop waking from sleep)
+  reattachHost(roomCode, hostId, { previousHostGone = false } = {}) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (room.hostId && !previousHostGone) {
+      return { success: false, error: 'Room already has a host' };
+    }
+
+    if (room.hostId) {
+      this.playerToRoom.delete(room.hostId);
+    }
+    const tookOverFromPhone = room.controller === 'phone';
+    room.hostId = hostId;
+    room.hostToken = room.hostToken || this.generateSessionToken();
+    room.hostDisconnectedAt = null;
+    room.controller = 'main-screen';
+    this.playerToRoom.set(hostId, roomCode);
+    console.log(`Host ${hostId} reattached to room ${roomCode}`);
+    return { success: true, tookOverFromPhone };
+  }
+
+  // The main screen didn't come back in time - the first player's phone runs the room from now on.
+  // With no phone left to hand it to, the room is closed
+  handOverToPhone(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room || room.hostId) return null;
+
+    const phones = Array.from(room.players.values()).filter(p => p.connected && !p.isBot);
+    const controller = phones.find(p => p.isFirstPlayer) || phones[0];
+    if (!controller) {
+      console.log(`Main screen never came back and no phones are left - closing room ${roomCode}`);
+      this.closeRoom(roomCode);
+      return { roomCode, roomClosed: true };
+    }
+
+    for (const [, player] of room.players) {
+      player.isFirstPlayer = player === controller;
+    }
+    room.controller = 'phone';
+    room.hostDisconnectedAt = null;
+
+    // Nothing is left to finish an animation that was playing when the main screen dropped
+    for (const name of Object.keys(room.gameState.animationLocks)) {
+      this.releaseAnimation(roomCode, name);
+    }
+
+    console.log(`Main screen never came back - ${controller.name}'s phone now controls room ${roomCode}`);
+    return { roomCode, playerName: controller.name };
+  }
+
+  // Remove a room and everyone's lookups
+  closeRoom(roomCode) {
+    const room = this.rooms.get(roomCode);
+    if (!room) return;
+
+    this.clearAnimationLocks(roomCode);
+    this.rooms.delete(roomCode);
+    this.store.remove(roomCode);
+    for (const [playerId] of room.players) {
+      this.playerToRoom.delete(playerId);
+    }
+    for (const [spectatorId] of room.spectators) {
+      this.playerToRoom.delete(spectatorId);
+    }
+    if (room.hostId) {
+      this.playerToRoom.delete(room.hostId);
+    }
   }
 
   // Get all rooms (for debugging)
@@ -528,6 +1893,7 @@ class RoomManager {
   // Get game state for main screen display
   getMainScreenGameState(room) {
     return {
+      phase: room.gameState.phase,
       currentPlayer: Array.from(room.players.values())[room.gameState.currentPlayer]?.name,
       topCard: room.gameState.lastPlayedCard,
       currentColor: room.gameState.chosenColor || room.gameState.currentColor, // Changed from currentSuit to currentColor
@@ -535,8 +1901,14 @@ class RoomManager {
       players: Array.from(room.players.values()).map(p => ({
         name: p.name,
         cardCount: p.cardCount,
-        color: p.color
+        color: p.color,
+        connected: p.connected,
+        isBot: p.isBot || false
       })),
+      direction: room.gameState.direction,
+      pendingDraw: room.gameState.pendingDraw,
+      spectatorCount: room.spectators.size,
+      turnSeconds: room.settings.turnTimer.enabled ? room.settings.turnTimer.seconds : null,
       isAnimating: room.gameState.isAnimating || false // Include animation state
     };
   }
@@ -556,22 +1928,35 @@ class RoomManager {
       return { success: false, error: 'Not authorized - only host or first player can restart the game' };
     }
 
+    // Spectators waiting on the sidelines get dealt into this round
+    const promoted = this.promoteSpectators(room, roomCode);
+
     if (room.players.size < 2) {
-      return { success: false, error: 'Need at least 2 players to restart' };
+      return { success: false, error: 'Need at least 2 players to restart', promoted };
+    }
+
+    const playerCount = room.players.size;
+    const plan = this.gameLogic.planDeck(room.settings.deckOptions, room.settings.houseRules, playerCount);
+    if (plan.error) {
+      return { success: false, error: plan.error, promoted };
     }
 
     console.log(`🔄 Restarting game in room ${roomCode} with same players`);
 
+    // Totals carry over between rounds until someone reaches the target score
+    if (room.match.over) {
+      this.resetMatchScores(room);
+    }
+
     // Reset winner animation and game state
-    room.gameState.isAnimating = false;
-    room.gameState.animationEndTime = null;
+    this.clearAnimationLocks(roomCode);
 
     // Generate new shuffled deck using existing card creation logic
-    const deck = this.gameLogic.createDeck();
-    const playerCount = room.players.size;
+    this.seedGame(room);
+    const deck = this.gameLogic.createDeck(plan.spec, this.getGameRandom(room));
     
-    // Deal 7 cards to each existing player
-    const { hands, remainingDeck } = this.gameLogic.dealInitialHands(deck, playerCount);
+    // Deal a hand to each existing player
+    const { hands, remainingDeck } = this.gameLogic.dealInitialHands(deck, playerCount, plan.handSize);
     
     // Set a random starting card on discard pile (not an 8)
     const startCard = this.gameLogic.findValidStartCard(remainingDeck);
@@ -586,6 +1971,14 @@ class RoomManager {
     room.gameState.chosenColor = null;
     room.gameState.lastPlayedCard = startCard;
     room.gameState.turnCount = 0;
+    room.gameState.passesInRow = 0;
+    room.gameState.blocked = false;
+    room.gameState.walkover = false;
+    room.gameState.winner = null;
+    room.gameState.direction = 1;
+    room.gameState.pendingDraw = 0;
+    room.gameState.awaitingColorChoice = false;
+    room.gameState.deckSpec = plan.spec;
 
     // Update player card counts for UI
     let playerIndex = 0;
@@ -594,58 +1987,59 @@ class RoomManager {
       playerIndex++;
     }
 
+    this.startGameLog(room);
+
     console.log(`✅ Game restarted successfully in room ${roomCode}`);
-    return { success: true, gameState: room.gameState };
+    return { success: true, gameState: room.gameState, promoted };
   }
 
-  // Start new game with new players - Step 5 implementation  
+  // Close the room and open a fresh one for the same main screen, for a new group of players
+  // (host or first player). The new room gets a new host token
   startNewGame(roomCode, requesterId) {
     const room = this.rooms.get(roomCode);
     if (!room) {
-      return { success: false, error: 'Room not found' };
+      return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, error: 'Room not found' };
     }
 
-    console.log(`👥 Starting new game with new players for room ${roomCode}`);
+    const requesterPlayer = room.players.get(requesterId);
+    const isAuthorized = room.hostId === requesterId || (requesterPlayer && requesterPlayer.isFirstPlayer);
 
-    // Generate new room code
-    const newRoomCode = this.generateRoomCode();
-    
-    // Create new room for the host
-    const newRoom = {
-      hostId: requesterId,
-      players: new Map(),
-      assignedColors: new Set(),
-      gameState: {
-        phase: 'lobby',
-        currentPlayer: 0,
-        deck: [],
-        discardPile: [],
-        playerHands: {},
-        currentColor: null,
-        chosenColor: null,
-        lastPlayedCard: null,
-        turnCount: 0,
-        isAnimating: false,
-        animationEndTime: null
-      },
-      created: new Date(),
-      maxPlayers: 4
-    };
+    if (!isAuthorized) {
+      return { success: false, code: ErrorCodes.NOT_AUTHORIZED, error: 'Not authorized - only host or first player can start over with new players' };
+    }
+
+    // The new room belongs to the main screen, so it has to be here to take it
+    if (!room.hostId) {
+      return { success: false, error: 'New players needs the main screen' };
+    }
+    const hostId = room.hostId;
+
+    console.log(`👥 Starting new game with new players for room ${roomCode}`);
 
-    // Remove old room
+    // Take the old room down first so it doesn't count against the caps the new one is checked against
     this.rooms.delete(roomCode);
-    
-    // Clear all player mappings for the old room
+    let newRoomCode;
+    try {
+      newRoomCode = this.createRoom(hostId, { address: room.hostAddress });
+    } catch (error) {
+      this.rooms.set(roomCode, room); // Keep the old room rather than leave the main screen with none
+      return { success: false, code: error.code, error: error.message };
+    }
+    const newRoom = this.rooms.get(newRoomCode);
+    newRoom.settings = this.createSettings(room.settings); // Keep the host's settings for the next group
+
+    // Clear the old room's locks, snapshot and player and spectator mappings
+    this.clearAnimationLocks(roomCode);
+    this.store.remove(roomCode);
     for (const [playerId] of room.players) {
       this.playerToRoom.delete(playerId);
     }
-
-    // Set up new room
-    this.rooms.set(newRoomCode, newRoom);
-    this.playerToRoom.set(requesterId, newRoomCode);
+    for (const [spectatorId] of room.spectators) {
+      this.playerToRoom.delete(spectatorId);
+    }
 
     console.log(`✅ New game created with room code: ${newRoomCode}`);
-    return { success: true, newRoomCode: newRoomCode };
+    return { success: true, newRoomCode: newRoomCode, hostId, hostToken: newRoom.hostToken };
   }
 }
 
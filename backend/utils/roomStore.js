@@ -0,0 +1,69 @@
+// Room Stores - Keep snapshots of rooms so a server restart doesn't end every game
+// A store only needs three methods:
+//   loadAll()              -> [{ roomCode, data }] for every saved room
+//   save(roomCode, data)   -> write (or overwrite) one room's snapshot
+//   remove(roomCode)       -> forget a room that was closed
+const fs = require('fs');
+const path = require('path');
+
+// Room codes become file names, so anything else (e.g. '../x') must never reach a path
+const ROOM_CODE_PATTERN = /^[A-Z]{4}$/;
+
+// Keeps nothing - rooms only live as long as the process
+class MemoryRoomStore {
+  loadAll() {
+    return [];
+  }
+
+  save() {}
+
+  remove() {}
+}
+
+// One JSON file per room in a directory
+class FileRoomStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  getFilePath(roomCode) {
+    if (typeof roomCode !== 'string' || !ROOM_CODE_PATTERN.test(roomCode)) {
+      throw new Error(`Refusing to store a room under ${JSON.stringify(roomCode)} - not a room code`);
+    }
+    return path.join(this.directory, `${roomCode}.json`);
+  }
+
+  loadAll() {
+    const snapshots = [];
+
+    for (const fileName of fs.readdirSync(this.directory)) {
+      if (!fileName.endsWith('.json')) continue;
+
+      const roomCode = path.basename(fileName, '.json');
+      if (!ROOM_CODE_PATTERN.test(roomCode)) continue; // Not one of ours
+      try {
+        const data = JSON.parse(fs.readFileSync(this.getFilePath(roomCode), 'utf8'));
+        snapshots.push({ roomCode, data });
+      } catch (error) {
+        console.error(`Skipping unreadable room snapshot ${fileName}:`, error.message);
+      }
+    }
+
+    return snapshots;
+  }
+
+  save(roomCode, data) {
+    // Write to a temp file first so a crash mid-write never leaves half a snapshot behind
+    const filePath = this.getFilePath(roomCode);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  remove(roomCode) {
+    fs.rmSync(this.getFilePath(roomCode), { force: true });
+  }
+}
+
+module.exports = { MemoryRoomStore, FileRoomStore };
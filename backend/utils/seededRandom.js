@@ -0,0 +1,35 @@
+// Seeded Random - Deterministic random numbers (mulberry32) so a game's shuffles can be reproduced from its seed
+// The whole generator state is one 32-bit number, which makes it easy to keep on a room and snapshot
+const crypto = require('crypto');
+
+const MAX_SEED = 2 ** 32 - 1;
+
+// Pick a fresh seed for a game nobody asked to reproduce
+function generateSeed() {
+  return crypto.randomInt(0, MAX_SEED + 1);
+}
+
+function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+// Advance the generator: returns the next number in [0, 1) and the state to continue from
+function nextRandom(state) {
+  const nextState = (state + 0x6D2B79F5) >>> 0;
+  let t = nextState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state: nextState };
+}
+
+// A Math.random-style function that follows the sequence for `seed`
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    const next = nextRandom(state);
+    state = next.state;
+    return next.value;
+  };
+}
+
+module.exports = { MAX_SEED, generateSeed, isValidSeed, nextRandom, createSeededRandom };
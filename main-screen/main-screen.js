@@ -0,0 +1,378 @@
+// Browser main screen - hosts a room the way the Unity main screen does: creates it, shows the lobby and
+// the table, plays the first-card flip, spiral and winner sequences and tells the server when each is done
+// so it can release the animation lock
+/* global io */
+
+const socket = io(); // Served by the backend, so this connects back to the same origin
+
+// Room we are hosting and its host token, kept across a page reload so the screen takes its room back
+// instead of opening another. The token has to go with every host-only event
+const ROOM_KEY = 'crazy8s-main-screen-room';
+const HOST_TOKEN_KEY = 'crazy8s-main-screen-token';
+
+// How long each sequence plays before the server hears it finished (its own timeouts are a little longer)
+const FLIP_MS = 1500;
+const SPIRAL_MS = 2500;
+const WINNER_MS = 5000;
+
+const COLOR_EMOJI = { red: '🔴', blue: '🔵', green: '🟢', yellow: '🟡' };
+
+// House rules as the phones' lobby settings name them
+const HOUSE_RULES = {
+  drawTwo: '2s: next player draws two',
+  stackDrawTwo: '2s can be stacked',
+  skip: '7s skip the next player',
+  reverse: '1s reverse direction',
+  drawUntilPlayable: 'Draw until you can play'
+};
+
+let roomCode = null;
+let hostToken = null;
+let players = []; // Lobby list from the latest player-joined/player-left
+let spiralTimer = null;
+let winnerTimer = null;
+
+const $ = (id) => document.getElementById(id);
+
+// Show one of lobby / table / game-over
+function showScreen(id) {
+  for (const screen of document.querySelectorAll('.screen')) {
+    screen.classList.toggle('hidden', screen.id !== id);
+  }
+}
+
+function setRoom(code, token, joinUrl) {
+  roomCode = code;
+  hostToken = token;
+  sessionStorage.setItem(ROOM_KEY, code);
+  sessionStorage.setItem(HOST_TOKEN_KEY, token);
+  $('room-code').textContent = code;
+  $('table-room-code').textContent = code;
+  showJoinLink(joinUrl);
+}
+
+// QR code for phones to scan, and the link spelled out for anyone who'd rather type it
+function showJoinLink(joinUrl) {
+  $('join-url').textContent = joinUrl || '';
+  $('join-qr').src = `/api/room/${roomCode}/qr`;
+  $('join-qr').classList.remove('hidden');
+}
+
+function forgetRoom() {
+  roomCode = null;
+  hostToken = null;
+  sessionStorage.removeItem(ROOM_KEY);
+  sessionStorage.removeItem(HOST_TOKEN_KEY);
+}
+
+function createRoom() {
+  socket.emit('create-room', (response) => {
+    if (!response.success) {
+      $('lobby-status').textContent = `Could not create a room: ${response.error}`;
+      return;
+    }
+    setRoom(response.roomCode, response.hostToken, response.joinUrl);
+    renderLobby(response.roomData.players);
+    renderSettings(response.roomData.settings);
+    showScreen('lobby');
+  });
+}
+
+// ---- Lobby ----
+
+function renderLobby(lobbyPlayers) {
+  players = lobbyPlayers || [];
+  const list = $('lobby-players');
+  list.replaceChildren(...players.map(player => {
+    const item = document.createElement('li');
+    item.className = `player-chip player-${player.color}`;
+    item.textContent = `${player.isBot ? '🤖 ' : ''}${player.name}${player.isFirstPlayer ? ' ⭐' : ''}`;
+    return item;
+  }));
+
+  $('start-button').disabled = players.length < 2;
+  $('lobby-status').textContent = players.length < 2
+    ? 'Waiting for at least 2 players...'
+    : `${players.length} players ready`;
+}
+
+// What the first player has set up for this room, from room-settings-updated
+function renderSettings(settings) {
+  if (!settings) return;
+  const { houseRules, turnTimer, match, maxPlayers } = settings;
+  const rules = Object.keys(HOUSE_RULES).filter(key => houseRules[key]).map(key => HOUSE_RULES[key]);
+
+  $('lobby-settings').replaceChildren(...[
+    `Rules: ${rules.length > 0 ? rules.join(', ') : 'Classic'}`,
+    `Turn timer: ${turnTimer.enabled ? `${turnTimer.seconds}s` : 'Off'}`,
+    `Match: ${match.enabled ? `First to ${match.targetScore}` : 'Single game'}`,
+    `Up to ${maxPlayers} players`
+  ].map(text => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    return item;
+  }));
+}
+
+$('start-button').addEventListener('click', () => {
+  socket.emit('start-game', { roomCode, sessionToken: hostToken }, (response) => {
+    if (response && !response.success) {
+      $('lobby-status').textContent = response.error;
+    }
+  });
+});
+
+// ---- Table ----
+
+function renderCard(element, card) {
+  element.className = card ? `card card-${card.color}` : 'card empty';
+  element.textContent = card ? card.rank : '';
+}
+
+function renderTable(gameState) {
+  if (!gameState) return;
+
+  renderCard($('top-card'), gameState.topCard);
+  $('current-color').textContent = gameState.currentColor
+    ? `${COLOR_EMOJI[gameState.currentColor] || ''} ${gameState.currentColor}`
+    : '';
+  $('deck-count').textContent = `${gameState.deckCount} left`;
+  $('direction').textContent = gameState.direction === -1 ? '⟲ Reversed' : '⟳';
+
+  $('players').replaceChildren(...gameState.players.map(player => {
+    const seat = document.createElement('div');
+    seat.className = `seat player-${player.color}`;
+    seat.classList.toggle('current', player.name === gameState.currentPlayer);
+    seat.classList.toggle('away', !player.connected && !player.isBot);
+
+    const name = document.createElement('span');
+    name.className = 'seat-name';
+    name.textContent = `${player.isBot ? '🤖 ' : ''}${player.name}`;
+
+    const count = document.createElement('span');
+    count.className = 'seat-count';
+    count.textContent = `${player.cardCount} 🂠`;
+
+    seat.append(name, count);
+    return seat;
+  }));
+
+  if (gameState.currentPlayer && gameState.phase === 'playing') {
+    const draw = gameState.pendingDraw ? ` - must draw ${gameState.pendingDraw} or stack` : '';
+    $('status').textContent = `${gameState.currentPlayer}'s turn${draw}`;
+  }
+  if (!gameState.turnSeconds) {
+    $('turn-clock').textContent = '';
+  }
+}
+
+function announce(text) {
+  $('status').textContent = text;
+}
+
+// Top card turns over, then the server may let the first player go
+function playFirstCardFlip(gameState, replay) {
+  const topCard = $('top-card');
+  topCard.classList.add('flipping');
+  setTimeout(() => {
+    topCard.classList.remove('flipping');
+    if (!replay) socket.emit('first-card-flip-complete', { roomCode });
+  }, FLIP_MS);
+}
+
+// An 8 sets the table spinning until its color has been picked
+function playSpiral(playerName, replay) {
+  clearTimeout(spiralTimer);
+  $('spiral-label').textContent = `${playerName} played an 8!`;
+  $('spiral').classList.remove('hidden');
+
+  spiralTimer = setTimeout(() => {
+    $('spiral').classList.add('hidden');
+    if (!replay) socket.emit('animation-complete', { roomCode });
+  }, SPIRAL_MS);
+}
+
+function playWinner(winner, replay) {
+  clearTimeout(winnerTimer);
+  $('winner-name').textContent = winner ? `${winner} wins!` : 'Everyone left the table';
+  $('winner').classList.remove('hidden');
+
+  winnerTimer = setTimeout(() => {
+    $('winner').classList.add('hidden');
+    if (!replay) socket.emit('winner-animation-complete', { roomCode, winner });
+  }, WINNER_MS);
+}
+
+function hideOverlays() {
+  clearTimeout(spiralTimer);
+  clearTimeout(winnerTimer);
+  $('spiral').classList.add('hidden');
+  $('winner').classList.add('hidden');
+}
+
+// ---- Game over ----
+
+function renderGameOver(data) {
+  hideOverlays();
+  const scoreboard = data.scoreboard;
+  $('game-over-title').textContent = scoreboard?.matchOver
+    ? `🏆 ${scoreboard.matchWinner} wins the match!`
+    : data.winner ? `🏆 ${data.winner} wins!` : 'Everyone left the table';
+
+  const handValues = new Map((data.handValues || []).map(entry => [entry.name, entry.handValue]));
+  $('results').replaceChildren(...data.players.map(player => {
+    const item = document.createElement('li');
+    item.className = `player-chip player-${player.color}`;
+    const score = scoreboard ? ` · ${player.score} pts` : '';
+    item.textContent = `${player.name}: ${player.cardCount} cards (${handValues.get(player.name) ?? 0} in hand)${score}`;
+    return item;
+  }));
+
+  $('game-over-status').textContent = data.blocked
+    ? 'Nobody could move - the lowest hand won'
+    : data.walkover ? 'Everyone else left - the game ended early' : '';
+  showScreen('game-over');
+}
+
+$('play-again-button').addEventListener('click', () => {
+  socket.emit('host-restart-game', { roomCode, sessionToken: hostToken }, (response) => {
+    if (response && !response.success) {
+      $('game-over-status').textContent = response.error;
+    }
+  });
+});
+
+$('new-players-button').addEventListener('click', () => {
+  // The new room code arrives through new-room-created
+  socket.emit('host-new-players', { roomCode, sessionToken: hostToken }, (response) => {
+    if (response && !response.success) {
+      $('game-over-status').textContent = response.error;
+    }
+  });
+});
+
+// ---- Connection ----
+
+socket.on('connect', () => {
+  const savedRoom = roomCode || sessionStorage.getItem(ROOM_KEY);
+  if (savedRoom) {
+    socket.emit('host-join-room', {
+      roomCode: savedRoom,
+      sessionToken: hostToken || sessionStorage.getItem(HOST_TOKEN_KEY)
+    });
+  } else {
+    createRoom();
+  }
+});
+
+// Our room is gone (expired or the server started fresh), or isn't ours to take back - open a new one
+socket.on('room-error', (message) => {
+  console.warn('Room error:', message);
+  if (/not found|Not authorized to host/.test(String(message))) {
+    forgetRoom();
+    createRoom();
+  }
+});
+
+socket.on('host-reattached', (data) => {
+  setRoom(data.roomCode, data.hostToken, data.joinUrl);
+  renderLobby(data.roomData.players);
+  renderSettings(data.roomData.settings);
+
+  const phase = data.gameState.phase;
+  if (phase === 'lobby') {
+    showScreen('lobby');
+  } else if (data.gameOver) {
+    renderGameOver(data.gameOver);
+  } else {
+    renderTable(data.gameState);
+    showScreen('table');
+  }
+});
+
+socket.on('new-room-created', (data) => {
+  setRoom(data.newRoomCode, data.hostToken, data.joinUrl);
+  socket.emit('host-join-room', { roomCode: data.newRoomCode, sessionToken: hostToken });
+  renderLobby([]);
+  showScreen('lobby');
+});
+
+socket.on('room-closed', (data) => {
+  if (data.reason === 'new-players') return; // Ours - new-room-created follows
+  forgetRoom();
+  createRoom();
+});
+
+// ---- Lobby events ----
+
+for (const event of ['player-joined', 'seats-arranged', 'first-player-changed', 'host-reconnected']) {
+  socket.on(event, (data) => renderLobby(data.players));
+}
+
+socket.on('player-left', (data) => {
+  renderLobby(data.players);
+  renderTable(data.gameState);
+  if (data.playerName) announce(`${data.playerName} left`);
+});
+
+socket.on('room-settings-updated', (data) => renderSettings(data.settings));
+
+socket.on('player-disconnected', (data) => renderTable(data.gameState));
+socket.on('player-reconnected', (data) => renderTable(data.gameState));
+
+// ---- Game events ----
+
+socket.on('game-started', (data) => {
+  hideOverlays();
+  renderTable(data.gameState);
+  showScreen('table');
+  playFirstCardFlip(data.gameState, data.replay);
+});
+
+socket.on('card-played', (data) => {
+  renderTable(data.gameState);
+  announce(`${data.playerName} played ${data.card.color} ${data.card.rank}`);
+
+  // A winning 8 goes straight to the winner sequence
+  if (data.card.rank === '8' && !data.winningEight) {
+    playSpiral(data.playerName, data.replay);
+  }
+});
+
+socket.on('color-chosen', (data) => {
+  renderTable(data.gameState);
+  announce(`${data.playerName} chose ${COLOR_EMOJI[data.color] || ''} ${data.color}`);
+});
+
+socket.on('card-drawn', (data) => {
+  renderTable(data.gameState);
+  const count = data.drawnCount || 1;
+  announce(`${data.playerName} drew ${count} card${count === 1 ? '' : 's'}${data.penalty ? ' (penalty)' : ''}`);
+});
+
+socket.on('player-passed', (data) => {
+  renderTable(data.gameState);
+  announce(`${data.playerName} passed`);
+});
+
+// The server then moves for them, and the table is redrawn from that move's own event
+socket.on('turn-timed-out', (data) => {
+  announce(`${data.playerName} ran out of time`);
+});
+
+socket.on('timer-update', (data) => {
+  $('turn-clock').textContent = `⏱️ ${data.timeLeft}s`;
+});
+
+socket.on('winner-detected', (data) => {
+  playWinner(data.winner, data.replay);
+});
+
+socket.on('game-over', (data) => {
+  renderGameOver(data);
+});
+
+socket.on('disconnect', () => {
+  $('lobby-status').textContent = 'Connection lost - reconnecting...';
+  announce('Connection lost - reconnecting...');
+});
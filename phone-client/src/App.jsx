@@ -1,14 +1,57 @@
 import { useState, useEffect } from 'react';
 import JoinScreen from './JoinScreen';
 import GameScreen from './GameScreen';
+import SpectatorScreen from './SpectatorScreen';
 import socketService from './SocketService';
 import './index.css';
 
+// Remembers the seat we hold so a dropped phone can reclaim it
+const SESSION_KEY = 'crazy8s-session';
+
+// The server only hands a seat back once it has noticed our old connection is gone, which can take
+// it up to ~45s after a Wi-Fi switch - keep asking until then
+const SEAT_RETRY_MS = 5000;
+const SEAT_RETRIES = 10;
+
+// Reclaim our seat, retrying while it's still in use. Resolves null if the connection dropped while
+// we waited - the reconnect makes its own attempt
+const rejoinWhenFree = async (session) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await socketService.rejoinRoom(session.roomCode, session.reconnectToken);
+    } catch (error) {
+      if (error.code !== 'SEAT_IN_USE' || attempt >= SEAT_RETRIES) throw error;
+    }
+    await new Promise(resolve => setTimeout(resolve, SEAT_RETRY_MS));
+    if (!socketService.connected) return null;
+  }
+};
+
+const loadSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Room code from a join link (/join/ABCD), if we were opened through one
+const getLinkedRoomCode = () => {
+  const match = window.location.pathname.match(/\/join\/([a-z]{4})\/?$/i);
+  return match ? match[1].toUpperCase() : null;
+};
+
+// Once we're in, drop the code from the address so leaving doesn't offer the old room again
+const clearJoinLink = () => {
+  window.history.replaceState(null, '', import.meta.env.BASE_URL);
+};
+
 function App() {
   const [gameData, setGameData] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [error, setError] = useState(null);
+  const [linkedRoomCode, setLinkedRoomCode] = useState(getLinkedRoomCode);
 
   useEffect(() => {
     // Connect to WebSocket server
@@ -18,11 +61,15 @@ function App() {
     socketService.on('connected', () => {
       setConnectionStatus('connected');
       setError(null);
+      resumeSession();
     });
 
     socketService.on('disconnected', () => {
       setConnectionStatus('disconnected');
-      setIsConnected(false);
+      // Stay on the game screen if we can reclaim our seat once the connection is back
+      if (!loadSession()) {
+        setIsConnected(false);
+      }
     });
 
     socketService.on('connection_error', (error) => {
@@ -35,12 +82,66 @@ function App() {
       handleLeave();
     });
 
+    socketService.on('kicked', (data) => {
+      handleLeave();
+      setError(data.banned ? 'You were removed from the room and can\'t rejoin' : 'You were removed from the room');
+    });
+
+    // A new round dealt us in - switch from watching to playing
+    socketService.on('spectator-promoted', (data) => {
+      setGameData({
+        roomCode: data.roomCode,
+        playerName: data.playerName,
+        socketId: socketService.getSocketId(),
+        isFirstPlayer: data.isFirstPlayer || false,
+        playerColor: data.playerColor,
+        resumeGameState: data.gameState // Lands straight on the new hand
+      });
+
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+        roomCode: data.roomCode,
+        reconnectToken: data.reconnectToken
+      }));
+    });
+
     // Cleanup on unmount
     return () => {
       socketService.disconnect();
     };
   }, []);
 
+  const resumeSession = async () => {
+    const session = loadSession();
+    if (!session) return;
+
+    try {
+      const response = await rejoinWhenFree(session);
+      if (!response) return;
+
+      setGameData({
+        roomCode: session.roomCode,
+        playerName: response.playerName,
+        socketId: socketService.getSocketId(),
+        isFirstPlayer: response.isFirstPlayer || false,
+        playerColor: response.playerColor,
+        lobbyPlayers: response.roomData?.players || [],
+        roomSettings: response.roomData?.settings || null,
+        resumeGameState: response.gameState // Lets GameScreen pick up the hand where we left off
+      });
+      setIsConnected(true);
+      setLinkedRoomCode(null);
+      clearJoinLink();
+
+      console.log('Reclaimed seat in room:', session.roomCode);
+    } catch (error) {
+      console.error('Failed to reclaim seat:', error);
+      sessionStorage.removeItem(SESSION_KEY);
+      setGameData(null);
+      setIsConnected(false);
+      setError(error.message);
+    }
+  };
+
   const handleJoin = async (joinData) => {
     try {
       setError(null);
@@ -51,9 +152,18 @@ function App() {
         ...joinData,
         socketId: socketService.getSocketId(),
         isFirstPlayer: response.isFirstPlayer || false, // Add the first player flag from server
-        playerColor: response.playerColor // Add the assigned color from server
+        playerColor: response.playerColor, // Add the assigned color from server
+        lobbyPlayers: response.roomData?.players || [], // Who was already in the lobby when we joined
+        roomSettings: response.roomData?.settings || null // What the first player has set up so far
       });
       setIsConnected(true);
+      setLinkedRoomCode(null);
+      clearJoinLink();
+
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+        roomCode: joinData.roomCode,
+        reconnectToken: response.reconnectToken
+      }));
       
       console.log('Joined game:', response);
       console.log('Is first player:', response.isFirstPlayer);
@@ -64,8 +174,31 @@ function App() {
     }
   };
 
+  const handleSpectate = async (joinData) => {
+    try {
+      setError(null);
+      const response = await socketService.spectateRoom(joinData.roomCode, joinData.playerName);
+
+      setGameData({
+        ...joinData,
+        socketId: socketService.getSocketId(),
+        isSpectator: true,
+        spectatorGameState: response.gameState
+      });
+      setIsConnected(true);
+      setLinkedRoomCode(null);
+      clearJoinLink();
+
+      console.log('Watching game:', response);
+    } catch (error) {
+      console.error('Failed to watch game:', error);
+      setError(error.message);
+    }
+  };
+
   const handleLeave = () => {
     // Reset to join screen
+    sessionStorage.removeItem(SESSION_KEY);
     setGameData(null);
     setIsConnected(false);
     setError(null);
@@ -90,12 +223,27 @@ function App() {
         </div>
       )}
 
+      {/* Connection dropped mid-game - socket.io is retrying in the background */}
+      {isConnected && connectionStatus === 'disconnected' && (
+        <div className="error-message">
+          Connection lost - reconnecting...
+        </div>
+      )}
+
       {!isConnected ? (
         <JoinScreen 
           onJoin={handleJoin} 
+          onSpectate={handleSpectate}
+          linkedRoomCode={linkedRoomCode}
           connectionStatus={connectionStatus}
           error={error}
         />
+      ) : gameData?.isSpectator ? (
+        <SpectatorScreen
+          gameData={gameData}
+          onLeave={handleLeave}
+          socketService={socketService}
+        />
       ) : (
         <GameScreen 
           gameData={gameData} 
@@ -1,4 +1,5 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import LobbySettings from './LobbySettings';
 import './index.css';
 
 function GameScreen({ gameData, onLeave, socketService }) {
@@ -17,6 +18,14 @@ function GameScreen({ gameData, onLeave, socketService }) {
   const [eightCardColors, setEightCardColors] = useState(new Map()); // Track chosen colors for 8 cards
   const [isAnimating, setIsAnimating] = useState(false); // Track if spiral animation is playing
   const [isProcessingHostAction, setIsProcessingHostAction] = useState(false); // Prevent multiple host actions
+  const [pendingDraw, setPendingDraw] = useState(0); // Stacked draw-two penalty waiting on the current player
+  const [canPass, setCanPass] = useState(false); // Nothing left to draw and nothing to play - our only move is to pass
+  const [scoreboard, setScoreboard] = useState(null); // Match scores from game-over (null when scoring is off)
+  const [lobbyPlayers, setLobbyPlayers] = useState(gameData?.lobbyPlayers || []); // Players (and bots) waiting in the lobby
+  const [roomSettings, setRoomSettings] = useState(gameData?.roomSettings || null); // Rules, timer, match, seats - set by the first player
+  const [turnClock, setTurnClock] = useState(null); // { playerName, timeLeft } while the room's turn timer is on
+  const [gameSeed, setGameSeed] = useState(null); // Shuffle seed of the game that just ended, for bug reports
+  const [replay, setReplay] = useState(null); // { step, total, event, hand } while the last game is being replayed
 
   useEffect(() => {
     // Check if this player is the first player based on gameData
@@ -33,13 +42,28 @@ function GameScreen({ gameData, onLeave, socketService }) {
     socketService.on('game-state-updated', handleGameStateUpdated);
     socketService.on('card-played', handleCardPlayed);
     socketService.on('card-drawn', handleCardDrawn);
+    socketService.on('player-passed', handlePlayerPassed);
     socketService.on('color-chosen', handleColorChosen); // Changed from suit-chosen to color-chosen
     socketService.on('game-ended', handleGameEnded);
     socketService.on('game-over', handleGameOver);
-    socketService.on('player-action', handlePlayerAction);
     socketService.on('error', handleError);
     socketService.on('room-closed', handleRoomClosed); // Room closure event
     socketService.on('game-restarted', handleGameRestarted); // Explicit restart event
+    socketService.on('player-disconnected', handlePlayerDisconnected);
+    socketService.on('player-reconnected', handlePlayerReconnected);
+    socketService.on('player-joined', handleLobbyChanged);
+    socketService.on('player-left', handleLobbyChanged);
+    socketService.on('first-player-changed', handleLobbyChanged);
+    socketService.on('host-disconnected', handleHostDisconnected);
+    socketService.on('host-reconnected', handleHostReconnected);
+    socketService.on('controller-changed', handleControllerChanged);
+    socketService.on('seats-arranged', handleLobbyChanged);
+    socketService.on('room-settings-updated', handleRoomSettingsUpdated);
+    socketService.on('timer-update', handleTimerUpdate);
+    socketService.on('turn-timed-out', handleTurnTimedOut);
+    socketService.on('replay-started', handleReplayStarted);
+    socketService.on('replay-step', handleReplayStep);
+    socketService.on('replay-finished', handleReplayFinished);
     
     console.log('🔧 PHONE: Event listeners set up, including game-over');
 
@@ -49,13 +73,28 @@ function GameScreen({ gameData, onLeave, socketService }) {
       socketService.off('game-state-updated', handleGameStateUpdated);
       socketService.off('card-played', handleCardPlayed);
       socketService.off('card-drawn', handleCardDrawn);
+      socketService.off('player-passed', handlePlayerPassed);
       socketService.off('color-chosen', handleColorChosen); // Changed from suit-chosen to color-chosen
       socketService.off('game-ended', handleGameEnded);
       socketService.off('game-over', handleGameOver);
-      socketService.off('player-action', handlePlayerAction);
       socketService.off('error', handleError);
       socketService.off('room-closed', handleRoomClosed); // Room closure event
       socketService.off('game-restarted', handleGameRestarted); // Explicit restart event
+      socketService.off('player-disconnected', handlePlayerDisconnected);
+      socketService.off('player-reconnected', handlePlayerReconnected);
+      socketService.off('player-joined', handleLobbyChanged);
+      socketService.off('player-left', handleLobbyChanged);
+      socketService.off('first-player-changed', handleLobbyChanged);
+      socketService.off('host-disconnected', handleHostDisconnected);
+      socketService.off('host-reconnected', handleHostReconnected);
+      socketService.off('controller-changed', handleControllerChanged);
+      socketService.off('seats-arranged', handleLobbyChanged);
+      socketService.off('room-settings-updated', handleRoomSettingsUpdated);
+      socketService.off('timer-update', handleTimerUpdate);
+      socketService.off('turn-timed-out', handleTurnTimedOut);
+      socketService.off('replay-started', handleReplayStarted);
+      socketService.off('replay-step', handleReplayStep);
+      socketService.off('replay-finished', handleReplayFinished);
     };
   }, []);
 
@@ -134,13 +173,26 @@ function GameScreen({ gameData, onLeave, socketService }) {
 
   const handleCardPlayed = (data) => {
     console.log('Card played:', data);
-    setMessage(`${data.playerName} played ${formatCard(data.card)}`);
+    const effectMessages = {
+      'draw-two': ' - draw two!',
+      'skip': ' - skip!',
+      'reverse': ' - reverse!'
+    };
+    setMessage(`${data.playerName} played ${formatCard(data.card)}${effectMessages[data.effect] || ''}`);
     updateGameState(data.gameState);
   };
 
   const handleCardDrawn = (data) => {
     console.log('Card drawn:', data);
-    setMessage(`${data.playerName} drew a card`);
+    setMessage(data.drawnCount > 1
+      ? `${data.playerName} drew ${data.drawnCount} cards`
+      : `${data.playerName} drew a card`);
+    updateGameState(data.gameState);
+  };
+
+  const handlePlayerPassed = (data) => {
+    console.log('Player passed:', data);
+    setMessage(`${data.playerName} passed - no cards left to draw`);
     updateGameState(data.gameState);
   };
 
@@ -158,7 +210,7 @@ function GameScreen({ gameData, onLeave, socketService }) {
     if (data.card && data.card.rank === '8') {
       setEightCardColors(prev => {
         const newMap = new Map(prev);
-        const cardKey = `${data.card.color}-${data.card.rank}`;
+        const cardKey = getCardKey(data.card);
         newMap.set(cardKey, data.color);
         return newMap;
       });
@@ -181,14 +233,102 @@ function GameScreen({ gameData, onLeave, socketService }) {
     console.log('🏆 PHONE: Current isAnimating before:', isAnimating);
     
     setGameState('game-over');
-    setMessage(`Game Over! ${data.winner} wins!`);
+    setTurnClock(null);
+    setScoreboard(data.scoreboard || null);
+    setGameSeed(data.seed ?? null);
+    setMessage(data.scoreboard?.matchOver
+      ? `Match Over! ${data.scoreboard.matchWinner} wins the match!`
+      : data.blocked
+        ? `Nobody could move! ${data.winner} wins with the lowest hand.`
+        : data.walkover
+          ? `Everyone else left - ${data.winner} wins!`
+          : `Game Over! ${data.winner} wins!`);
     setIsAnimating(false); // Unlock UI now that animation is complete
     
     console.log('🏆 PHONE: Game state set to game-over');
   };
 
-  const handlePlayerAction = (data) => {
-    setMessage(data.message);
+  const handlePlayerDisconnected = (data) => {
+    setMessage(data.turnSkipped
+      ? `${data.playerName} lost connection - skipping their turn`
+      : `${data.playerName} lost connection - holding their seat`);
+    updateGameState(data.gameState);
+  };
+
+  const handlePlayerReconnected = (data) => {
+    if (data.playerName !== gameData.playerName) {
+      setMessage(`${data.playerName} is back!`);
+    }
+  };
+
+  const handleLobbyChanged = (data) => {
+    if (data.players) {
+      setLobbyPlayers(data.players);
+
+      // First player controls move on when they are handed over or their holder leaves
+      const me = data.players.find(p => p.name === gameData?.playerName);
+      if (typeof me?.isFirstPlayer === 'boolean') {
+        setIsFirstPlayer(me.isFirstPlayer);
+      }
+    }
+  };
+
+  const handleHostDisconnected = (data) => {
+    setMessage(`📺 Main screen lost - waiting ${Math.round(data.graceMs / 1000)}s for it to come back`);
+  };
+
+  const handleHostReconnected = () => {
+    setMessage('📺 Main screen is back!');
+  };
+
+  const handleControllerChanged = (data) => {
+    handleLobbyChanged(data);
+    setMessage(data.playerName === gameData?.playerName
+      ? "📺 The main screen didn't come back - you're running the game now"
+      : `📺 The main screen didn't come back - ${data.playerName} is running the game now`);
+  };
+
+  const handleRoomSettingsUpdated = (data) => {
+    setRoomSettings(data.settings);
+  };
+
+  const handleTimerUpdate = (data) => {
+    setTurnClock({ playerName: data.playerName, timeLeft: data.timeLeft });
+  };
+
+  const handleTurnTimedOut = (data) => {
+    console.log('⏰ PHONE: Turn timed out:', data);
+    setTurnClock(null);
+
+    if (data.playerName === gameData?.playerName) {
+      // The server has moved on without us - drop any half-finished 8 play
+      setShowColorSelector(false);
+      setPendingEight(null);
+      setMessage({
+        draw: "⏰ Time's up! A card was drawn for you.",
+        pass: "⏰ Time's up! You passed.",
+        'choose-color': "⏰ Time's up! A color was picked for your 8."
+      }[data.action]);
+    } else {
+      setMessage(`⏰ ${data.playerName} ran out of time`);
+    }
+  };
+
+  const handleReplayStarted = (data) => {
+    setReplay({ step: 0, total: data.total, event: null, hand: [] });
+  };
+
+  const handleReplayStep = (data) => {
+    setReplay({
+      step: data.step,
+      total: data.total,
+      event: data.event,
+      hand: data.hands[gameData?.playerName] || [] // Our own hand at this point in the game
+    });
+  };
+
+  const handleReplayFinished = () => {
+    setReplay(null);
   };
 
   const handleError = (data) => {
@@ -240,7 +380,8 @@ function GameScreen({ gameData, onLeave, socketService }) {
     }
   };
 
-  const updateGameState = (gameState) => {
+  // Memoized so the resume effect below only reruns for a new resumed state, not on every render
+  const updateGameState = useCallback((gameState) => {
     // Handle player hand (direct property from server)
     if (gameState.playerHand) {
       setPlayerHand(gameState.playerHand);
@@ -255,6 +396,14 @@ function GameScreen({ gameData, onLeave, socketService }) {
       setTopCard(gameState.topCard);
     }
     
+    if (gameState.pendingDraw !== undefined) {
+      setPendingDraw(gameState.pendingDraw);
+    }
+
+    if (gameState.canPass !== undefined) {
+      setCanPass(gameState.canPass);
+    }
+    
     if (gameState.currentColor) { // Changed from currentSuit to currentColor
       setCurrentColor(gameState.currentColor); // Changed from setCurrentSuit to setCurrentColor
     }
@@ -262,15 +411,18 @@ function GameScreen({ gameData, onLeave, socketService }) {
     // Track animation state from server
     if (gameState.isAnimating !== undefined) {
       console.log('📱 Animation state received:', gameState.isAnimating);
-      setIsAnimating(gameState.isAnimating);
+      setIsAnimating(wasAnimating => {
+        if (wasAnimating && !gameState.isAnimating) {
+          // Animation just finished
+          console.log('✅ UI unlocked - animation complete');
+        }
+        return gameState.isAnimating;
+      });
       if (gameState.isAnimating) {
         console.log('🚫 UI locked - animation in progress');
         // Close color selector if animation starts
         setShowColorSelector(false);
         setPendingEight(null);
-      } else if (isAnimating && !gameState.isAnimating) {
-        // Animation just finished
-        console.log('✅ UI unlocked - animation complete');
       }
     }
 
@@ -303,6 +455,82 @@ function GameScreen({ gameData, onLeave, socketService }) {
     if (gameState.isYourTurn !== undefined) {
       setIsPlayerTurn(gameState.isYourTurn);
     }
+  }, [gameData.playerName]);
+
+  useEffect(() => {
+    // Pick the hand back up after reclaiming our seat
+    const resumed = gameData?.resumeGameState;
+    if (!resumed) return;
+
+    console.log('🔌 PHONE: Resuming game after reconnect:', resumed);
+    if (resumed.phase === 'game-over') {
+      setGameState('game-over');
+    } else if (resumed.phase !== 'lobby') {
+      setGameState('playing');
+    }
+    setMessage('Reconnected - welcome back!');
+    updateGameState(resumed);
+  }, [gameData?.resumeGameState, updateGameState]);
+
+  // One line describing a logged game event
+  const describeReplayEvent = (event) => {
+    switch (event.type) {
+      case 'deal':
+        return `Cards dealt - ${formatCard(event.startCard)} starts the pile`;
+      case 'play':
+        return `${event.player} played ${formatCard(event.card)}`;
+      case 'color':
+        return `${event.player} picked ${getColorEmoji(event.color)}`;
+      case 'draw':
+        return `${event.player} drew ${event.cards.length > 1 ? `${event.cards.length} cards` : 'a card'}`;
+      case 'reshuffle':
+        return 'The discard pile was shuffled back into the deck';
+      case 'pass':
+        return `${event.player} passed`;
+      case 'blocked':
+        return 'Nobody can move - the lowest hand wins';
+      case 'leave':
+        return `${event.player} left the game`;
+      case 'win':
+        return `🏆 ${event.player} wins!`;
+      default:
+        return event.type;
+    }
+  };
+
+  const toggleReplay = async () => {
+    try {
+      if (replay) {
+        await socketService.stopReplay(gameData.roomCode);
+      } else {
+        await socketService.startReplay(gameData.roomCode);
+      }
+    } catch (error) {
+      console.error('Replay request failed:', error);
+      setError(error.message);
+    }
+  };
+
+  // Explain why the server turned a move down, using the code from its reply
+  const getMoveErrorMessage = (error) => {
+    switch (error.code) {
+      case 'NOT_YOUR_TURN':
+        return "It's not your turn!";
+      case 'ANIMATION_LOCKED':
+        return 'Please wait for the animation to complete!';
+      case 'ILLEGAL_CARD':
+        return error.message; // Says whether the card doesn't match or a draw-two penalty is waiting
+      case 'CARD_NOT_IN_HAND':
+        return 'That card is no longer in your hand';
+      case 'DECK_EMPTY':
+        return 'There are no cards left to draw';
+      case 'CANNOT_PASS':
+        return 'You can only pass when there is nothing to draw and nothing you can play';
+      case 'ROOM_NOT_FOUND':
+        return 'This room no longer exists';
+      default:
+        return error.message;
+    }
   };
 
   const playCard = async (card) => {
@@ -326,12 +554,8 @@ function GameScreen({ gameData, onLeave, socketService }) {
         
         if (isWinningPlay) {
           console.log('🏆 Playing winning 8 - skipping color selection');
-          // Play the winning 8 directly without color selection
-          socketService.emitGameAction('play-card', {
-            roomCode: gameData.roomCode,
-            card: card
-            // No chosenColor needed for winning 8
-          });
+          // Play the winning 8 directly without color selection (no chosenColor needed)
+          await socketService.playCard(gameData.roomCode, card.id);
           return;
         } else {
           // Non-winning 8 - show color selector
@@ -341,13 +565,10 @@ function GameScreen({ gameData, onLeave, socketService }) {
         }
       }
 
-      socketService.emitGameAction('play-card', {
-        roomCode: gameData.roomCode,
-        card: card
-      });
+      await socketService.playCard(gameData.roomCode, card.id); // The server looks the card up in our hand
     } catch (error) {
       console.error('Failed to play card:', error);
-      setError('Failed to play card: ' + error.message);
+      setError(getMoveErrorMessage(error));
     }
   };
 
@@ -359,31 +580,35 @@ function GameScreen({ gameData, onLeave, socketService }) {
       return;
     }
 
+    const eightCard = pendingEight;
+    const cardKey = getCardKey(eightCard);
+
     try {
       setError(null);
       
       // Track this 8 card's chosen color immediately for local state
       setEightCardColors(prev => {
         const newMap = new Map(prev);
-        const cardKey = `${pendingEight.color}-${pendingEight.rank}`;
         newMap.set(cardKey, color);
         return newMap;
       });
       
-      // Play the 8 with the chosen color
-      socketService.emitGameAction('play-card', {
-        roomCode: gameData.roomCode,
-        card: pendingEight,
-        chosenColor: color // Include the chosen color with the card play
-      });
-      
       // Reset the color selector state
       setShowColorSelector(false);
       setPendingEight(null);
-      
+
+      // Play the 8 with the chosen color
+      await socketService.playCard(gameData.roomCode, eightCard.id, color);
     } catch (error) {
       console.error('Failed to choose color:', error); // Changed error message
-      setError('Failed to choose color: ' + error.message); // Changed error message
+      setError(getMoveErrorMessage(error));
+
+      // The 8 is still in our hand, so forget the color we showed on it
+      setEightCardColors(prev => {
+        const newMap = new Map(prev);
+        newMap.delete(cardKey);
+        return newMap;
+      });
     }
   };
 
@@ -400,12 +625,25 @@ function GameScreen({ gameData, onLeave, socketService }) {
 
     try {
       setError(null);
-      socketService.emitGameAction('draw-card', {
-        roomCode: gameData.roomCode
-      });
+      await socketService.drawCard(gameData.roomCode);
     } catch (error) {
       console.error('Failed to draw card:', error);
-      setError('Failed to draw card: ' + error.message);
+      setError(getMoveErrorMessage(error));
+    }
+  };
+
+  const passTurn = async () => {
+    if (!isPlayerTurn) {
+      setError("It's not your turn!");
+      return;
+    }
+
+    try {
+      setError(null);
+      await socketService.passTurn(gameData.roomCode);
+    } catch (error) {
+      console.error('Failed to pass:', error);
+      setError(getMoveErrorMessage(error));
     }
   };
 
@@ -423,6 +661,78 @@ function GameScreen({ gameData, onLeave, socketService }) {
     }
   };
 
+  const addBot = async (difficulty) => {
+    try {
+      setError(null);
+      await socketService.addBot(gameData.roomCode, difficulty);
+    } catch (error) {
+      console.error('Failed to add bot:', error);
+      setError('Failed to add bot: ' + error.message);
+    }
+  };
+
+  const updateRoomSettings = async (changes) => {
+    try {
+      setError(null);
+      await socketService.updateRoomSettings(gameData.roomCode, changes);
+    } catch (error) {
+      console.error('Failed to update room settings:', error);
+      setError('Failed to update settings: ' + error.message);
+    }
+  };
+
+  const kickPlayer = async (playerName, ban = null) => {
+    const question = ban ? `Remove ${playerName} and keep them out of this room?` : `Remove ${playerName} from the room?`;
+    if (!window.confirm(question)) return;
+
+    try {
+      setError(null);
+      await socketService.kickPlayer(gameData.roomCode, playerName, ban);
+    } catch (error) {
+      console.error('Failed to remove player:', error);
+      setError('Failed to remove player: ' + error.message);
+    }
+  };
+
+  const transferFirstPlayer = async (playerName) => {
+    try {
+      setError(null);
+      await socketService.transferFirstPlayer(gameData.roomCode, playerName);
+    } catch (error) {
+      console.error('Failed to hand over first player:', error);
+      setError('Failed to hand over first player: ' + error.message);
+    }
+  };
+
+  // Swap a player with the one seated before them, or shuffle everyone with 'shuffle'
+  const arrangeSeats = async (moveUpName) => {
+    const names = lobbyPlayers.map(player => player.name);
+    let order = 'shuffle';
+    if (moveUpName !== 'shuffle') {
+      const index = names.indexOf(moveUpName);
+      order = [...names];
+      [order[index - 1], order[index]] = [order[index], order[index - 1]];
+    }
+
+    try {
+      setError(null);
+      await socketService.arrangeSeats(gameData.roomCode, order);
+    } catch (error) {
+      console.error('Failed to arrange seats:', error);
+      setError('Failed to arrange seats: ' + error.message);
+    }
+  };
+
+  const removeBot = async (botName) => {
+    try {
+      setError(null);
+      await socketService.removeBot(gameData.roomCode, botName);
+    } catch (error) {
+      console.error('Failed to remove bot:', error);
+      setError('Failed to remove bot: ' + error.message);
+    }
+  };
+
   const formatCard = (card) => {
     if (!card) return '';
     return `${card.rank} ${getColorEmoji(card.color)}`; // Changed to use color instead of suit
@@ -466,6 +776,9 @@ function GameScreen({ gameData, onLeave, socketService }) {
   const canPlayCard = (card) => {
     if (!topCard || !isPlayerTurn || isAnimating) return false; // Block actions during spiral animation
     
+    // A stacked draw-two can only be answered with another 2
+    if (pendingDraw > 0) return card.rank === '2';
+    
     // 8s can always be played
     if (card.rank === '8') return true;
     
@@ -473,9 +786,12 @@ function GameScreen({ gameData, onLeave, socketService }) {
     return card.color === currentColor || card.rank === topCard.rank; // Changed from suit to color and currentSuit to currentColor
   };
 
+  // Every card carries a server-issued id, so duplicates from a second deck stay distinct
+  const getCardKey = (card) => card.id;
+
   // Helper function to get the display color for an 8 card
   const getEightCardDisplayColor = (card) => {
-    const cardKey = `${card.color}-${card.rank}`;
+    const cardKey = getCardKey(card);
     return eightCardColors.get(cardKey) || null; // Returns chosen color or null if not chosen yet
   };
 
@@ -487,15 +803,61 @@ function GameScreen({ gameData, onLeave, socketService }) {
         <p>Player: <span className="player-name-white">
           {gameData.playerName}
         </span></p>
+        {error && (
+          <div className="error-display">
+            {error}
+          </div>
+        )}
         <div className="waiting-animation">
           <div className="dots">
             <span>.</span>
             <span>.</span>
             <span>.</span>
           </div>
+          {lobbyPlayers.length > 0 && (
+            <div className="lobby-players">
+              {lobbyPlayers.map((player, index) => (
+                <div key={player.name} className="lobby-player">
+                  <span>{player.isBot ? '🤖' : '📱'} {player.name}</span>
+                  {isFirstPlayer && (
+                    <span className="seat-controls">
+                      {index > 0 && (
+                        <button className="seat-btn" title="Move up" onClick={() => arrangeSeats(player.name)}>⬆</button>
+                      )}
+                      {player.isBot ? (
+                        <button className="remove-bot-btn" onClick={() => removeBot(player.name)}>✕</button>
+                      ) : player.name !== gameData.playerName && (
+                        <>
+                          <button className="seat-btn" title="Make first player" onClick={() => transferFirstPlayer(player.name)}>👑</button>
+                          <button className="remove-bot-btn" title="Remove" onClick={() => kickPlayer(player.name)}>✕</button>
+                          <button className="remove-bot-btn" title="Remove and ban" onClick={() => kickPlayer(player.name, 'device')}>⛔</button>
+                        </>
+                      )}
+                    </span>
+                  )}
+                </div>
+              ))}
+              {isFirstPlayer && lobbyPlayers.length > 1 && (
+                <button className="add-bot-btn" onClick={() => arrangeSeats('shuffle')}>🔀 Shuffle seats</button>
+              )}
+            </div>
+          )}
+          <LobbySettings settings={roomSettings} editable={isFirstPlayer} onChange={updateRoomSettings} />
           {isFirstPlayer ? (
             <div className="first-player-controls">
               <p>👑 You are the first player!</p>
+              <div className="add-bot-controls">
+                <p>Add a bot:</p>
+                {['easy', 'medium', 'hard'].map(difficulty => (
+                  <button
+                    key={difficulty}
+                    className="add-bot-btn"
+                    onClick={() => addBot(difficulty)}
+                  >
+                    {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
+                  </button>
+                ))}
+              </div>
               <button 
                 className="start-game-btn"
                 onClick={startGame}
@@ -546,6 +908,11 @@ function GameScreen({ gameData, onLeave, socketService }) {
           <span className="current-color"> {/* Changed from current-suit to current-color */}
             Current: {currentColor ? getColorEmoji(currentColor) : 'Any'} {/* Changed from currentSuit to currentColor and getSuitSymbol to getColorEmoji */}
           </span>
+          {turnClock && turnClock.playerName === currentPlayer && (
+            <span className="timer turn-clock">
+              <span className={turnClock.timeLeft <= 5 ? 'urgent' : ''}>⏱ {turnClock.timeLeft}s</span>
+            </span>
+          )}
         </div>
         <button 
           onClick={onLeave} 
@@ -566,7 +933,7 @@ function GameScreen({ gameData, onLeave, socketService }) {
         <div className="player-hand">
           <h3>Your Hand ({playerHand.length} cards):</h3>
           <div className="cards">
-            {playerHand.map((card, index) => {
+            {playerHand.map((card) => {
               const is8Card = card.rank === '8';
               const chosenColor = is8Card ? getEightCardDisplayColor(card) : null;
               
@@ -584,7 +951,7 @@ function GameScreen({ gameData, onLeave, socketService }) {
               
               return (
                 <button
-                  key={`${card.color}-${card.rank}-${index}`}
+                  key={card.id}
                   className={`${cardClassName} ${canPlayCard(card) ? 'playable' : 'unplayable'}`}
                   onClick={() => playCard(card)}
                   disabled={!canPlayCard(card)}
@@ -606,15 +973,42 @@ function GameScreen({ gameData, onLeave, socketService }) {
         
         {isPlayerTurn && (
           <div className="game-actions">
-            <button 
-              onClick={drawCard}
-              className="draw-button"
-              disabled={isAnimating} // Disable drawing during animations
-            >
-              Draw Card
-            </button>
+            {canPass ? (
+              <button
+                onClick={passTurn}
+                className="draw-button pass-button"
+                disabled={isAnimating}
+              >
+                Pass (no cards left)
+              </button>
+            ) : (
+              <button 
+                onClick={drawCard}
+                className="draw-button"
+                disabled={isAnimating} // Disable drawing during animations
+              >
+                {pendingDraw > 0 ? `Draw ${pendingDraw} Cards` : 'Draw Card'}
+              </button>
+            )}
           </div>
         )}
+
+        {isFirstPlayer && (
+          <details className="manage-players">
+            <summary>👥 Players</summary>
+            {playersInfo.filter(player => player.name !== gameData.playerName).map(player => (
+              <div key={player.name} className="lobby-player">
+                <span>{player.isBot ? '🤖' : '📱'} {player.name} ({player.cardCount})</span>
+                <span className="seat-controls">
+                  <button className="remove-bot-btn" title="Remove" onClick={() => kickPlayer(player.name)}>✕</button>
+                  {!player.isBot && (
+                    <button className="remove-bot-btn" title="Remove and ban" onClick={() => kickPlayer(player.name, 'device')}>⛔</button>
+                  )}
+                </span>
+              </div>
+            ))}
+          </details>
+        )}
       </div>
       
       {showColorSelector && !isAnimating && renderColorSelector()}
@@ -635,7 +1029,45 @@ function GameScreen({ gameData, onLeave, socketService }) {
             </div>
           ))}
         </div>
+
+        {replay && (
+          <div className="final-scores replay-panel">
+            <h3>🎞️ Replay {replay.step}/{replay.total}</h3>
+            <p>{replay.event ? describeReplayEvent(replay.event) : 'Starting...'}</p>
+            <div className="replay-hand">
+              {replay.hand.map(card => (
+                <span key={card.id} className={`replay-card ${card.rank === '8' ? 'eight-card' : card.color}`}>
+                  {card.rank}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {scoreboard && (
+          <div className="final-scores match-scores">
+            <h3>Match Scores (to {scoreboard.targetScore}):</h3>
+            {scoreboard.totals.map(total => {
+              const roundScore = scoreboard.lastRound?.scores.find(s => s.name === total.name);
+              return (
+                <div key={total.name} className="player-score">
+                  <span>{total.name}</span>
+                  <span>
+                    {roundScore && roundScore.points > 0 ? `+${roundScore.points} → ` : ''}{total.score} pts
+                  </span>
+                </div>
+              );
+            })}
+            <p className="round-count">
+              {scoreboard.matchOver ? 'Match complete' : `After round ${scoreboard.rounds.length}`}
+            </p>
+          </div>
+        )}
         
+        {gameSeed !== null && (
+          <p className="game-seed">Deal seed: {gameSeed}</p>
+        )}
+
         {isFirstPlayer ? (
           <div className="host-controls">
             <h3>👑 Host Controls</h3>
@@ -645,7 +1077,7 @@ function GameScreen({ gameData, onLeave, socketService }) {
                 className="host-button play-again-button"
                 disabled={isProcessingHostAction}
               >
-                🔄 Play Again
+                {scoreboard && !scoreboard.matchOver ? '▶️ Next Round' : '🔄 Play Again'}
               </button>
               <button 
                 onClick={() => handleHostAction('host-new-players', { roomCode: gameData.roomCode })}
@@ -654,6 +1086,12 @@ function GameScreen({ gameData, onLeave, socketService }) {
               >
                 👥 New Players
               </button>
+              <button
+                onClick={toggleReplay}
+                className="host-button replay-button"
+              >
+                {replay ? '⏹️ Stop Replay' : '🎞️ Watch Replay'}
+              </button>
             </div>
             <button onClick={onLeave} className="leave-button secondary">
               Leave Game
@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react';
 import './index.css';
 
-function JoinScreen({ onJoin, connectionStatus, error }) {
-  const [roomCode, setRoomCode] = useState('');
+function JoinScreen({ onJoin, onSpectate, linkedRoomCode, connectionStatus, error }) {
+  // A join link fills in the room code, so the phone only asks for a name
+  const [roomCode, setRoomCode] = useState(linkedRoomCode || '');
+  const [codeFromLink, setCodeFromLink] = useState(Boolean(linkedRoomCode));
   const [playerName, setPlayerName] = useState('');
   const [isJoining, setIsJoining] = useState(false);
   const [validationError, setValidationError] = useState('');
@@ -11,6 +13,7 @@ function JoinScreen({ onJoin, connectionStatus, error }) {
   useEffect(() => {
     if (error) {
       setRoomCode('');
+      setCodeFromLink(false);
       setPlayerName('');
       setIsJoining(false);
     }
@@ -53,9 +56,23 @@ function JoinScreen({ onJoin, connectionStatus, error }) {
     }
   };
 
+  // Came in through someone else's link - type the code in instead
+  const handleOtherRoom = () => {
+    setRoomCode('');
+    setCodeFromLink(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
+    await submitWith(onJoin);
+  };
+
+  // Same checks as joining, but asks the server for a spectator spot instead of a seat
+  const handleWatch = async () => {
+    await submitWith(onSpectate);
+  };
+
+  const submitWith = async (action) => {
     // Clear any previous validation errors
     setValidationError('');
     
@@ -87,7 +104,7 @@ function JoinScreen({ onJoin, connectionStatus, error }) {
     setIsJoining(true);
     
     try {
-      await onJoin({
+      await action({
         roomCode: roomCode.trim().toUpperCase(),
         playerName: playerName.trim()
       });
@@ -106,23 +123,32 @@ function JoinScreen({ onJoin, connectionStatus, error }) {
       <div className="join-container">
         <div className="jackbox-logo">
           <h1>Donkeygames</h1>
-          <p>Type in that room key and try not to lose!</p>
+          <p>{codeFromLink ? 'Pick a name and try not to lose!' : 'Type in that room key and try not to lose!'}</p>
         </div>
 
         <form onSubmit={handleSubmit} className="join-form">
-          <div className="input-group">
-            <label htmlFor="roomCode">Room Code</label>
-            <input
-              id="roomCode"
-              type="text"
-              value={roomCode}
-              onChange={handleRoomCodeChange}
-              placeholder="Enter 4-letter code"
-              maxLength={4}
-              disabled={isDisabled}
-              className="room-code-input"
-            />
-          </div>
+          {codeFromLink ? (
+            <div className="linked-room">
+              <span>Joining room <strong>{roomCode}</strong></span>
+              <button type="button" onClick={handleOtherRoom} className="other-room-button">
+                Different room?
+              </button>
+            </div>
+          ) : (
+            <div className="input-group">
+              <label htmlFor="roomCode">Room Code</label>
+              <input
+                id="roomCode"
+                type="text"
+                value={roomCode}
+                onChange={handleRoomCodeChange}
+                placeholder="Enter 4-letter code"
+                maxLength={4}
+                disabled={isDisabled}
+                className="room-code-input"
+              />
+            </div>
+          )}
           
           <div className="input-group">
             <label htmlFor="playerName">Your Name</label>
@@ -133,6 +159,7 @@ function JoinScreen({ onJoin, connectionStatus, error }) {
               onChange={handlePlayerNameChange}
               placeholder="Enter your name"
               maxLength={7}
+              autoFocus={codeFromLink}
               disabled={isDisabled}
               className="player-name-input"
             />
@@ -145,6 +172,15 @@ function JoinScreen({ onJoin, connectionStatus, error }) {
           >
             {isJoining ? 'Joining...' : 'Join Game'}
           </button>
+
+          <button
+            type="button"
+            onClick={handleWatch}
+            disabled={isDisabled || !isFormValid}
+            className="join-button watch-button"
+          >
+            👀 Watch Game
+          </button>
         </form>
 
         {/* Show validation errors */}
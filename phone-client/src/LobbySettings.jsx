@@ -0,0 +1,107 @@
+import './index.css';
+
+const HOUSE_RULES = [
+  { key: 'drawTwo', label: '2s: next player draws two' },
+  { key: 'stackDrawTwo', label: '2s can be stacked' },
+  { key: 'skip', label: '7s skip the next player' },
+  { key: 'reverse', label: '1s reverse direction' },
+  { key: 'drawUntilPlayable', label: 'Draw until you can play' }
+];
+
+const TURN_SECONDS = [15, 30, 45, 60, 90, 120];
+const TARGET_SCORES = [50, 100, 200, 500];
+const MAX_PLAYERS = [2, 3, 4, 5, 6, 7, 8];
+
+// Room settings in the lobby - editable for the first player, a summary for everyone else.
+// `onChange` gets a partial settings object; the room's copy arrives back through room-settings-updated
+function LobbySettings({ settings, editable, onChange }) {
+  if (!settings) return null;
+
+  const { houseRules, turnTimer, match, maxPlayers, allowSpectators } = settings;
+
+  if (!editable) {
+    const rules = HOUSE_RULES.filter(rule => houseRules[rule.key]).map(rule => rule.label);
+    return (
+      <div className="lobby-settings">
+        <h3>⚙️ Room settings</h3>
+        <p>Rules: {rules.length > 0 ? rules.join(', ') : 'Classic'}</p>
+        <p>Turn timer: {turnTimer.enabled ? `${turnTimer.seconds}s` : 'Off'}</p>
+        <p>Match: {match.enabled ? `First to ${match.targetScore}` : 'Single game'}</p>
+        <p>Up to {maxPlayers} players{allowSpectators ? ', spectators welcome' : ''}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="lobby-settings">
+      <h3>⚙️ Room settings</h3>
+
+      {HOUSE_RULES.map(rule => (
+        <label key={rule.key} className="setting-row">
+          <input
+            type="checkbox"
+            checked={houseRules[rule.key]}
+            onChange={(e) => onChange({ houseRules: { [rule.key]: e.target.checked } })}
+          />
+          {rule.label}
+        </label>
+      ))}
+
+      <label className="setting-row">
+        <input
+          type="checkbox"
+          checked={turnTimer.enabled}
+          onChange={(e) => onChange({ turnTimer: { enabled: e.target.checked } })}
+        />
+        Turn timer
+        <select
+          value={turnTimer.seconds}
+          disabled={!turnTimer.enabled}
+          onChange={(e) => onChange({ turnTimer: { seconds: Number(e.target.value) } })}
+        >
+          {TURN_SECONDS.map(seconds => <option key={seconds} value={seconds}>{seconds}s</option>)}
+        </select>
+      </label>
+
+      <label className="setting-row">
+        <input
+          type="checkbox"
+          checked={match.enabled}
+          onChange={(e) => onChange({ match: { enabled: e.target.checked } })}
+        />
+        Play to
+        <select
+          value={match.targetScore}
+          disabled={!match.enabled}
+          onChange={(e) => onChange({ match: { targetScore: Number(e.target.value) } })}
+        >
+          {/* Keep a target set elsewhere (e.g. by the main screen) selectable */}
+          {[...new Set([...TARGET_SCORES, match.targetScore])].map(score => (
+            <option key={score} value={score}>{score}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="setting-row">
+        Max players
+        <select
+          value={maxPlayers}
+          onChange={(e) => onChange({ maxPlayers: Number(e.target.value) })}
+        >
+          {MAX_PLAYERS.map(count => <option key={count} value={count}>{count}</option>)}
+        </select>
+      </label>
+
+      <label className="setting-row">
+        <input
+          type="checkbox"
+          checked={allowSpectators}
+          onChange={(e) => onChange({ allowSpectators: e.target.checked })}
+        />
+        Allow spectators
+      </label>
+    </div>
+  );
+}
+
+export default LobbySettings;
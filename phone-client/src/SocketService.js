@@ -1,13 +1,32 @@
 import { io } from 'socket.io-client';
 
+// Identifies this phone across visits so a room ban can't be dodged with a new name
+const DEVICE_KEY = 'crazy8s-device';
+
+const getDeviceId = () => {
+  try {
+    let deviceId = localStorage.getItem(DEVICE_KEY);
+    if (!deviceId) {
+      deviceId = crypto.randomUUID();
+      localStorage.setItem(DEVICE_KEY, deviceId);
+    }
+    return deviceId;
+  } catch {
+    return null; // Private browsing without storage - bans fall back to names only
+  }
+};
+
 class SocketService {
   constructor() {
     this.socket = null;
     this.connected = false;
     this.eventListeners = new Map();
+    this.sessionToken = null; // Our reconnect token - host-only events have to carry it
   }
 
-  connect(serverUrl = 'http://localhost:3000') {
+  // The backend serves this client under /join, so by default connect back to wherever we were loaded
+  // from. VITE_SERVER_URL points somewhere else (e.g. a backend on another machine)
+  connect(serverUrl = import.meta.env.VITE_SERVER_URL || window.location.origin) {
     console.log('Connecting to server:', serverUrl);
     
     this.socket = io(serverUrl, {
@@ -59,9 +78,14 @@ class SocketService {
       this.emit('card-drawn', data);
     });
 
-    this.socket.on('suit-chosen', (data) => {
-      console.log('Suit chosen:', data);
-      this.emit('suit-chosen', data);
+    this.socket.on('player-passed', (data) => {
+      console.log('Player passed:', data);
+      this.emit('player-passed', data);
+    });
+
+    this.socket.on('color-chosen', (data) => {
+      console.log('Color chosen:', data);
+      this.emit('color-chosen', data);
     });
 
     this.socket.on('round-started', (data) => {
@@ -84,15 +108,92 @@ class SocketService {
       this.emit('game-over', data);
     });
 
-    this.socket.on('player-action', (data) => {
-      console.log('Player action:', data);
-      this.emit('player-action', data);
-    });
-
     this.socket.on('timer-update', (data) => {
       this.emit('timer-update', data);
     });
 
+    this.socket.on('turn-timed-out', (data) => {
+      console.log('Turn timed out:', data);
+      this.emit('turn-timed-out', data);
+    });
+
+    this.socket.on('player-joined', (data) => {
+      console.log('Player joined:', data);
+      this.emit('player-joined', data);
+    });
+
+    this.socket.on('player-disconnected', (data) => {
+      console.log('Player disconnected:', data);
+      this.emit('player-disconnected', data);
+    });
+
+    this.socket.on('player-reconnected', (data) => {
+      console.log('Player reconnected:', data);
+      this.emit('player-reconnected', data);
+    });
+
+    this.socket.on('player-left', (data) => {
+      console.log('Player left:', data);
+      this.emit('player-left', data);
+    });
+
+    // The main screen dropped, came back, or never came back and a phone took over
+    this.socket.on('host-disconnected', (data) => {
+      console.log('Main screen disconnected:', data);
+      this.emit('host-disconnected', data);
+    });
+
+    this.socket.on('host-reconnected', (data) => {
+      console.log('Main screen reconnected:', data);
+      this.emit('host-reconnected', data);
+    });
+
+    this.socket.on('controller-changed', (data) => {
+      console.log('Controller changed:', data);
+      this.emit('controller-changed', data);
+    });
+
+    this.socket.on('kicked', (data) => {
+      console.log('Removed from room:', data);
+      this.emit('kicked', data);
+    });
+
+    this.socket.on('first-player-changed', (data) => {
+      console.log('First player changed:', data);
+      this.emit('first-player-changed', data);
+    });
+
+    this.socket.on('seats-arranged', (data) => {
+      console.log('Seats arranged:', data);
+      this.emit('seats-arranged', data);
+    });
+
+    this.socket.on('room-settings-updated', (data) => {
+      console.log('Room settings updated:', data);
+      this.emit('room-settings-updated', data);
+    });
+
+    this.socket.on('spectator-promoted', (data) => {
+      this.sessionToken = data.reconnectToken;
+      console.log('Promoted from spectator:', data);
+      this.emit('spectator-promoted', data);
+    });
+
+    // Re-watching the last game, one logged step at a time
+    this.socket.on('replay-started', (data) => {
+      console.log('Replay started:', data);
+      this.emit('replay-started', data);
+    });
+
+    this.socket.on('replay-step', (data) => {
+      this.emit('replay-step', data);
+    });
+
+    this.socket.on('replay-finished', (data) => {
+      console.log('Replay finished:', data);
+      this.emit('replay-finished', data);
+    });
+
     this.socket.on('room-closed', (data) => {
       console.log('Room closed:', data);
       this.emit('room-closed', data);
@@ -122,7 +223,47 @@ class SocketService {
         return;
       }
 
-      this.socket.emit('join-room', { roomCode, playerName }, (response) => {
+      this.socket.emit('join-room', { roomCode, playerName, deviceId: getDeviceId() }, (response) => {
+        if (response.success) {
+          this.sessionToken = response.reconnectToken;
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Reclaim a held seat after the connection dropped
+  rejoinRoom(roomCode, reconnectToken) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('rejoin-room', { roomCode, reconnectToken }, (response) => {
+        if (response.success) {
+          this.sessionToken = response.reconnectToken;
+          resolve(response);
+        } else {
+          const error = new Error(response.error);
+          error.code = response.code; // SEAT_IN_USE while the server still sees our old connection
+          reject(error);
+        }
+      });
+    });
+  }
+
+  // Watch a game that is already running; we get a seat when the next round starts
+  spectateRoom(roomCode, spectatorName) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('spectate-room', { roomCode, spectatorName, deviceId: getDeviceId() }, (response) => {
         if (response.success) {
           resolve(response);
         } else {
@@ -132,10 +273,192 @@ class SocketService {
     });
   }
 
-  // Crazy 8s specific methods - using direct emit for real-time actions
+  // Add a computer-controlled player to the lobby (first player only)
+  addBot(roomCode, difficulty) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('add-bot', { roomCode, difficulty, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Remove a bot from the lobby (first player only)
+  removeBot(roomCode, botName) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('remove-bot', { roomCode, botName, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Remove a player - `ban` is null, 'name' or 'device' (first player only)
+  kickPlayer(roomCode, playerName, ban = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('kick-player', { roomCode, playerName, ban, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Hand first player controls to another phone (first player only)
+  transferFirstPlayer(roomCode, playerName) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('transfer-first-player', { roomCode, playerName, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Reorder the lobby seats - `order` is every player's name, or 'shuffle' (first player only)
+  arrangeSeats(roomCode, order) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('arrange-seats', { roomCode, order, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Change lobby settings - any part of house rules, turn timer, match, max players, spectators (first player only)
+  updateRoomSettings(roomCode, settings) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('update-room-settings', { roomCode, settings, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Replay the last game on the main screen and every phone (first player, once the game is over)
+  startReplay(roomCode) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('start-replay', { roomCode, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  stopReplay(roomCode) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit('stop-replay', { roomCode, sessionToken: this.sessionToken }, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+
+  // Game moves - resolve once the server accepts the move, reject with error.code
+  // (NOT_YOUR_TURN, ILLEGAL_CARD, ANIMATION_LOCKED, ROOM_NOT_FOUND, ...) when it doesn't
+  sendGameMove(event, data) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to server'));
+        return;
+      }
+
+      this.socket.emit(event, data, (response) => {
+        if (response.success) {
+          resolve(response);
+        } else {
+          const error = new Error(response.error);
+          error.code = response.code;
+          reject(error);
+        }
+      });
+    });
+  }
+
+  playCard(roomCode, cardId, chosenColor) {
+    return this.sendGameMove('play-card', { roomCode, cardId, chosenColor });
+  }
+
+  drawCard(roomCode) {
+    return this.sendGameMove('draw-card', { roomCode });
+  }
+
+  chooseColor(roomCode, color) {
+    return this.sendGameMove('choose-color', { roomCode, color });
+  }
+
+  // Only allowed once there is nothing left to draw and nothing in hand to play
+  passTurn(roomCode) {
+    return this.sendGameMove('pass-turn', { roomCode });
+  }
+
+  // Crazy 8s specific methods - using direct emit for real-time actions.
+  // These are the host controls (start, restart, new players), so they carry our session token
   emitGameAction(event, data) {
     if (this.socket) {
-      this.socket.emit(event, data);
+      this.socket.emit(event, { ...data, sessionToken: this.sessionToken });
     }
   }
 
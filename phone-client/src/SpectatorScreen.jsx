@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react';
+import './index.css';
+
+// Read-only view for phones that joined a room mid-game; they get dealt in at the next round
+function SpectatorScreen({ gameData, onLeave, socketService }) {
+  const [view, setView] = useState(gameData?.spectatorGameState || null); // Same public state the main screen gets
+  const [message, setMessage] = useState('');
+  const [winner, setWinner] = useState(null);
+  const [turnClock, setTurnClock] = useState(null); // { playerName, timeLeft } while the room's turn timer is on
+
+  useEffect(() => {
+    const handleGameStarted = (data) => {
+      setWinner(null);
+      setTurnClock(null);
+      setMessage('New round started!');
+      setView(data.gameState);
+    };
+
+    const handleCardPlayed = (data) => {
+      setMessage(`${data.playerName} played ${data.card.rank} ${getColorEmoji(data.card.color)}`);
+      setView(data.gameState);
+    };
+
+    const handleCardDrawn = (data) => {
+      setMessage(`${data.playerName} drew ${data.drawnCount > 1 ? `${data.drawnCount} cards` : 'a card'}`);
+      setView(data.gameState);
+    };
+
+    const handleColorChosen = (data) => {
+      setMessage(`${data.playerName} chose ${getColorEmoji(data.color)}`);
+      setView(data.gameState);
+    };
+
+    const handlePlayerPassed = (data) => {
+      setMessage(`${data.playerName} passed`);
+      setView(data.gameState);
+    };
+
+    const handlePlayerLeft = (data) => {
+      setMessage(`${data.playerName} ${data.kicked ? 'was removed' : 'left'}`);
+      if (data.gameState) {
+        setView(data.gameState);
+      }
+    };
+
+    const handleTimerUpdate = (data) => {
+      setTurnClock({ playerName: data.playerName, timeLeft: data.timeLeft });
+    };
+
+    const handleGameOver = (data) => {
+      setTurnClock(null);
+      setWinner(data.winner);
+      setMessage(`${data.winner} wins!`);
+      setView(prev => prev && { ...prev, phase: 'game-over' });
+    };
+
+    const handleSeatChanged = (data) => {
+      if (data.gameState) {
+        setView(data.gameState);
+      }
+    };
+
+    socketService.on('game-started', handleGameStarted);
+    socketService.on('card-played', handleCardPlayed);
+    socketService.on('card-drawn', handleCardDrawn);
+    socketService.on('color-chosen', handleColorChosen);
+    socketService.on('player-passed', handlePlayerPassed);
+    socketService.on('player-left', handlePlayerLeft);
+    socketService.on('timer-update', handleTimerUpdate);
+    socketService.on('game-over', handleGameOver);
+    socketService.on('player-disconnected', handleSeatChanged);
+    socketService.on('player-reconnected', handleSeatChanged);
+
+    return () => {
+      socketService.off('game-started', handleGameStarted);
+      socketService.off('card-played', handleCardPlayed);
+      socketService.off('card-drawn', handleCardDrawn);
+      socketService.off('color-chosen', handleColorChosen);
+      socketService.off('player-passed', handlePlayerPassed);
+      socketService.off('player-left', handlePlayerLeft);
+      socketService.off('timer-update', handleTimerUpdate);
+      socketService.off('game-over', handleGameOver);
+      socketService.off('player-disconnected', handleSeatChanged);
+      socketService.off('player-reconnected', handleSeatChanged);
+    };
+  }, [socketService]);
+
+  const getColorEmoji = (color) => {
+    const colorEmojis = {
+      'red': '🔴',
+      'blue': '🔵',
+      'green': '🟢',
+      'yellow': '🟡'
+    };
+    return colorEmojis[color] || color;
+  };
+
+  return (
+    <div className="game-screen crazy-8s">
+      <div className="game-content spectating">
+        <div className="status-message">
+          <h2>👀 Watching {gameData?.roomCode}</h2>
+          <p>Hi {gameData?.playerName}! You'll be dealt in when the next round starts.</p>
+
+          {message && <p className="spectator-message">{message}</p>}
+
+          {view && view.phase !== 'lobby' && (
+            <div className="final-scores spectator-table">
+              {winner ? (
+                <h3>🏆 {winner} won this round</h3>
+              ) : (
+                <h3>
+                  {view.currentPlayer}'s Turn · Current: {view.currentColor ? getColorEmoji(view.currentColor) : 'Any'}
+                  {turnClock?.playerName === view.currentPlayer ? ` · ⏱️ ${turnClock.timeLeft}s` : ''}
+                </h3>
+              )}
+              {view.players.map(player => (
+                <div key={player.name} className="player-score">
+                  <span>
+                    {player.isBot ? '🤖' : '📱'} {player.name}
+                    {player.connected === false ? ' (reconnecting)' : ''}
+                  </span>
+                  <span>{player.cardCount} cards</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button onClick={onLeave} className="leave-button secondary">
+            Stop Watching
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SpectatorScreen;
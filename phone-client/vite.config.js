@@ -4,4 +4,12 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The backend serves the build at /join, and join links look like /join/ABCD
+  base: '/join/',
+  server: {
+    // Pass the socket through to the backend so the client can connect to its own origin in dev too
+    proxy: {
+      '/socket.io': { target: 'http://localhost:3000', ws: true }
+    }
+  }
 })